@@ -3,10 +3,19 @@ pragma solidity ^0.8.0;
 
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/security/Pausable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 
 contract HackathonFunding is ReentrancyGuard, Pausable {
+    using SafeERC20 for IERC20;
+
+    // Platform operator: registers hackathons, can pause the contract and
+    // sweep ETH that is not owed to any hackathon
     address public organizer;
 
+    uint256 public constant BASIS_POINTS = 10000;
+    uint256 public constant MAX_PRIZE_TIERS = 10;
+
     struct Hackathon {
         uint256 totalFunding;
         bool isFunded;
@@ -14,65 +23,177 @@ contract HackathonFunding is ReentrancyGuard, Pausable {
         bool isEnded;
         address[] winners;
         bool exists; // Track if hackathon has been initialized
+        uint256[] prizeSplit; // Basis points per winner rank; empty uses the default split
+        bool cancelled;
+        address organizer; // Wallet that runs this hackathon
+        address prizeToken; // ERC-20 the pool is paid in; address(0) for ETH
+    }
+
+    // A track or sponsor bounty: a separate prize pool within a hackathon, paid
+    // in the hackathon's prize token, with its own split and winners
+    struct Track {
+        bool exists;
+        uint256 totalFunding;
+        uint256[] prizeSplit; // Basis points per winner rank; empty uses the default split
+        address[] winners;
+        bool prizesDistributed;
     }
 
     mapping(uint256 => Hackathon) public hackathons;
+    mapping(uint256 => mapping(address => uint256)) public contributions;
+    mapping(uint256 => mapping(uint256 => Track)) public tracks; // hackathonId => trackId => track
+    mapping(uint256 => mapping(uint256 => mapping(address => uint256))) public trackContributions;
     uint256[] public activeHackathons;
+    uint256 public lockedFunds; // Contributed ETH still owed to winners or refundable
 
-    event HackathonCreated(uint256 indexed hackathonId);
+    event HackathonCreated(uint256 indexed hackathonId, address indexed organizer, address prizeToken);
     event Funded(uint256 indexed hackathonId, uint256 amount);
+    event Contributed(uint256 indexed hackathonId, address indexed contributor, uint256 amount);
+    event HackathonCancelled(uint256 indexed hackathonId);
+    event Refunded(uint256 indexed hackathonId, address indexed contributor, uint256 amount);
     event WinnersSet(uint256 indexed hackathonId, address[] winners);
     event PrizeDistributed(uint256 indexed hackathonId, address winner, uint256 amount);
     event HackathonEnded(uint256 indexed hackathonId);
+    event PrizeSplitSet(uint256 indexed hackathonId, uint256[] splitBps);
     event Withdrawn(address indexed organizer, uint256 amount);
+    event TrackCreated(uint256 indexed hackathonId, uint256 indexed trackId);
+    event TrackContributed(uint256 indexed hackathonId, uint256 indexed trackId, address indexed contributor, uint256 amount);
+    event TrackRefunded(uint256 indexed hackathonId, uint256 indexed trackId, address indexed contributor, uint256 amount);
+    event TrackPrizeSplitSet(uint256 indexed hackathonId, uint256 indexed trackId, uint256[] splitBps);
+    event TrackWinnersSet(uint256 indexed hackathonId, uint256 indexed trackId, address[] winners);
+    event TrackPrizeDistributed(uint256 indexed hackathonId, uint256 indexed trackId, address winner, uint256 amount);
 
     modifier onlyOrganizer() {
         require(msg.sender == organizer, "Only organizer can call this");
         _;
     }
 
+    modifier onlyHackathonOrganizer(uint256 hackathonId) {
+        require(hackathons[hackathonId].exists, "Hackathon does not exist");
+        require(msg.sender == hackathons[hackathonId].organizer, "Only hackathon organizer can call this");
+        _;
+    }
+
     modifier hackathonExists(uint256 hackathonId) {
         require(hackathons[hackathonId].exists, "Hackathon does not exist");
         _;
     }
 
+    modifier trackExists(uint256 hackathonId, uint256 trackId) {
+        require(tracks[hackathonId][trackId].exists, "Track does not exist");
+        _;
+    }
+
     constructor() {
         organizer = msg.sender;
     }
 
-    function fundHackathon(uint256 hackathonId) external payable onlyOrganizer whenNotPaused nonReentrant {
+    function createHackathon(
+        uint256 hackathonId,
+        address hackathonOrganizer,
+        address prizeToken,
+        uint256[] calldata splitBps
+    )
+        external
+        onlyOrganizer
+        whenNotPaused
+    {
+        require(!hackathons[hackathonId].exists, "Hackathon already exists");
+        require(hackathonOrganizer != address(0), "Invalid organizer address");
+
         Hackathon storage hackathon = hackathons[hackathonId];
-        if (!hackathon.exists) {
-            hackathon.exists = true;
-            emit HackathonCreated(hackathonId);
+        hackathon.exists = true;
+        hackathon.organizer = hackathonOrganizer;
+        hackathon.prizeToken = prizeToken;
+        emit HackathonCreated(hackathonId, hackathonOrganizer, prizeToken);
+
+        if (splitBps.length > 0) {
+            _setPrizeSplit(hackathonId, splitBps);
         }
-        require(!hackathon.isFunded, "Hackathon already funded");
+    }
+
+    // Anyone may contribute, any number of times, until prizes are paid out
+    function fundHackathon(uint256 hackathonId)
+        external
+        payable
+        whenNotPaused
+        nonReentrant
+        hackathonExists(hackathonId)
+    {
+        require(hackathons[hackathonId].prizeToken == address(0), "Hackathon is funded in tokens");
         require(msg.value > 0, "Must send some ETH");
 
-        hackathon.totalFunding = msg.value;
-        hackathon.isFunded = true;
-        activeHackathons.push(hackathonId);
-        emit Funded(hackathonId, msg.value);
+        lockedFunds += msg.value;
+        _recordContribution(hackathonId, msg.value);
+    }
+
+    // Pulls tokens the contributor has approved; only what actually arrives is credited
+    function fundHackathonWithToken(uint256 hackathonId, uint256 amount)
+        external
+        whenNotPaused
+        nonReentrant
+        hackathonExists(hackathonId)
+    {
+        address prizeToken = hackathons[hackathonId].prizeToken;
+        require(prizeToken != address(0), "Hackathon is funded in ETH");
+        require(amount > 0, "Must send some tokens");
+
+        uint256 balanceBefore = IERC20(prizeToken).balanceOf(address(this));
+        IERC20(prizeToken).safeTransferFrom(msg.sender, address(this), amount);
+        uint256 received = IERC20(prizeToken).balanceOf(address(this)) - balanceBefore;
+        require(received > 0, "No tokens received");
+
+        _recordContribution(hackathonId, received);
+    }
+
+    function cancelHackathon(uint256 hackathonId) external onlyHackathonOrganizer(hackathonId) whenNotPaused {
+        Hackathon storage hackathon = hackathons[hackathonId];
+        require(!hackathon.cancelled, "Hackathon already cancelled");
+        require(!hackathon.prizesDistributed, "Prizes already distributed");
+
+        hackathon.cancelled = true;
+        _removeActiveHackathon(hackathonId);
+        emit HackathonCancelled(hackathonId);
+    }
+
+    // Contributors pull their own refunds once a hackathon is cancelled
+    function claimRefund(uint256 hackathonId) external whenNotPaused nonReentrant hackathonExists(hackathonId) {
+        Hackathon storage hackathon = hackathons[hackathonId];
+        require(hackathon.cancelled, "Hackathon not cancelled");
+        uint256 amount = contributions[hackathonId][msg.sender];
+        require(amount > 0, "Nothing to refund");
+
+        contributions[hackathonId][msg.sender] = 0;
+        hackathon.totalFunding -= amount;
+        if (hackathon.prizeToken == address(0)) {
+            lockedFunds -= amount;
+            (bool success, ) = msg.sender.call{value: amount}("");
+            require(success, "ETH transfer failed");
+        } else {
+            IERC20(hackathon.prizeToken).safeTransfer(msg.sender, amount);
+        }
+        emit Refunded(hackathonId, msg.sender, amount);
+    }
+
+    function setPrizeSplit(uint256 hackathonId, uint256[] calldata splitBps)
+        external
+        onlyHackathonOrganizer(hackathonId)
+        whenNotPaused
+    {
+        require(hackathons[hackathonId].winners.length == 0, "Winners already set");
+        _setPrizeSplit(hackathonId, splitBps);
     }
 
     function setWinners(uint256 hackathonId, address[] memory _winners) 
         external 
-        onlyOrganizer 
+        onlyHackathonOrganizer(hackathonId) 
         whenNotPaused 
-        hackathonExists(hackathonId) 
     {
         Hackathon storage hackathon = hackathons[hackathonId];
         require(hackathon.isFunded, "Hackathon must be funded");
+        require(!hackathon.cancelled, "Hackathon cancelled");
         require(!hackathon.prizesDistributed, "Prizes already distributed");
-        require(_winners.length >= 1 && _winners.length <= 3, "Must select 1-3 winners");
-
-        // Check for duplicate winners
-        for (uint256 i = 0; i < _winners.length; i++) {
-            require(_winners[i] != address(0), "Invalid winner address");
-            for (uint256 j = i + 1; j < _winners.length; j++) {
-                require(_winners[i] != _winners[j], "Duplicate winner address");
-            }
-        }
+        _checkWinners(_winners, hackathon.prizeSplit.length);
 
         hackathon.winners = _winners;
         emit WinnersSet(hackathonId, _winners);
@@ -80,49 +201,39 @@ contract HackathonFunding is ReentrancyGuard, Pausable {
 
     function distributePrizes(uint256 hackathonId) 
         external 
-        onlyOrganizer 
+        onlyHackathonOrganizer(hackathonId) 
         whenNotPaused 
         nonReentrant 
-        hackathonExists(hackathonId) 
     {
         Hackathon storage hackathon = hackathons[hackathonId];
         require(hackathon.isFunded, "Hackathon must be funded");
         require(hackathon.winners.length > 0, "Winners not set");
         require(!hackathon.prizesDistributed, "Prizes already distributed");
         require(hackathon.isEnded, "Hackathon must be ended");
-        require(address(this).balance >= hackathon.totalFunding, "Insufficient contract balance");
+        require(!hackathon.cancelled, "Hackathon cancelled");
+        if (hackathon.prizeToken == address(0)) {
+            require(address(this).balance >= hackathon.totalFunding, "Insufficient contract balance");
+        } else {
+            require(IERC20(hackathon.prizeToken).balanceOf(address(this)) >= hackathon.totalFunding, "Insufficient token balance");
+        }
 
+        uint256[] memory amounts = _calculatePrizes(hackathon.totalFunding, hackathon.prizeSplit, hackathon.winners.length);
         uint256 totalDistributed = 0;
-        if (hackathon.winners.length == 3) {
-            uint256 prizeAmount1 = (hackathon.totalFunding * 50) / 100;
-            uint256 prizeAmount2 = (hackathon.totalFunding * 30) / 100;
-            uint256 prizeAmount3 = hackathon.totalFunding - prizeAmount1 - prizeAmount2;
-
-            _safeTransfer(hackathon.winners[0], prizeAmount1, hackathonId);
-            totalDistributed += prizeAmount1;
-
-            _safeTransfer(hackathon.winners[1], prizeAmount2, hackathonId);
-            totalDistributed += prizeAmount2;
-
-            _safeTransfer(hackathon.winners[2], prizeAmount3, hackathonId);
-            totalDistributed += prizeAmount3;
-        } else if (hackathon.winners.length == 2) {
-            uint256 prizeAmount1 = (hackathon.totalFunding * 70) / 100;
-            uint256 prizeAmount2 = hackathon.totalFunding - prizeAmount1;
-
-            _safeTransfer(hackathon.winners[0], prizeAmount1, hackathonId);
-            totalDistributed += prizeAmount1;
-
-            _safeTransfer(hackathon.winners[1], prizeAmount2, hackathonId);
-            totalDistributed += prizeAmount2;
-        } else {
-            uint256 prizeAmount = hackathon.totalFunding;
-            _safeTransfer(hackathon.winners[0], prizeAmount, hackathonId);
-            totalDistributed += prizeAmount;
+        for (uint256 i = 0; i < amounts.length; i++) {
+            if (hackathon.prizeToken == address(0)) {
+                _safeTransfer(hackathon.winners[i], amounts[i], hackathonId);
+            } else {
+                IERC20(hackathon.prizeToken).safeTransfer(hackathon.winners[i], amounts[i]);
+                emit PrizeDistributed(hackathonId, hackathon.winners[i], amounts[i]);
+            }
+            totalDistributed += amounts[i];
         }
 
         require(totalDistributed == hackathon.totalFunding, "Distribution mismatch");
         hackathon.prizesDistributed = true;
+        if (hackathon.prizeToken == address(0)) {
+            lockedFunds -= totalDistributed;
+        }
 
         // Remove from active hackathons efficiently
         _removeActiveHackathon(hackathonId);
@@ -130,9 +241,8 @@ contract HackathonFunding is ReentrancyGuard, Pausable {
 
     function endHackathon(uint256 hackathonId) 
         external 
-        onlyOrganizer 
+        onlyHackathonOrganizer(hackathonId) 
         whenNotPaused 
-        hackathonExists(hackathonId) 
     {
         Hackathon storage hackathon = hackathons[hackathonId];
         require(!hackathon.isEnded, "Hackathon already ended");
@@ -140,6 +250,139 @@ contract HackathonFunding is ReentrancyGuard, Pausable {
         emit HackathonEnded(hackathonId);
     }
 
+    // Tracks are registered by the hackathon organizer under ids of their choosing
+    function createTrack(uint256 hackathonId, uint256 trackId, uint256[] calldata splitBps)
+        external
+        onlyHackathonOrganizer(hackathonId)
+        whenNotPaused
+    {
+        require(!hackathons[hackathonId].cancelled, "Hackathon cancelled");
+        require(!tracks[hackathonId][trackId].exists, "Track already exists");
+
+        tracks[hackathonId][trackId].exists = true;
+        emit TrackCreated(hackathonId, trackId);
+
+        if (splitBps.length > 0) {
+            _setTrackPrizeSplit(hackathonId, trackId, splitBps);
+        }
+    }
+
+    function setTrackPrizeSplit(uint256 hackathonId, uint256 trackId, uint256[] calldata splitBps)
+        external
+        onlyHackathonOrganizer(hackathonId)
+        trackExists(hackathonId, trackId)
+        whenNotPaused
+    {
+        require(tracks[hackathonId][trackId].winners.length == 0, "Winners already set");
+        _setTrackPrizeSplit(hackathonId, trackId, splitBps);
+    }
+
+    // Anyone may contribute to a track, e.g. the sponsor of a bounty
+    function fundTrack(uint256 hackathonId, uint256 trackId)
+        external
+        payable
+        whenNotPaused
+        nonReentrant
+        trackExists(hackathonId, trackId)
+    {
+        require(hackathons[hackathonId].prizeToken == address(0), "Hackathon is funded in tokens");
+        require(msg.value > 0, "Must send some ETH");
+
+        lockedFunds += msg.value;
+        _recordTrackContribution(hackathonId, trackId, msg.value);
+    }
+
+    function fundTrackWithToken(uint256 hackathonId, uint256 trackId, uint256 amount)
+        external
+        whenNotPaused
+        nonReentrant
+        trackExists(hackathonId, trackId)
+    {
+        address prizeToken = hackathons[hackathonId].prizeToken;
+        require(prizeToken != address(0), "Hackathon is funded in ETH");
+        require(amount > 0, "Must send some tokens");
+
+        uint256 balanceBefore = IERC20(prizeToken).balanceOf(address(this));
+        IERC20(prizeToken).safeTransferFrom(msg.sender, address(this), amount);
+        uint256 received = IERC20(prizeToken).balanceOf(address(this)) - balanceBefore;
+        require(received > 0, "No tokens received");
+
+        _recordTrackContribution(hackathonId, trackId, received);
+    }
+
+    // Cancelling a hackathon also opens refunds for its undistributed tracks
+    function claimTrackRefund(uint256 hackathonId, uint256 trackId)
+        external
+        whenNotPaused
+        nonReentrant
+        trackExists(hackathonId, trackId)
+    {
+        Hackathon storage hackathon = hackathons[hackathonId];
+        Track storage track = tracks[hackathonId][trackId];
+        require(hackathon.cancelled, "Hackathon not cancelled");
+        require(!track.prizesDistributed, "Prizes already distributed");
+        uint256 amount = trackContributions[hackathonId][trackId][msg.sender];
+        require(amount > 0, "Nothing to refund");
+
+        trackContributions[hackathonId][trackId][msg.sender] = 0;
+        track.totalFunding -= amount;
+        if (hackathon.prizeToken == address(0)) {
+            lockedFunds -= amount;
+            (bool success, ) = msg.sender.call{value: amount}("");
+            require(success, "ETH transfer failed");
+        } else {
+            IERC20(hackathon.prizeToken).safeTransfer(msg.sender, amount);
+        }
+        emit TrackRefunded(hackathonId, trackId, msg.sender, amount);
+    }
+
+    function setTrackWinners(uint256 hackathonId, uint256 trackId, address[] memory _winners)
+        external
+        onlyHackathonOrganizer(hackathonId)
+        trackExists(hackathonId, trackId)
+        whenNotPaused
+    {
+        Track storage track = tracks[hackathonId][trackId];
+        require(track.totalFunding > 0, "Track must be funded");
+        require(!hackathons[hackathonId].cancelled, "Hackathon cancelled");
+        require(!track.prizesDistributed, "Prizes already distributed");
+        _checkWinners(_winners, track.prizeSplit.length);
+
+        track.winners = _winners;
+        emit TrackWinnersSet(hackathonId, trackId, _winners);
+    }
+
+    function distributeTrackPrizes(uint256 hackathonId, uint256 trackId)
+        external
+        onlyHackathonOrganizer(hackathonId)
+        trackExists(hackathonId, trackId)
+        whenNotPaused
+        nonReentrant
+    {
+        Hackathon storage hackathon = hackathons[hackathonId];
+        Track storage track = tracks[hackathonId][trackId];
+        require(track.winners.length > 0, "Winners not set");
+        require(!track.prizesDistributed, "Prizes already distributed");
+        require(hackathon.isEnded, "Hackathon must be ended");
+        require(!hackathon.cancelled, "Hackathon cancelled");
+
+        uint256[] memory amounts = _calculatePrizes(track.totalFunding, track.prizeSplit, track.winners.length);
+        track.prizesDistributed = true;
+        if (hackathon.prizeToken == address(0)) {
+            lockedFunds -= track.totalFunding;
+        }
+
+        for (uint256 i = 0; i < amounts.length; i++) {
+            if (hackathon.prizeToken == address(0)) {
+                (bool success, ) = track.winners[i].call{value: amounts[i]}("");
+                require(success, "ETH transfer failed");
+            } else {
+                IERC20(hackathon.prizeToken).safeTransfer(track.winners[i], amounts[i]);
+            }
+            emit TrackPrizeDistributed(hackathonId, trackId, track.winners[i], amounts[i]);
+        }
+    }
+
     function getBalance() external view returns (uint256) {
         return address(this).balance;
     }
@@ -153,14 +396,37 @@ contract HackathonFunding is ReentrancyGuard, Pausable {
         return hackathons[hackathonId].winners;
     }
 
+    function getPrizeSplit(uint256 hackathonId) external view returns (uint256[] memory) {
+        return hackathons[hackathonId].prizeSplit;
+    }
+
+    function getTrackWinners(uint256 hackathonId, uint256 trackId) external view returns (address[] memory) {
+        return tracks[hackathonId][trackId].winners;
+    }
+
+    function getTrackPrizeSplit(uint256 hackathonId, uint256 trackId) external view returns (uint256[] memory) {
+        return tracks[hackathonId][trackId].prizeSplit;
+    }
+
+    function getPrizeAmounts(uint256 hackathonId)
+        external
+        view
+        hackathonExists(hackathonId)
+        returns (uint256[] memory)
+    {
+        Hackathon storage hackathon = hackathons[hackathonId];
+        require(hackathon.winners.length > 0, "Winners not set");
+        return _calculatePrizes(hackathon.totalFunding, hackathon.prizeSplit, hackathon.winners.length);
+    }
+
     function withdraw() 
         external 
         onlyOrganizer 
         whenNotPaused 
         nonReentrant 
     {
-        require(activeHackathons.length == 0, "Cannot withdraw while prizes are pending");
-        uint256 balance = address(this).balance;
+        // Only ETH not owed to winners or refundable contributors can be withdrawn
+        uint256 balance = address(this).balance - lockedFunds;
         require(balance > 0, "No funds to withdraw");
 
         _safeTransfer(organizer, balance, 0);
@@ -175,6 +441,103 @@ contract HackathonFunding is ReentrancyGuard, Pausable {
         _unpause();
     }
 
+    function _recordContribution(uint256 hackathonId, uint256 amount) internal {
+        Hackathon storage hackathon = hackathons[hackathonId];
+        require(!hackathon.cancelled, "Hackathon cancelled");
+        require(!hackathon.prizesDistributed, "Prizes already distributed");
+
+        if (!hackathon.isFunded) {
+            hackathon.isFunded = true;
+            activeHackathons.push(hackathonId);
+        }
+        hackathon.totalFunding += amount;
+        contributions[hackathonId][msg.sender] += amount;
+        emit Funded(hackathonId, amount);
+        emit Contributed(hackathonId, msg.sender, amount);
+    }
+
+    function _recordTrackContribution(uint256 hackathonId, uint256 trackId, uint256 amount) internal {
+        Track storage track = tracks[hackathonId][trackId];
+        require(!hackathons[hackathonId].cancelled, "Hackathon cancelled");
+        require(!track.prizesDistributed, "Prizes already distributed");
+
+        track.totalFunding += amount;
+        trackContributions[hackathonId][trackId][msg.sender] += amount;
+        emit TrackContributed(hackathonId, trackId, msg.sender, amount);
+    }
+
+    function _checkPrizeSplit(uint256[] calldata splitBps) internal pure {
+        require(splitBps.length >= 1 && splitBps.length <= MAX_PRIZE_TIERS, "Must define 1-10 prize tiers");
+        uint256 total = 0;
+        for (uint256 i = 0; i < splitBps.length; i++) {
+            require(splitBps[i] > 0, "Prize tier must be greater than zero");
+            total += splitBps[i];
+        }
+        require(total == BASIS_POINTS, "Prize split must sum to 100%");
+    }
+
+    function _setPrizeSplit(uint256 hackathonId, uint256[] calldata splitBps) internal {
+        _checkPrizeSplit(splitBps);
+        hackathons[hackathonId].prizeSplit = splitBps;
+        emit PrizeSplitSet(hackathonId, splitBps);
+    }
+
+    function _setTrackPrizeSplit(uint256 hackathonId, uint256 trackId, uint256[] calldata splitBps) internal {
+        _checkPrizeSplit(splitBps);
+        tracks[hackathonId][trackId].prizeSplit = splitBps;
+        emit TrackPrizeSplitSet(hackathonId, trackId, splitBps);
+    }
+
+    // One winner per configured tier at most (3 with the default split), no
+    // zero addresses and no duplicates
+    function _checkWinners(address[] memory _winners, uint256 tierCount) internal pure {
+        uint256 maxWinners = tierCount > 0 ? tierCount : 3;
+        require(_winners.length >= 1 && _winners.length <= maxWinners, "Winner count exceeds prize tiers");
+
+        for (uint256 i = 0; i < _winners.length; i++) {
+            require(_winners[i] != address(0), "Invalid winner address");
+            for (uint256 j = i + 1; j < _winners.length; j++) {
+                require(_winners[i] != _winners[j], "Duplicate winner address");
+            }
+        }
+    }
+
+    // Default split when none was configured: 100, 70/30 or 50/30/20
+    function _prizeTiers(uint256[] storage prizeSplit, uint256 winnerCount) internal view returns (uint256[] memory tiers) {
+        if (prizeSplit.length > 0) {
+            return prizeSplit;
+        }
+        tiers = new uint256[](winnerCount);
+        if (winnerCount == 1) {
+            tiers[0] = BASIS_POINTS;
+        } else if (winnerCount == 2) {
+            tiers[0] = 7000;
+            tiers[1] = 3000;
+        } else {
+            tiers[0] = 5000;
+            tiers[1] = 3000;
+            tiers[2] = 2000;
+        }
+    }
+
+    // Splits the pool over the first winnerCount tiers, rescaled so the whole
+    // pool is paid out; the last winner receives any rounding remainder.
+    function _calculatePrizes(uint256 totalFunding, uint256[] storage prizeSplit, uint256 winnerCount) internal view returns (uint256[] memory amounts) {
+        uint256[] memory tiers = _prizeTiers(prizeSplit, winnerCount);
+        uint256 tierTotal = 0;
+        for (uint256 i = 0; i < winnerCount; i++) {
+            tierTotal += tiers[i];
+        }
+
+        amounts = new uint256[](winnerCount);
+        uint256 allocated = 0;
+        for (uint256 i = 0; i < winnerCount - 1; i++) {
+            amounts[i] = (totalFunding * tiers[i]) / tierTotal;
+            allocated += amounts[i];
+        }
+        amounts[winnerCount - 1] = totalFunding - allocated;
+    }
+
     // Internal function to handle safe ETH transfers
     function _safeTransfer(address recipient, uint256 amount, uint256 hackathonId) internal {
         (bool success, ) = recipient.call{value: amount}("");
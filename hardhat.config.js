@@ -7,6 +7,9 @@ console.log("PRIVATE_KEY:", process.env.PRIVATE_KEY ? "Loaded" : "Not loaded");
 module.exports = {
   solidity: "0.8.0",
   networks: {
+    localhost: {
+      url: process.env.LOCAL_RPC_URL || "http://127.0.0.1:8545",
+    },
     sepolia: {
       url: process.env.RPC_URL,
       accounts: [process.env.PRIVATE_KEY],
@@ -0,0 +1,35 @@
+const { ethers } = require("hardhat");
+
+// Deploys a mintable 6-decimal "USDC" for local testing and mints some to the
+// given accounts (MINT_TO, comma separated; defaults to the deployer).
+async function main() {
+  console.log("Deploying mock ERC-20...");
+
+  try {
+    const [deployer] = await ethers.getSigners();
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const token = await MockERC20.deploy("Mock USD Coin", "mUSDC", 6);
+    await token.waitForDeployment();
+
+    const tokenAddress = await token.getAddress();
+    console.log("MockERC20 deployed to:", tokenAddress);
+
+    const recipients = process.env.MINT_TO ? process.env.MINT_TO.split(",") : [deployer.address];
+    const amount = ethers.parseUnits(process.env.MINT_AMOUNT || "100000", 6);
+    for (const recipient of recipients) {
+      const tx = await token.mint(recipient.trim(), amount);
+      await tx.wait();
+      console.log(`Minted ${ethers.formatUnits(amount, 6)} mUSDC to ${recipient.trim()}`);
+    }
+  } catch (error) {
+    console.error("Deployment error:", error.message);
+    throw error;
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("Error in main function:", error);
+    process.exitCode = 1;
+  });
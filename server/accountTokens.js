@@ -0,0 +1,55 @@
+// Single-use tokens sent by email (address verification, password reset,
+// invitations to accounts created by a participant import).
+// Only a SHA-256 hash is stored. Issuing a new token for a purpose voids the
+// user's earlier unused ones, so only the latest link works.
+//
+// Configuration (all optional):
+//   EMAIL_VERIFICATION_TTL_HOURS  lifetime of verification links (default 24)
+//   PASSWORD_RESET_TTL_MINUTES    lifetime of reset links (default 60)
+//   INVITATION_TTL_HOURS          lifetime of invitation links (default 168)
+
+const crypto = require('crypto');
+
+const TTL_MS = {
+  email_verification: parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || '24') * 60 * 60 * 1000,
+  password_reset: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60') * 60 * 1000,
+  invitation: parseInt(process.env.INVITATION_TTL_HOURS || '168') * 60 * 60 * 1000,
+};
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function createAccountToken(pool, userId, purpose) {
+  if (!TTL_MS[purpose]) {
+    throw new Error(`Unknown token purpose: ${purpose}`);
+  }
+
+  await pool.query(
+    'UPDATE account_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+    [userId, purpose]
+  );
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await pool.query(
+    'INSERT INTO account_tokens (user_id, purpose, token_hash, expires_at) VALUES ($1, $2, $3, $4)',
+    [userId, purpose, hashToken(token), new Date(Date.now() + TTL_MS[purpose]).toISOString()]
+  );
+  return token;
+}
+
+// Uses up the token and returns its user id, or null if it is unknown, used or expired
+async function consumeAccountToken(pool, token, purpose) {
+  if (typeof token !== 'string' || token === '') return null;
+
+  const result = await pool.query(
+    'UPDATE account_tokens SET used_at = CURRENT_TIMESTAMP WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP RETURNING user_id',
+    [hashToken(token), purpose]
+  );
+  return result.rows[0] ? result.rows[0].user_id : null;
+}
+
+module.exports = {
+  createAccountToken,
+  consumeAccountToken,
+};
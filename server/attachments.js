@@ -0,0 +1,148 @@
+// Submission attachments: demo videos, slide decks, screenshots.
+// Each hackathon can set a per-file size limit and the MIME types it accepts
+// (exact types or wildcards like video/*); without them the defaults below
+// apply. Uploads are parsed by multer into a temporary directory and then
+// handed to storage.js, which decides where the files actually live.
+//
+// Configuration (all optional):
+//   ATTACHMENT_MAX_BYTES        default per-file limit (default 26214400, 25 MB)
+//   ATTACHMENT_MAX_BYTES_LIMIT  the highest limit a hackathon may set (default 524288000, 500 MB)
+//   ATTACHMENT_MAX_FILES        attachments per submission (default 10)
+//   UPLOAD_TMP_DIR              where uploads wait until they are stored (default the OS temp directory)
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const multer = require('multer');
+const { putFile, removeFile } = require('./storage');
+
+const config = {
+  maxBytes: parseInt(process.env.ATTACHMENT_MAX_BYTES || '26214400'),
+  maxBytesLimit: parseInt(process.env.ATTACHMENT_MAX_BYTES_LIMIT || '524288000'),
+  maxFiles: parseInt(process.env.ATTACHMENT_MAX_FILES || '10'),
+  tmpDir: process.env.UPLOAD_TMP_DIR || os.tmpdir(),
+};
+
+const DEFAULT_MIME_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'video/mp4',
+  'video/webm',
+  'video/quicktime',
+  'application/pdf',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/vnd.oasis.opendocument.presentation',
+];
+
+const MAX_MIME_TYPES = 50;
+const MIME_PATTERN = /^[a-z0-9][a-z0-9.+-]*\/([a-z0-9][a-z0-9.+-]*|\*)$/;
+
+// Checks the attachment fields of a hackathon being created or edited.
+// Returns an error message or null.
+function validateAttachmentSettings(fields) {
+  const { attachment_max_bytes: maxBytes, attachment_mime_types: mimeTypes } = fields;
+
+  if (maxBytes !== undefined && maxBytes !== null
+    && !(Number.isInteger(maxBytes) && maxBytes > 0 && maxBytes <= config.maxBytesLimit)) {
+    return `Attachment size limit must be a whole number of bytes up to ${config.maxBytesLimit}`;
+  }
+
+  if (mimeTypes !== undefined && mimeTypes !== null) {
+    if (!Array.isArray(mimeTypes) || mimeTypes.length === 0 || mimeTypes.length > MAX_MIME_TYPES) {
+      return `Attachment types must be a list of 1 to ${MAX_MIME_TYPES} MIME types`;
+    }
+    const invalid = mimeTypes.find(type => typeof type !== 'string' || !MIME_PATTERN.test(type));
+    if (invalid !== undefined) {
+      return `Invalid attachment type: ${invalid}`;
+    }
+  }
+  return null;
+}
+
+// The limits that apply to a hackathon's attachments
+function attachmentLimits(hackathon) {
+  return {
+    maxBytes: hackathon.attachment_max_bytes || config.maxBytes,
+    mimeTypes: hackathon.attachment_mime_types || DEFAULT_MIME_TYPES,
+    maxFiles: config.maxFiles,
+  };
+}
+
+function isAllowedType(mimeTypes, type) {
+  const mainType = type.split('/')[0];
+  return mimeTypes.some(allowed => allowed === type || allowed === `${mainType}/*`);
+}
+
+// Multer middleware taking up to `count` files from the `files` field. Files
+// of a type the hackathon does not accept fail the whole upload.
+function createUploader(limits, count) {
+  return multer({
+    dest: config.tmpDir,
+    limits: { fileSize: limits.maxBytes, files: count },
+    fileFilter: (req, file, cb) => {
+      if (!isAllowedType(limits.mimeTypes, file.mimetype.toLowerCase())) {
+        const error = new Error(`File type ${file.mimetype} is not accepted; allowed: ${limits.mimeTypes.join(', ')}`);
+        error.code = 'ATTACHMENT_TYPE';
+        return cb(error);
+      }
+      cb(null, true);
+    },
+  }).array('files');
+}
+
+// The message to show for an error from createUploader, or null when it was
+// not caused by the upload itself
+function uploadErrorMessage(error, limits, count) {
+  if (error.code === 'ATTACHMENT_TYPE') return error.message;
+  if (!(error instanceof multer.MulterError)) return null;
+  if (error.code === 'LIMIT_FILE_SIZE') return `Each file must be at most ${limits.maxBytes} bytes`;
+  if (error.code === 'LIMIT_FILE_COUNT') return `A submission can have at most ${limits.maxFiles} attachments; ${count} more can be added`;
+  if (error.code === 'LIMIT_UNEXPECTED_FILE') return 'Files must be sent in the "files" field';
+  return error.message;
+}
+
+// Stores one uploaded file under a fresh key and returns the attachment fields
+// to record. The temporary file is removed either way.
+async function storeUpload(submissionId, file) {
+  // Multer reads file names as latin1; browsers send UTF-8
+  const filename = Buffer.from(file.originalname, 'latin1').toString('utf8').slice(0, 255);
+  const extension = path.extname(filename).toLowerCase().replace(/[^a-z0-9.]/g, '').slice(0, 16);
+  const key = `submissions/${submissionId}/${crypto.randomUUID()}${extension}`;
+  try {
+    await putFile(key, file.path, { contentType: file.mimetype, size: file.size });
+  } finally {
+    await fs.promises.rm(file.path, { force: true });
+  }
+  return { storageKey: key, filename, contentType: file.mimetype, size: file.size };
+}
+
+// Removes the temporary files of an upload that will not be stored
+async function discardUploads(files) {
+  await Promise.all((files || []).map(file => fs.promises.rm(file.path, { force: true })));
+}
+
+// Deletes stored files. Failures are logged, not thrown: the rows are already
+// gone, so a leftover file is only wasted space.
+async function removeStoredFiles(keys) {
+  for (const key of keys) {
+    try {
+      await removeFile(key);
+    } catch (error) {
+      console.error(`Failed to remove attachment ${key}:`, error.message);
+    }
+  }
+}
+
+module.exports = {
+  validateAttachmentSettings,
+  attachmentLimits,
+  createUploader,
+  uploadErrorMessage,
+  storeUpload,
+  discardUploads,
+  removeStoredFiles,
+};
@@ -0,0 +1,311 @@
+// Data exports for organizers.
+// Each dataset is described by its columns and an async generator of row
+// batches, and written to the response as CSV or JSON while it is read, so a
+// large hackathon is never held in memory at once. Column values may be lists
+// or objects: JSON keeps them as they are, CSV joins lists with "; " and
+// writes objects as JSON. Registration answers and custom submission form
+// answers get a column per question or field (registration.<id>, form.<id>).
+//
+// Datasets: participants, submissions, scores, payouts.
+//
+// Configuration (all optional):
+//   EXPORT_BATCH_SIZE  rows read from the database per query (default 500)
+
+const { ethers } = require('ethers');
+
+const config = {
+  batchSize: parseInt(process.env.EXPORT_BATCH_SIZE || '500'),
+};
+
+const FORMATS = ['csv', 'json'];
+
+// Reads rows in id order, `batchSize` at a time. `fetch(afterId, limit)`
+// returns the next rows, which must have an id.
+async function* keysetBatches(fetch) {
+  let afterId = 0;
+  for (;;) {
+    const rows = await fetch(afterId, config.batchSize);
+    if (rows.length > 0) yield rows;
+    if (rows.length < config.batchSize) return;
+    afterId = rows[rows.length - 1].id;
+  }
+}
+
+// A column per question, read from the answers object `answersOf` returns
+function answerColumns(prefix, questions, answersOf) {
+  return (questions || []).map(question => ({
+    name: `${prefix}.${question.id}`,
+    value: row => (answersOf(row) || {})[question.id],
+  }));
+}
+
+const datasets = {
+  // Every registration, whatever its status, with its answers and team
+  participants: (db, hackathon) => ({
+    columns: [
+      { name: 'user_id', value: row => row.user_id },
+      { name: 'email', value: row => row.email },
+      { name: 'wallet_address', value: row => row.wallet_address },
+      { name: 'wallet_verified', value: row => row.wallet_verified },
+      { name: 'status', value: row => row.status },
+      { name: 'withdrawn', value: row => row.withdrawn },
+      { name: 'joined_at', value: row => row.joined_at },
+      { name: 'decided_at', value: row => row.decided_at },
+      { name: 'team', value: row => row.team_name },
+      ...answerColumns('registration', hackathon.registration_questions, row => row.answers),
+    ],
+    batches: keysetBatches(async (afterId, limit) => {
+      const result = await db.query(`
+        SELECT p.id, p.user_id, u.email, u.wallet_address, u.wallet_verified, p.status, p.withdrawn,
+               p.joined_at, p.decided_at, p.answers, team.name AS team_name
+        FROM hackathon_participants p
+        JOIN users u ON p.user_id = u.id
+        LEFT JOIN LATERAL (
+          SELECT t.name FROM teams t
+          JOIN team_members tm ON tm.team_id = t.id
+          WHERE t.hackathon_id = p.hackathon_id AND tm.user_id = p.user_id AND tm.status = 'accepted'
+          LIMIT 1
+        ) team ON TRUE
+        WHERE p.hackathon_id = $1 AND p.id > $2
+        ORDER BY p.id
+        LIMIT $3
+      `, [hackathon.id, afterId, limit]);
+      return result.rows;
+    }),
+  }),
+
+  // The current version of each submission with its team, tracks and form
+  // answers, ranked by the judges' scores when there are any
+  submissions: (db, hackathon, { rankings = [] } = {}) => {
+    const ranked = new Map(rankings.map(entry => [entry.submission_id, entry]));
+    return {
+      columns: [
+        { name: 'submission_id', value: row => row.id },
+        { name: 'created_at', value: row => row.created_at },
+        { name: 'updated_at', value: row => row.updated_at },
+        { name: 'revision', value: row => row.revision },
+        { name: 'submitter_id', value: row => row.user_id },
+        { name: 'submitter_email', value: row => row.email },
+        { name: 'team', value: row => row.team_name },
+        { name: 'teammates', value: row => row.teammates },
+        { name: 'teammate_names', value: row => row.teammate_names },
+        { name: 'idea', value: row => row.idea },
+        { name: 'description', value: row => row.description },
+        { name: 'github_link', value: row => row.github_link },
+        { name: 'payout_wallet', value: row => row.public_key },
+        { name: 'tracks', value: row => row.tracks },
+        { name: 'attachments', value: row => row.attachment_count },
+        { name: 'rank', value: row => (ranked.has(row.id) ? ranked.get(row.id).rank : null) },
+        { name: 'score', value: row => (ranked.has(row.id) ? ranked.get(row.id).score : null) },
+        ...answerColumns('form', hackathon.submission_form, row => row.form_answers),
+      ],
+      batches: keysetBatches(async (afterId, limit) => {
+        const result = await db.query(`
+          SELECT s.*, u.email, t.name AS team_name,
+                 ARRAY(
+                   SELECT mu.email FROM team_members tm JOIN users mu ON tm.user_id = mu.id
+                   WHERE tm.team_id = s.team_id AND tm.status = 'accepted' AND tm.user_id <> s.user_id
+                   ORDER BY tm.id
+                 ) AS teammates,
+                 ARRAY(
+                   SELECT ht.name FROM submission_tracks st JOIN hackathon_tracks ht ON st.track_id = ht.id
+                   WHERE st.submission_id = s.id
+                   ORDER BY ht.id
+                 ) AS tracks,
+                 (SELECT COUNT(*)::int FROM submission_attachments a WHERE a.submission_id = s.id) AS attachment_count
+          FROM submissions s
+          JOIN users u ON s.user_id = u.id
+          LEFT JOIN teams t ON s.team_id = t.id
+          WHERE s.hackathon_id = $1 AND s.id > $2
+          ORDER BY s.id
+          LIMIT $3
+        `, [hackathon.id, afterId, limit]);
+        return result.rows;
+      }),
+    };
+  },
+
+  // One row per judge and criterion
+  scores: (db, hackathon) => ({
+    columns: [
+      { name: 'submission_id', value: row => row.submission_id },
+      { name: 'idea', value: row => row.idea },
+      { name: 'judge_id', value: row => row.judge_id },
+      { name: 'judge_email', value: row => row.judge_email },
+      { name: 'criterion', value: row => row.criterion },
+      { name: 'max_score', value: row => row.max_score },
+      { name: 'weight', value: row => row.weight },
+      { name: 'score', value: row => row.score },
+      { name: 'comment', value: row => row.comment },
+      { name: 'revision', value: row => row.revision },
+      { name: 'scored_at', value: row => row.updated_at || row.created_at },
+    ],
+    batches: keysetBatches(async (afterId, limit) => {
+      const result = await db.query(`
+        SELECT js.id, js.submission_id, s.idea, js.judge_id, u.email AS judge_email,
+               c.name AS criterion, c.max_score, c.weight, js.score, js.comment, js.revision,
+               js.created_at, js.updated_at
+        FROM judge_scores js
+        JOIN submissions s ON js.submission_id = s.id
+        JOIN judging_criteria c ON js.criterion_id = c.id
+        JOIN users u ON js.judge_id = u.id
+        WHERE s.hackathon_id = $1 AND js.id > $2
+        ORDER BY js.id
+        LIMIT $3
+      `, [hackathon.id, afterId, limit]);
+      return result.rows;
+    }),
+  }),
+
+  // The winners of the main pool and of every track, each joined to the
+  // PrizeDistributed (or TrackPrizeDistributed) event that paid them. Winners
+  // not paid yet have no amount or transaction.
+  payouts: (db, hackathon) => ({
+    columns: [
+      { name: 'pool', value: row => row.pool },
+      { name: 'track_id', value: row => row.track_id },
+      { name: 'rank', value: row => row.rank },
+      { name: 'winner', value: row => row.public_key },
+      { name: 'submission_id', value: row => row.submission_id },
+      { name: 'score', value: row => row.score },
+      { name: 'amount', value: row => row.amount },
+      { name: 'amount_base_units', value: row => row.amount_base_units },
+      { name: 'token', value: () => hackathon.prize_token_symbol || 'ETH' },
+      { name: 'status', value: row => (row.tx_hash ? 'paid' : 'pending') },
+      { name: 'tx_hash', value: row => row.tx_hash },
+      { name: 'block_number', value: row => row.block_number },
+      { name: 'paid_at', value: row => row.paid_at },
+    ],
+    batches: (async function* payoutRows() {
+      const trackResult = await db.query(
+        'SELECT id, name, winners FROM hackathon_tracks WHERE hackathon_id = $1 AND winners IS NOT NULL ORDER BY id',
+        [hackathon.id]
+      );
+      const eventResult = await db.query(`
+        SELECT event_name, args, tx_hash, block_number, block_timestamp
+        FROM chain_events
+        WHERE hackathon_id = $1 AND event_name IN ('PrizeDistributed', 'TrackPrizeDistributed')
+        ORDER BY block_number, log_index
+      `, [hackathon.id]);
+
+      const pools = [{ name: 'main', trackId: null, winners: hackathon.winners || [] }]
+        .concat(trackResult.rows.map(track => ({ name: track.name, trackId: track.id, winners: track.winners })));
+
+      const rows = [];
+      for (const { name, trackId, winners } of pools) {
+        // Payments of this pool not yet matched to a winner, in the order they were made
+        const payments = eventResult.rows.filter(event => (trackId === null
+          ? event.event_name === 'PrizeDistributed'
+          : event.event_name === 'TrackPrizeDistributed' && Number(event.args.trackId) === trackId));
+
+        winners.forEach((winner, index) => {
+          const paymentIndex = payments.findIndex(event => event.args.winner.toLowerCase() === winner.public_key.toLowerCase());
+          const payment = paymentIndex === -1 ? null : payments.splice(paymentIndex, 1)[0];
+          rows.push({
+            pool: name,
+            track_id: trackId,
+            rank: winner.rank || index + 1,
+            public_key: winner.public_key,
+            submission_id: winner.submission_id,
+            score: winner.score,
+            amount: payment ? ethers.formatUnits(payment.args.amount, hackathon.prize_token_decimals) : null,
+            amount_base_units: payment ? payment.args.amount : null,
+            tx_hash: payment ? payment.tx_hash : null,
+            block_number: payment ? payment.block_number : null,
+            paid_at: payment ? payment.block_timestamp : null,
+          });
+        });
+      }
+      if (rows.length > 0) yield rows;
+    })(),
+  }),
+};
+
+// Spreadsheet programs run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (Array.isArray(value)) {
+    text = value.map(item => (typeof item === 'object' && item !== null ? JSON.stringify(item) : String(item))).join('; ');
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+  // Lists and objects are text by now too; only real numbers may start with "-"
+  if (typeof value !== 'number' && typeof value !== 'bigint' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return values.map(csvField).join(',') + '\r\n';
+}
+
+// Writes a chunk, waiting for the client to catch up when the buffer is full
+function write(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const onDrain = () => {
+      res.off('close', onClose);
+      resolve();
+    };
+    const onClose = () => {
+      res.off('drain', onDrain);
+      reject(new Error('Client closed the connection'));
+    };
+    res.once('drain', onDrain);
+    res.once('close', onClose);
+  });
+}
+
+// Streams a dataset as an attachment. Errors before the first row reach the
+// caller, who can still answer with an error; later ones end the response
+// early, as the status has already been sent.
+async function streamExport(res, { columns, batches }, { format, filename }) {
+  const iterator = batches[Symbol.asyncIterator]();
+  let next = await iterator.next();
+
+  res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    let first = true;
+    await write(res, format === 'csv' ? csvLine(columns.map(column => column.name)) : '[');
+    while (!next.done) {
+      let chunk = '';
+      for (const row of next.value) {
+        const values = columns.map(column => column.value(row));
+        if (format === 'csv') {
+          chunk += csvLine(values);
+        } else {
+          const entry = {};
+          columns.forEach((column, index) => {
+            entry[column.name] = values[index] === undefined ? null : values[index];
+          });
+          chunk += (first ? '\n' : ',\n') + JSON.stringify(entry);
+          first = false;
+        }
+      }
+      await write(res, chunk);
+      next = await iterator.next();
+    }
+    res.end(format === 'csv' ? '' : '\n]\n');
+  } catch (error) {
+    console.error(`Export ${filename} stopped:`, error.message);
+    await iterator.return();
+    res.destroy();
+  }
+}
+
+module.exports = {
+  FORMATS,
+  datasets,
+  streamExport,
+};
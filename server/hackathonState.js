@@ -0,0 +1,240 @@
+// Hackathon lifecycle.
+// A hackathon moves through
+//   draft -> upcoming -> active -> ended -> funded -> winners_set -> distributed
+// and can be cancelled from any phase before distribution. The phase is
+// derived from facts recorded elsewhere (publication, dates, manual/on-chain
+// end, funding, winners, payout, cancellation) and persisted in
+// hackathons.status. Code that changes one of those facts calls syncPhase,
+// which stores the new phase and appends every step to
+// hackathon_phase_transitions. Routes ask checkAction whether an action is
+// allowed in the current phase instead of testing the facts themselves.
+//
+// Configuration (all optional):
+//   PHASE_SWEEP_INTERVAL_MS  how often date-driven phases are brought up to date (default 60000)
+
+const LIFECYCLE = ['draft', 'upcoming', 'active', 'ended', 'funded', 'winners_set', 'distributed'];
+
+const TRANSITIONS = {
+  draft: ['upcoming', 'cancelled'],
+  upcoming: ['active', 'ended', 'cancelled'],
+  active: ['ended', 'cancelled'],
+  ended: ['funded', 'cancelled'],
+  funded: ['winners_set', 'cancelled'],
+  winners_set: ['distributed', 'cancelled'],
+  distributed: [],
+  cancelled: [],
+};
+
+const PHASES = Object.keys(TRANSITIONS);
+
+// Phases in which each route-level action is allowed
+const ACTIONS = {
+  edit: { phases: ['draft', 'upcoming', 'active'], label: 'edit the hackathon' },
+  publish: { phases: ['draft'], label: 'publish the hackathon' },
+  delete: { phases: ['draft', 'upcoming', 'cancelled'], label: 'delete the hackathon' },
+  join: { phases: ['upcoming', 'active'], label: 'join' },
+  withdraw: { phases: ['upcoming', 'active'], label: 'withdraw' },
+  review_registrations: { phases: ['upcoming', 'active'], label: 'review registrations' },
+  import_participants: { phases: ['draft', 'upcoming', 'active'], label: 'import participants' },
+  team: { phases: ['upcoming', 'active'], label: 'change teams' },
+  submit: { phases: ['upcoming', 'active'], label: 'submit or edit projects' },
+  register: { phases: ['upcoming', 'active', 'ended', 'funded'], label: 'register on-chain' },
+  fund: { phases: ['upcoming', 'active', 'ended', 'funded', 'winners_set'], label: 'fund the prize pool' },
+  end: { phases: ['upcoming', 'active', 'ended', 'funded'], label: 'end the hackathon' },
+  set_winners: { phases: ['funded'], label: 'set winners' },
+  distribute: { phases: ['winners_set'], label: 'distribute prizes' },
+  cancel: { phases: ['draft', 'upcoming', 'active', 'ended', 'funded', 'winners_set'], label: 'cancel the hackathon' },
+  refund: { phases: ['cancelled'], label: 'claim refunds' },
+  manage_tracks: { phases: ['draft', 'upcoming', 'active'], label: 'change tracks' },
+  fund_track: { phases: ['upcoming', 'active', 'ended', 'funded', 'winners_set', 'distributed'], label: 'register or fund tracks' },
+  track_payout: { phases: ['ended', 'funded', 'winners_set', 'distributed'], label: 'set track winners or pay out tracks' },
+};
+
+const config = {
+  sweepInterval: parseInt(process.env.PHASE_SWEEP_INTERVAL_MS || '60000'),
+};
+
+const listeners = [];
+let timer = null;
+
+function hasEnded(hackathon, now) {
+  return hackathon.manually_ended || (hackathon.end_date && new Date(hackathon.end_date) < now);
+}
+
+function reached(hackathon, phase, now) {
+  switch (phase) {
+    case 'draft': return true;
+    case 'upcoming': return hackathon.published;
+    case 'active': return hackathon.published && hackathon.start_date && new Date(hackathon.start_date) <= now;
+    case 'ended': return hackathon.published && hasEnded(hackathon, now);
+    case 'funded': return reached(hackathon, 'ended', now) && Number(hackathon.funded_amount) > 0;
+    case 'winners_set': return Array.isArray(hackathon.winners) && hackathon.winners.length > 0;
+    case 'distributed': return Boolean(hackathon.prizes_distributed);
+    default: return false;
+  }
+}
+
+function derivePhase(hackathon, now = new Date()) {
+  if (hackathon.cancelled_at) return 'cancelled';
+  for (let i = LIFECYCLE.length - 1; i > 0; i--) {
+    if (reached(hackathon, LIFECYCLE[i], now)) return LIFECYCLE[i];
+  }
+  return 'draft';
+}
+
+// When a phase actually began, as far as the recorded facts tell
+function phaseStartedAt(hackathon, phase, now) {
+  const ended = hackathon.manually_ended_at && (!hackathon.end_date || new Date(hackathon.manually_ended_at) < new Date(hackathon.end_date))
+    ? hackathon.manually_ended_at
+    : hackathon.end_date;
+  const times = {
+    upcoming: hackathon.published_at,
+    active: hackathon.start_date,
+    ended,
+    funded: hackathon.funded_at && ended && new Date(hackathon.funded_at) > new Date(ended) ? hackathon.funded_at : ended,
+    distributed: hackathon.prizes_distributed_at,
+    cancelled: hackathon.cancelled_at,
+  };
+  const at = times[phase] ? new Date(times[phase]) : now;
+  return at > now ? now : at;
+}
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+function nextPhases(phase) {
+  return TRANSITIONS[phase] || [];
+}
+
+// Returns an error message when `action` is not allowed in the hackathon's current phase
+function checkAction(hackathon, action) {
+  const phase = derivePhase(hackathon);
+  if (ACTIONS[action].phases.includes(phase)) return null;
+  return `Cannot ${ACTIONS[action].label} while the hackathon is ${phase.replace('_', ' ')}`;
+}
+
+// The steps between the stored phase and the derived one. Phases that were
+// skipped (e.g. ended straight from upcoming) are left out.
+function planSteps(hackathon, from, to, now) {
+  const fromIndex = LIFECYCLE.indexOf(from);
+  const toIndex = LIFECYCLE.indexOf(to);
+  if (to === 'cancelled' || fromIndex === -1 || toIndex <= fromIndex) {
+    return [to];
+  }
+  return LIFECYCLE.slice(fromIndex + 1, toIndex + 1).filter(phase => phase === to || reached(hackathon, phase, now));
+}
+
+// listener({ hackathonId, from, to, actorId, reason }) is called after syncPhase
+// records a change. With a transaction client the change may still roll back.
+function onPhaseChange(listener) {
+  listeners.push(listener);
+}
+
+// Brings hackathons.status in line with the facts and records each step.
+// `db` may be the pool or a client inside a transaction. Returns the phase.
+async function syncPhase(db, hackathonId, { actorId = null, reason = null } = {}) {
+  const result = await db.query('SELECT * FROM hackathons WHERE id = $1', [hackathonId]);
+  const hackathon = result.rows[0];
+  if (!hackathon) return null;
+
+  const now = new Date();
+  const from = hackathon.status;
+  const to = derivePhase(hackathon, now);
+  if (from === to) return to;
+
+  // Only one caller gets to record a given change
+  const update = await db.query(
+    'UPDATE hackathons SET status = $1, status_changed_at = $2 WHERE id = $3 AND status = $4',
+    [to, phaseStartedAt(hackathon, to, now).toISOString(), hackathonId, from]
+  );
+  if (update.rowCount === 0) return to;
+
+  let previous = from;
+  for (const phase of planSteps(hackathon, from, to, now)) {
+    const allowed = canTransition(previous, phase);
+    if (!allowed) {
+      console.warn(`Hackathon ${hackathonId} moved ${previous} -> ${phase}, which is not a normal transition`);
+    }
+    const isLast = phase === to;
+    await db.query(
+      'INSERT INTO hackathon_phase_transitions (hackathon_id, from_phase, to_phase, actor_id, reason, transitioned_at) VALUES ($1, $2, $3, $4, $5, $6)',
+      [
+        hackathonId,
+        previous,
+        phase,
+        isLast ? actorId : null,
+        allowed ? (isLast && reason) || 'schedule' : 'resync',
+        phaseStartedAt(hackathon, phase, now).toISOString(),
+      ]
+    );
+    previous = phase;
+  }
+
+  listeners.forEach(listener => {
+    try {
+      listener({ hackathonId: hackathon.id, from, to, actorId, reason });
+    } catch (error) {
+      console.error('Phase listener error:', error.message);
+    }
+  });
+  return to;
+}
+
+async function getPhaseHistory(pool, hackathonId) {
+  const result = await pool.query(`
+    SELECT t.from_phase, t.to_phase, t.reason, t.actor_id, u.email AS actor_email, t.transitioned_at, t.recorded_at
+    FROM hackathon_phase_transitions t
+    LEFT JOIN users u ON t.actor_id = u.id
+    WHERE t.hackathon_id = $1
+    ORDER BY t.transitioned_at, t.id
+  `, [hackathonId]);
+  return result.rows;
+}
+
+// Moves hackathons whose start or end date has passed into their next phase
+async function sweepPhases(pool) {
+  const result = await pool.query(`
+    SELECT id FROM hackathons
+    WHERE published = TRUE AND status IN ('upcoming', 'active', 'ended')
+      AND (start_date <= CURRENT_TIMESTAMP AND status = 'upcoming'
+        OR end_date < CURRENT_TIMESTAMP AND status = 'active'
+        OR funded_amount > 0 AND status = 'ended')
+  `);
+  for (const { id } of result.rows) {
+    await syncPhase(pool, id, { reason: 'schedule' });
+  }
+}
+
+function startPhaseSweeper(pool) {
+  const loop = async () => {
+    try {
+      await sweepPhases(pool);
+    } catch (error) {
+      console.error('Phase sweeper error:', error.message);
+    } finally {
+      timer = setTimeout(loop, config.sweepInterval);
+    }
+  };
+
+  console.log('Starting hackathon phase sweeper');
+  loop();
+}
+
+function stopPhaseSweeper() {
+  clearTimeout(timer);
+  timer = null;
+}
+
+module.exports = {
+  PHASES,
+  derivePhase,
+  canTransition,
+  nextPhases,
+  checkAction,
+  syncPhase,
+  onPhaseChange,
+  getPhaseHistory,
+  startPhaseSweeper,
+  stopPhaseSweeper,
+};
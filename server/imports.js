@@ -0,0 +1,213 @@
+// Bulk imports from CSV.
+// Organizers upload a CSV (Content-Type text/csv) with a header row; column
+// names are matched case-insensitively. Each row is checked and applied in
+// one transaction, which is rolled back when any row fails or when the import
+// is a dry run, so a dry run reports exactly what a real import would do.
+//
+// Participants: email (required), wallet_address (only used for accounts the
+// import creates) and a registration.<question id> column per registration
+// question, as in the participants export.
+//
+// Hackathons: title and description (required), start_date, end_date,
+// prize_pool, prize_token, prize_split (basis points separated by ";"),
+// require_verified_wallet, max_participants, join_mode,
+// registration_opens_at, registration_closes_at, attachment_max_bytes,
+// attachment_mime_types (separated by ";"), and registration_questions and
+// submission_form as JSON. Imported hackathons are saved as drafts.
+//
+// Configuration (all optional):
+//   IMPORT_MAX_ROWS   rows per import (default 1000)
+//   IMPORT_MAX_BYTES  size of an uploaded CSV (default 2mb)
+
+const express = require('express');
+
+const config = {
+  maxRows: parseInt(process.env.IMPORT_MAX_ROWS || '1000'),
+  maxBytes: process.env.IMPORT_MAX_BYTES || '2mb',
+};
+
+// Body parser for the import routes
+const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: config.maxBytes });
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+// Splits RFC 4180 CSV into records of fields. Returns { records } or { error }.
+function splitCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push({ line: recordLine, fields: record });
+      record = [];
+      field = '';
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    return { error: `Unterminated quoted field starting on line ${recordLine}` };
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push({ line: recordLine, fields: record });
+  }
+  return { records: records.filter(r => r.fields.some(value => value.trim() !== '')) };
+}
+
+// Parses a CSV upload into { rows: [{ line, values }] }, values keyed by the
+// lowercased header, or { error }
+function parseCsv(text, requiredColumns) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    return { error: 'Send the CSV as the request body with Content-Type: text/csv' };
+  }
+
+  const { records, error } = splitCsv(text.replace(/^\uFEFF/, ''));
+  if (error) return { error };
+
+  const [header, ...body] = records;
+  const columns = header.fields.map(name => name.trim().toLowerCase());
+  const duplicate = columns.find((name, index) => columns.indexOf(name) !== index);
+  if (duplicate !== undefined) {
+    return { error: `Duplicate column: ${duplicate}` };
+  }
+  const missing = requiredColumns.filter(name => !columns.includes(name));
+  if (missing.length > 0) {
+    return { error: `Missing columns: ${missing.join(', ')}` };
+  }
+  if (body.length === 0) {
+    return { error: 'The CSV has no rows' };
+  }
+  if (body.length > config.maxRows) {
+    return { error: `At most ${config.maxRows} rows can be imported at once` };
+  }
+
+  const rows = [];
+  for (const { line, fields } of body) {
+    if (fields.length > columns.length) {
+      return { error: `Line ${line} has more fields than the header` };
+    }
+    const values = {};
+    columns.forEach((name, index) => {
+      values[name] = (fields[index] || '').trim();
+    });
+    rows.push({ line, values });
+  }
+  return { rows };
+}
+
+function parseBoolean(value) {
+  if (/^(true|yes|y|1)$/i.test(value)) return true;
+  if (/^(false|no|n|0)$/i.test(value)) return false;
+  return undefined;
+}
+
+// Cells are text; registration answers are typed by their question
+function answerValue(question, value) {
+  if (question.type === 'number') return value === '' || isNaN(value) ? value : Number(value);
+  if (question.type === 'boolean') {
+    const parsed = parseBoolean(value);
+    return parsed === undefined ? value : parsed;
+  }
+  return value;
+}
+
+// Returns { email, walletAddress, answers } for validateAnswers, or { error }
+function participantFromRow(values, questions) {
+  const { email } = values;
+  if (!EMAIL_PATTERN.test(email) || email.length > 255) {
+    return { error: 'Invalid email address' };
+  }
+
+  const walletAddress = values.wallet_address || null;
+  if (walletAddress && !ADDRESS_PATTERN.test(walletAddress)) {
+    return { error: 'Invalid wallet address' };
+  }
+
+  const answers = {};
+  (questions || []).forEach(question => {
+    const value = values[`registration.${question.id}`];
+    if (value !== undefined && value !== '') {
+      answers[question.id] = answerValue(question, value);
+    }
+  });
+  return { email, walletAddress, answers };
+}
+
+function parseJsonCell(name, value) {
+  try {
+    return { value: JSON.parse(value) };
+  } catch (error) {
+    return { error: `${name} must be valid JSON` };
+  }
+}
+
+// Returns { fields } in the shape POST /api/hackathons takes, or { error }
+function hackathonFromRow(values) {
+  const fields = {};
+  ['title', 'description', 'start_date', 'end_date', 'prize_pool', 'prize_token', 'join_mode', 'registration_opens_at', 'registration_closes_at']
+    .forEach(name => {
+      if (values[name]) fields[name] = values[name];
+    });
+
+  for (const name of ['max_participants', 'attachment_max_bytes']) {
+    if (values[name]) {
+      fields[name] = Number(values[name]);
+    }
+  }
+
+  if (values.require_verified_wallet) {
+    fields.require_verified_wallet = parseBoolean(values.require_verified_wallet);
+    if (fields.require_verified_wallet === undefined) {
+      return { error: 'require_verified_wallet must be true or false' };
+    }
+  }
+
+  if (values.prize_split) {
+    fields.prize_split = values.prize_split.split(';').map(bps => Number(bps.trim()));
+  }
+  if (values.attachment_mime_types) {
+    fields.attachment_mime_types = values.attachment_mime_types.split(';').map(type => type.trim().toLowerCase());
+  }
+
+  for (const name of ['registration_questions', 'submission_form']) {
+    if (values[name]) {
+      const parsed = parseJsonCell(name, values[name]);
+      if (parsed.error) return { error: parsed.error };
+      fields[name] = parsed.value;
+    }
+  }
+  return { fields };
+}
+
+module.exports = {
+  csvBody,
+  parseCsv,
+  participantFromRow,
+  hackathonFromRow,
+};
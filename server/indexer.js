@@ -0,0 +1,407 @@
+const { ethers } = require('ethers');
+const { syncPhase } = require('./hackathonState');
+
+// Background indexer for HackathonFunding events. It walks the chain in block
+// ranges, applies each event to the matching hackathon row and stores the
+// last processed block in indexer_state, so a restart resumes where it left off.
+//
+// Configuration (all optional):
+//   INDEXER_START_BLOCK        first block to scan when no cursor exists (default 0)
+//   INDEXER_BATCH_SIZE         blocks fetched per getLogs call (default 2000)
+//   INDEXER_CONFIRMATIONS      blocks to stay behind the head (default 0, fine for Hardhat)
+//   INDEXER_POLL_INTERVAL_MS   delay between polls (default 5000)
+
+const CURSOR_NAME = 'hackathon_funding';
+
+const eventsInterface = new ethers.Interface([
+  'event HackathonCreated(uint256 indexed hackathonId, address indexed organizer, address prizeToken)',
+  'event Funded(uint256 indexed hackathonId, uint256 amount)',
+  'event Contributed(uint256 indexed hackathonId, address indexed contributor, uint256 amount)',
+  'event HackathonCancelled(uint256 indexed hackathonId)',
+  'event Refunded(uint256 indexed hackathonId, address indexed contributor, uint256 amount)',
+  'event WinnersSet(uint256 indexed hackathonId, address[] winners)',
+  'event PrizeDistributed(uint256 indexed hackathonId, address winner, uint256 amount)',
+  'event HackathonEnded(uint256 indexed hackathonId)',
+  'event PrizeSplitSet(uint256 indexed hackathonId, uint256[] splitBps)',
+  'event Withdrawn(address indexed organizer, uint256 amount)',
+  'event TrackCreated(uint256 indexed hackathonId, uint256 indexed trackId)',
+  'event TrackContributed(uint256 indexed hackathonId, uint256 indexed trackId, address indexed contributor, uint256 amount)',
+  'event TrackRefunded(uint256 indexed hackathonId, uint256 indexed trackId, address indexed contributor, uint256 amount)',
+  'event TrackPrizeSplitSet(uint256 indexed hackathonId, uint256 indexed trackId, uint256[] splitBps)',
+  'event TrackWinnersSet(uint256 indexed hackathonId, uint256 indexed trackId, address[] winners)',
+  'event TrackPrizeDistributed(uint256 indexed hackathonId, uint256 indexed trackId, address winner, uint256 amount)',
+]);
+
+const stateAbi = [
+  'function hackathons(uint256) view returns (uint256 totalFunding, bool isFunded, bool prizesDistributed, bool isEnded, bool exists, bool cancelled, address organizer, address prizeToken)',
+  'function getWinners(uint256 hackathonId) view returns (address[])',
+  'function tracks(uint256, uint256) view returns (bool exists, uint256 totalFunding, bool prizesDistributed)',
+  'function getTrackWinners(uint256 hackathonId, uint256 trackId) view returns (address[])',
+];
+
+const config = {
+  startBlock: parseInt(process.env.INDEXER_START_BLOCK || '0'),
+  batchSize: parseInt(process.env.INDEXER_BATCH_SIZE || '2000'),
+  confirmations: parseInt(process.env.INDEXER_CONFIRMATIONS || '0'),
+  pollInterval: parseInt(process.env.INDEXER_POLL_INTERVAL_MS || '5000'),
+};
+
+let timer = null;
+let running = false;
+
+async function getCursor(pool) {
+  const result = await pool.query('SELECT last_block FROM indexer_state WHERE name = $1', [CURSOR_NAME]);
+  if (result.rows.length === 0) {
+    return config.startBlock - 1;
+  }
+  return parseInt(result.rows[0].last_block);
+}
+
+// Converts decoded event args into plain JSON (bigints become strings)
+function serializeArgs(parsed) {
+  const args = {};
+  parsed.fragment.inputs.forEach((input, index) => {
+    const value = parsed.args[index];
+    if (typeof value === 'bigint') {
+      args[input.name] = value.toString();
+    } else if (Array.isArray(value) || (value && typeof value.toArray === 'function')) {
+      args[input.name] = Array.from(value, v => (typeof v === 'bigint' ? v.toString() : v));
+    } else {
+      args[input.name] = value;
+    }
+  });
+  return args;
+}
+
+// Track pools work like the main pool: contributions are mirrored and the
+// funded total is rebuilt from the event log
+async function applyTrackFunding(client, name, args, { blockTime, blockNumber, txHash }) {
+  const { hackathonId, trackId } = args;
+  const tokenResult = await client.query('SELECT prize_token_decimals FROM hackathons WHERE id = $1', [hackathonId]);
+  const decimals = tokenResult.rows[0] ? tokenResult.rows[0].prize_token_decimals : 18;
+
+  if (name === 'TrackContributed') {
+    await client.query(`
+      INSERT INTO hackathon_contributions (hackathon_id, track_id, contributor_address, amount, amount_base_units, tx_hash, block_number, status, verified_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, 'verified', $8)
+      ON CONFLICT (tx_hash) DO UPDATE SET
+        track_id = EXCLUDED.track_id, contributor_address = EXCLUDED.contributor_address, amount = EXCLUDED.amount,
+        amount_base_units = EXCLUDED.amount_base_units, block_number = EXCLUDED.block_number, status = 'verified',
+        verified_at = COALESCE(hackathon_contributions.verified_at, EXCLUDED.verified_at)
+      WHERE hackathon_contributions.status = 'pending'
+    `, [hackathonId, trackId, args.contributor, ethers.formatUnits(args.amount, decimals), args.amount, txHash, blockNumber, blockTime]);
+  } else {
+    await client.query(
+      "UPDATE hackathon_contributions SET status = 'refunded', refunded_at = $1 WHERE hackathon_id = $2 AND track_id = $3 AND LOWER(contributor_address) = LOWER($4) AND status = 'verified'",
+      [blockTime, hackathonId, trackId, args.contributor]
+    );
+  }
+
+  await client.query(`
+    UPDATE hackathon_tracks SET funded_amount = (
+      SELECT COALESCE(SUM(CASE WHEN event_name = 'TrackContributed' THEN (args->>'amount')::numeric ELSE -(args->>'amount')::numeric END), 0)
+             / POWER(10::numeric, $4)
+      FROM chain_events
+      WHERE hackathon_id = $1 AND args->>'trackId' = $2::text AND event_name IN ('TrackContributed', 'TrackRefunded')
+    ), funded_at = COALESCE(funded_at, $3)
+    WHERE id = $2 AND hackathon_id = $1
+  `, [hackathonId, trackId, blockTime, decimals]);
+}
+
+async function applyEvent(client, name, args, { blockTime, blockNumber, txHash }) {
+  const hackathonId = args.hackathonId;
+
+  switch (name) {
+    case 'HackathonCreated':
+      await client.query(
+        'UPDATE hackathons SET chain_organizer_address = $1, prize_token_address = $2 WHERE id = $3',
+        [args.organizer, args.prizeToken === ethers.ZeroAddress ? null : args.prizeToken, hackathonId]
+      );
+      break;
+    case 'Funded':
+    case 'Refunded':
+      // Pools take several contributions, so the total is rebuilt from the event log
+      await client.query(`
+        UPDATE hackathons SET funded_amount = (
+          SELECT COALESCE(SUM(CASE WHEN event_name = 'Funded' THEN (args->>'amount')::numeric ELSE -(args->>'amount')::numeric END), 0)
+                 / POWER(10::numeric, hackathons.prize_token_decimals)
+          FROM chain_events
+          WHERE hackathon_id = $1 AND event_name IN ('Funded', 'Refunded')
+        ), funded_at = COALESCE(funded_at, $2)
+        WHERE id = $1
+      `, [hackathonId, blockTime]);
+      if (name === 'Refunded') {
+        await client.query(
+          "UPDATE hackathon_contributions SET status = 'refunded', refunded_at = $1 WHERE hackathon_id = $2 AND track_id IS NULL AND LOWER(contributor_address) = LOWER($3) AND status = 'verified'",
+          [blockTime, hackathonId, args.contributor]
+        );
+      }
+      break;
+    case 'Contributed': {
+      const tokenResult = await client.query('SELECT prize_token_decimals FROM hackathons WHERE id = $1', [hackathonId]);
+      const decimals = tokenResult.rows[0] ? tokenResult.rows[0].prize_token_decimals : 18;
+      await client.query(`
+        INSERT INTO hackathon_contributions (hackathon_id, contributor_address, amount, amount_base_units, tx_hash, block_number, status, verified_at)
+        VALUES ($1, $2, $3, $4, $5, $6, 'verified', $7)
+        ON CONFLICT (tx_hash) DO UPDATE SET
+          contributor_address = EXCLUDED.contributor_address, amount = EXCLUDED.amount, amount_base_units = EXCLUDED.amount_base_units,
+          block_number = EXCLUDED.block_number, status = 'verified', verified_at = COALESCE(hackathon_contributions.verified_at, EXCLUDED.verified_at)
+        WHERE hackathon_contributions.status = 'pending'
+      `, [hackathonId, args.contributor, ethers.formatUnits(args.amount, decimals), args.amount, txHash, blockNumber, blockTime]);
+      break;
+    }
+    case 'HackathonCancelled':
+      await client.query(
+        'UPDATE hackathons SET cancelled_at = COALESCE(cancelled_at, $1) WHERE id = $2',
+        [blockTime, hackathonId]
+      );
+      break;
+    case 'WinnersSet': {
+      // Keep the ranking details recorded by the API when the addresses still match
+      const current = await client.query('SELECT winners FROM hackathons WHERE id = $1', [hackathonId]);
+      const existing = (current.rows[0] && current.rows[0].winners) || [];
+      const winners = args.winners.map(address => {
+        const known = existing.find(w => w.public_key && w.public_key.toLowerCase() === address.toLowerCase());
+        return known || { public_key: address };
+      });
+      await client.query('UPDATE hackathons SET winners = $1 WHERE id = $2', [JSON.stringify(winners), hackathonId]);
+      break;
+    }
+    case 'PrizeDistributed':
+      await client.query(
+        'UPDATE hackathons SET prizes_distributed = TRUE, prizes_distributed_at = COALESCE(prizes_distributed_at, $1) WHERE id = $2',
+        [blockTime, hackathonId]
+      );
+      break;
+    case 'HackathonEnded':
+      await client.query(
+        'UPDATE hackathons SET manually_ended = TRUE, manually_ended_at = COALESCE(manually_ended_at, $1), chain_ended_at = COALESCE(chain_ended_at, $1) WHERE id = $2',
+        [blockTime, hackathonId]
+      );
+      break;
+    case 'PrizeSplitSet':
+      await client.query(
+        'UPDATE hackathons SET prize_split = $1 WHERE id = $2',
+        [JSON.stringify(args.splitBps.map(Number)), hackathonId]
+      );
+      break;
+    case 'TrackCreated':
+      await client.query(
+        'UPDATE hackathon_tracks SET registered_at = COALESCE(registered_at, $1) WHERE id = $2 AND hackathon_id = $3',
+        [blockTime, args.trackId, hackathonId]
+      );
+      break;
+    case 'TrackContributed':
+    case 'TrackRefunded':
+      await applyTrackFunding(client, name, args, { blockTime, blockNumber, txHash });
+      break;
+    case 'TrackPrizeSplitSet':
+      await client.query(
+        'UPDATE hackathon_tracks SET prize_split = $1 WHERE id = $2 AND hackathon_id = $3',
+        [JSON.stringify(args.splitBps.map(Number)), args.trackId, hackathonId]
+      );
+      break;
+    case 'TrackWinnersSet': {
+      const current = await client.query('SELECT winners FROM hackathon_tracks WHERE id = $1 AND hackathon_id = $2', [args.trackId, hackathonId]);
+      const existing = (current.rows[0] && current.rows[0].winners) || [];
+      const winners = args.winners.map(address => {
+        const known = existing.find(w => w.public_key && w.public_key.toLowerCase() === address.toLowerCase());
+        return known || { public_key: address };
+      });
+      await client.query('UPDATE hackathon_tracks SET winners = $1 WHERE id = $2 AND hackathon_id = $3', [JSON.stringify(winners), args.trackId, hackathonId]);
+      break;
+    }
+    case 'TrackPrizeDistributed':
+      await client.query(
+        'UPDATE hackathon_tracks SET prizes_distributed = TRUE, prizes_distributed_at = COALESCE(prizes_distributed_at, $1) WHERE id = $2 AND hackathon_id = $3',
+        [blockTime, args.trackId, hackathonId]
+      );
+      break;
+    default:
+      // Withdrawn is contract-wide and is only recorded in chain_events
+      break;
+  }
+
+  if (hackathonId) {
+    await syncPhase(client, hackathonId, { reason: `chain: ${name}` });
+  }
+}
+
+// Processes one range of blocks; the events and the cursor move in one transaction
+async function indexRange(pool, provider, contractAddress, fromBlock, toBlock) {
+  const logs = await provider.getLogs({ address: contractAddress, fromBlock, toBlock });
+  const blockTimes = new Map();
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const log of logs) {
+      const parsed = eventsInterface.parseLog(log);
+      if (!parsed) continue;
+
+      if (!blockTimes.has(log.blockNumber)) {
+        const block = await provider.getBlock(log.blockNumber);
+        blockTimes.set(log.blockNumber, new Date(block.timestamp * 1000).toISOString());
+      }
+      const blockTime = blockTimes.get(log.blockNumber);
+      const args = serializeArgs(parsed);
+      const logIndex = log.index !== undefined ? log.index : log.logIndex;
+
+      const inserted = await client.query(`
+        INSERT INTO chain_events (event_name, hackathon_id, block_number, block_timestamp, tx_hash, log_index, args)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (tx_hash, log_index) DO NOTHING
+      `, [parsed.name, args.hackathonId || null, log.blockNumber, blockTime, log.transactionHash, logIndex, JSON.stringify(args)]);
+
+      if (inserted.rowCount > 0) {
+        await applyEvent(client, parsed.name, args, { blockTime, blockNumber: log.blockNumber, txHash: log.transactionHash });
+        console.log(`Indexed ${parsed.name} at block ${log.blockNumber}:`, args);
+      }
+    }
+    await client.query(`
+      INSERT INTO indexer_state (name, last_block, updated_at) VALUES ($1, $2, CURRENT_TIMESTAMP)
+      ON CONFLICT (name) DO UPDATE SET last_block = EXCLUDED.last_block, updated_at = EXCLUDED.updated_at
+    `, [CURSOR_NAME, toBlock]);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function syncOnce(pool, provider, contractAddress) {
+  const head = (await provider.getBlockNumber()) - config.confirmations;
+  let cursor = await getCursor(pool);
+
+  while (cursor < head) {
+    const fromBlock = cursor + 1;
+    const toBlock = Math.min(fromBlock + config.batchSize - 1, head);
+    await indexRange(pool, provider, contractAddress, fromBlock, toBlock);
+    cursor = toBlock;
+  }
+  return cursor;
+}
+
+function startIndexer(pool, provider, contractAddress) {
+  if (!contractAddress) {
+    console.log('CONTRACT_ADDRESS not set, indexer disabled');
+    return;
+  }
+
+  const poll = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await syncOnce(pool, provider, contractAddress);
+    } catch (error) {
+      console.error('Indexer error:', error.message);
+    } finally {
+      running = false;
+      timer = setTimeout(poll, config.pollInterval);
+    }
+  };
+
+  console.log('Starting HackathonFunding indexer');
+  poll();
+}
+
+function stopIndexer() {
+  clearTimeout(timer);
+  timer = null;
+}
+
+// The same comparison for each of the hackathon's tracks
+async function reconcileTracks(pool, stateContract, hackathon) {
+  const result = await pool.query('SELECT * FROM hackathon_tracks WHERE hackathon_id = $1 ORDER BY id', [hackathon.id]);
+  const report = [];
+
+  for (const track of result.rows) {
+    const onChain = await stateContract.tracks(hackathon.id, track.id);
+    const chainWinners = onChain.exists ? await stateContract.getTrackWinners(hackathon.id, track.id) : [];
+    const dbWinners = (track.winners || []).map(w => w.public_key.toLowerCase());
+    const dbFunding = ethers.parseUnits(String(track.funded_amount || 0), hackathon.prize_token_decimals);
+
+    const mismatches = [];
+    if (Boolean(track.registered_at) !== onChain.exists) {
+      mismatches.push({ field: 'registered', database: Boolean(track.registered_at), chain: onChain.exists });
+    }
+    if (dbFunding !== onChain.totalFunding) {
+      mismatches.push({ field: 'funded_amount', database: String(track.funded_amount || 0), chain: ethers.formatUnits(onChain.totalFunding, hackathon.prize_token_decimals) });
+    }
+    if (Boolean(track.prizes_distributed) !== onChain.prizesDistributed) {
+      mismatches.push({ field: 'prizes_distributed', database: Boolean(track.prizes_distributed), chain: onChain.prizesDistributed });
+    }
+    const sameWinners = dbWinners.length === chainWinners.length &&
+      chainWinners.every((address, index) => address.toLowerCase() === dbWinners[index]);
+    if (!sameWinners) {
+      mismatches.push({ field: 'winners', database: dbWinners, chain: chainWinners.map(a => a.toLowerCase()) });
+    }
+
+    report.push({ track_id: track.id, name: track.name, in_sync: mismatches.length === 0, mismatches });
+  }
+  return report;
+}
+
+// Compares each hackathon row, and each of its tracks, with the contract's
+// view of it and lists the fields that disagree.
+async function getReconciliationReport(pool, provider, contractAddress, hackathons) {
+  const stateContract = new ethers.Contract(contractAddress, stateAbi, provider);
+  const report = [];
+
+  for (const hackathon of hackathons) {
+    const onChain = await stateContract.hackathons(hackathon.id);
+    const chainWinners = onChain.exists ? await stateContract.getWinners(hackathon.id) : [];
+    const dbWinners = (hackathon.winners || []).map(w => w.public_key.toLowerCase());
+    const dbFunding = ethers.parseUnits(String(hackathon.funded_amount || 0), hackathon.prize_token_decimals);
+
+    const mismatches = [];
+    const dbToken = (hackathon.prize_token_address || ethers.ZeroAddress).toLowerCase();
+    if (onChain.exists && dbToken !== onChain.prizeToken.toLowerCase()) {
+      mismatches.push({ field: 'prize_token_address', database: hackathon.prize_token_address, chain: onChain.prizeToken });
+    }
+    const dbOrganizer = (hackathon.chain_organizer_address || ethers.ZeroAddress).toLowerCase();
+    if (dbOrganizer !== onChain.organizer.toLowerCase()) {
+      mismatches.push({ field: 'chain_organizer_address', database: hackathon.chain_organizer_address, chain: onChain.organizer });
+    }
+    if (dbFunding !== onChain.totalFunding) {
+      mismatches.push({ field: 'funded_amount', database: String(hackathon.funded_amount || 0), chain: ethers.formatUnits(onChain.totalFunding, hackathon.prize_token_decimals) });
+    }
+    if (Boolean(hackathon.chain_ended_at) !== onChain.isEnded) {
+      mismatches.push({ field: 'chain_ended_at', database: Boolean(hackathon.chain_ended_at), chain: onChain.isEnded });
+    }
+    if ((hackathon.status === 'cancelled') !== onChain.cancelled) {
+      mismatches.push({ field: 'cancelled', database: hackathon.status === 'cancelled', chain: onChain.cancelled });
+    }
+    if (Boolean(hackathon.prizes_distributed) !== onChain.prizesDistributed) {
+      mismatches.push({ field: 'prizes_distributed', database: Boolean(hackathon.prizes_distributed), chain: onChain.prizesDistributed });
+    }
+    const sameWinners = dbWinners.length === chainWinners.length &&
+      chainWinners.every((address, index) => address.toLowerCase() === dbWinners[index]);
+    if (!sameWinners) {
+      mismatches.push({ field: 'winners', database: dbWinners, chain: chainWinners.map(a => a.toLowerCase()) });
+    }
+
+    const tracks = await reconcileTracks(pool, stateContract, hackathon);
+    report.push({
+      hackathon_id: hackathon.id,
+      title: hackathon.title,
+      in_sync: mismatches.length === 0 && tracks.every(track => track.in_sync),
+      mismatches,
+      tracks,
+    });
+  }
+
+  const lastBlock = await getCursor(pool);
+  const chainHead = await provider.getBlockNumber();
+  return { last_indexed_block: lastBlock, chain_head: chainHead, hackathons: report };
+}
+
+module.exports = {
+  eventsInterface,
+  startIndexer,
+  stopIndexer,
+  syncOnce,
+  getReconciliationReport,
+};
@@ -0,0 +1,150 @@
+// Filtering, sorting and cursor pagination for list endpoints.
+// A list is described by its FROM clause, the filters that apply and the
+// columns it may be sorted by. Pages are fetched with a keyset condition on
+// (sort value, id) rather than OFFSET, so they stay fast and stable while rows
+// are being added. The cursor handed to the client is that pair, base64url
+// encoded; the total is counted separately with the same filters.
+//
+// Query parameters understood by every list:
+//   sort    one of the list's sort keys
+//   order   asc or desc (default depends on the sort key)
+//   limit   page size, 1-100 (default 20)
+//   cursor  next_cursor from the previous page
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify([value, id])).toString('base64url');
+}
+
+const MAX_INTEGER = 2147483647;
+
+// Whether `value` is what (expr)::text yields for a sort of this SQL type, so
+// a hand-edited cursor is rejected here instead of failing the cast in SQL
+function isSortValue(value, type) {
+  if (typeof value !== 'string') return false;
+  switch (type) {
+    case 'integer':
+      return /^-?\d+$/.test(value) && Math.abs(Number(value)) <= MAX_INTEGER;
+    case 'numeric':
+      return /^-?\d+(\.\d+)?$/.test(value);
+    case 'real':
+      return /^-?\d+(\.\d+)?(e[+-]?\d+)?$/.test(value) || ['NaN', 'Infinity', '-Infinity'].includes(value);
+    case 'timestamp': {
+      if (value === 'infinity' || value === '-infinity') return true;
+      if (!/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d{1,6})?$/.test(value)) return false;
+      // Rejects dates like 2024-02-30 that match the pattern
+      const date = new Date(`${value.replace(' ', 'T')}Z`);
+      return !isNaN(date) && date.toISOString().slice(0, 19) === value.slice(0, 19).replace(' ', 'T');
+    }
+    default:
+      return !value.includes('\u0000');
+  }
+}
+
+function decodeCursor(cursor, type) {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Number.isInteger(id) || Math.abs(id) > MAX_INTEGER) return null;
+    if (!isSortValue(value, type)) return null;
+    return { value, id };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Builds WHERE clauses and parameters; filters add themselves through `add`
+function createConditions(initial = [], params = []) {
+  const conditions = [...initial];
+  const values = [...params];
+  return {
+    conditions,
+    params: values,
+    // `sql` uses ? for each value, e.g. add('h.prize_pool >= ?', min)
+    add(sql, ...args) {
+      let clause = sql;
+      args.forEach(arg => {
+        values.push(arg);
+        clause = clause.replace('?', () => `$${values.length}`);
+      });
+      conditions.push(clause);
+    },
+    param(value) {
+      values.push(value);
+      return `$${values.length}`;
+    },
+  };
+}
+
+// Returns { sort, order, limit, cursor } or { error }.
+// `sorts` maps sort keys to { expr, type, order } where expr never yields NULL
+// (wrap nullable columns in COALESCE) and type is the SQL type of expr.
+function parseListParams(query, sorts, defaultSort) {
+  const sort = query.sort || defaultSort;
+  if (!Object.hasOwn(sorts, sort)) {
+    return { error: `sort must be one of: ${Object.keys(sorts).join(', ')}` };
+  }
+
+  const order = (query.order || sorts[sort].order || 'asc').toLowerCase();
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'order must be asc or desc' };
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be between 1 and ${MAX_LIMIT}` };
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor, sorts[sort].type);
+    if (!cursor) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+
+  return { sort: sorts[sort], order, limit, cursor };
+}
+
+// Runs the page and count queries. `from` is everything after FROM (joins
+// included), `idColumn` the unique tie-breaker. Returns { rows, total, next_cursor }.
+async function fetchPage(pool, { select, from, idColumn, where, list }) {
+  const { sort, order, limit, cursor } = list;
+  const whereSql = where.conditions.length > 0 ? `WHERE ${where.conditions.join(' AND ')}` : '';
+
+  const countResult = await pool.query(`SELECT COUNT(*) FROM ${from} ${whereSql}`, where.params);
+
+  const page = createConditions(where.conditions, where.params);
+  if (cursor) {
+    const comparison = order === 'asc' ? '>' : '<';
+    page.add(`(${sort.expr}, ${idColumn}) ${comparison} (?::${sort.type}, ?)`, cursor.value, cursor.id);
+  }
+  const pageWhere = page.conditions.length > 0 ? `WHERE ${page.conditions.join(' AND ')}` : '';
+
+  const result = await pool.query(`
+    SELECT ${select}, (${sort.expr})::text AS _sort_value
+    FROM ${from}
+    ${pageWhere}
+    ORDER BY ${sort.expr} ${order}, ${idColumn} ${order}
+    LIMIT ${page.param(limit + 1)}
+  `, page.params);
+
+  const hasMore = result.rows.length > limit;
+  const rows = result.rows.slice(0, limit);
+  const last = rows[rows.length - 1];
+  const nextCursor = hasMore ? encodeCursor(last._sort_value, last.id) : null;
+  rows.forEach(row => delete row._sort_value);
+
+  return {
+    rows,
+    total: parseInt(countResult.rows[0].count),
+    next_cursor: nextCursor,
+  };
+}
+
+module.exports = {
+  createConditions,
+  parseListParams,
+  fetchPage,
+};
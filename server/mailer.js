@@ -0,0 +1,74 @@
+// Outgoing mail.
+// Messages go through whichever transport MAIL_TRANSPORT names:
+//   console  print the message to the log (default, for local development)
+//   file     write each message as a JSON file into MAIL_DIR (default ./mail-outbox)
+//   smtp     send through SMTP_HOST/SMTP_PORT/SMTP_SECURE/SMTP_USER/SMTP_PASS
+// Other transports can be added with registerTransport(name, { send(message) }).
+//
+//   MAIL_FROM  sender address (default no-reply@blockhunt.local)
+//   APP_URL    frontend base URL used in links (default http://localhost:3000)
+
+const fs = require('fs');
+const path = require('path');
+
+const config = {
+  transport: process.env.MAIL_TRANSPORT || 'console',
+  from: process.env.MAIL_FROM || 'no-reply@blockhunt.local',
+  appUrl: process.env.APP_URL || 'http://localhost:3000',
+  dir: process.env.MAIL_DIR || './mail-outbox',
+};
+
+const transports = {
+  console: {
+    send: async message => {
+      console.log(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    },
+  },
+  file: {
+    send: async message => {
+      await fs.promises.mkdir(config.dir, { recursive: true });
+      const name = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@.]/g, '_')}.json`;
+      await fs.promises.writeFile(path.join(config.dir, name), JSON.stringify(message, null, 2));
+    },
+  },
+  smtp: {
+    send: async message => {
+      // Only loaded when SMTP is actually used
+      if (!transports.smtp.client) {
+        const nodemailer = require('nodemailer');
+        transports.smtp.client = nodemailer.createTransport({
+          host: process.env.SMTP_HOST,
+          port: parseInt(process.env.SMTP_PORT || '587'),
+          secure: process.env.SMTP_SECURE === 'true',
+          auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+        });
+      }
+      await transports.smtp.client.sendMail(message);
+    },
+  },
+};
+
+function registerTransport(name, transport) {
+  transports[name] = transport;
+}
+
+async function sendMail({ to, subject, text }) {
+  const transport = transports[config.transport];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${config.transport}`);
+  }
+  await transport.send({ from: config.from, to, subject, text });
+}
+
+// Builds a frontend link, e.g. appLink('/reset-password', { token })
+function appLink(pathname, params) {
+  const url = new URL(pathname, config.appUrl);
+  Object.entries(params || {}).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+}
+
+module.exports = {
+  registerTransport,
+  sendMail,
+  appLink,
+};
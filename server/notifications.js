@@ -0,0 +1,223 @@
+// User notifications.
+// Each notification is stored for the in-app list and, where the user wants
+// it, emailed through mailer.js (whose console transport stands in for email
+// locally). Users choose per notification type whether they get it in the app,
+// by email, both or neither. A scheduler sends reminders to participants
+// before a hackathon starts and before it ends.
+//
+// Configuration (all optional):
+//   REMINDER_LEAD_HOURS          how long before start/end the reminders go out (default 24)
+//   REMINDER_INTERVAL_MS         how often the scheduler looks for due reminders (default 300000)
+
+const { sendMail, appLink } = require('./mailer');
+
+const config = {
+  reminderLead: parseFloat(process.env.REMINDER_LEAD_HOURS || '24') * 60 * 60 * 1000,
+  reminderInterval: parseInt(process.env.REMINDER_INTERVAL_MS || '300000'),
+};
+
+// Default channels per type, used until the user sets a preference
+const TYPES = {
+  registration: { in_app: true, email: true },
+  submission: { in_app: true, email: false },
+  hackathon_started: { in_app: true, email: true },
+  hackathon_ended: { in_app: true, email: true },
+  winners_announced: { in_app: true, email: true },
+  prizes_distributed: { in_app: true, email: true },
+  hackathon_cancelled: { in_app: true, email: true },
+  reminder: { in_app: true, email: true },
+};
+
+const listeners = [];
+let timer = null;
+
+// listener(notification) is called for each stored notification, e.g. to push it to open streams
+function onNotification(listener) {
+  listeners.push(listener);
+}
+
+async function getPreferences(pool, userId) {
+  const result = await pool.query('SELECT type, in_app, email FROM notification_preferences WHERE user_id = $1', [userId]);
+  const preferences = {};
+  Object.keys(TYPES).forEach(type => {
+    preferences[type] = { ...TYPES[type] };
+  });
+  result.rows.forEach(row => {
+    if (preferences[row.type]) preferences[row.type] = { in_app: row.in_app, email: row.email };
+  });
+  return preferences;
+}
+
+// `changes` maps types to { in_app, email }; either channel may be left out.
+// Returns an error message or null.
+async function setPreferences(pool, userId, changes) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    return 'Preferences must be an object keyed by notification type';
+  }
+
+  const current = await getPreferences(pool, userId);
+  for (const [type, channels] of Object.entries(changes)) {
+    if (!TYPES[type]) {
+      return `Unknown notification type: ${type}`;
+    }
+    if (!channels || ['in_app', 'email'].some(channel => channels[channel] !== undefined && typeof channels[channel] !== 'boolean')) {
+      return `Channels for ${type} must be true or false`;
+    }
+  }
+
+  for (const [type, channels] of Object.entries(changes)) {
+    const merged = { ...current[type], ...channels };
+    await pool.query(`
+      INSERT INTO notification_preferences (user_id, type, in_app, email) VALUES ($1, $2, $3, $4)
+      ON CONFLICT (user_id, type) DO UPDATE SET in_app = EXCLUDED.in_app, email = EXCLUDED.email
+    `, [userId, type, merged.in_app, merged.email]);
+  }
+  return null;
+}
+
+// Notifies each of `userIds` over the channels they have enabled for `type`.
+// `link` is a frontend path included in emails. Email failures are logged,
+// not thrown, so a mail outage never fails the action that caused them.
+async function notifyUsers(pool, userIds, { type, hackathonId = null, title, body, link }) {
+  if (!TYPES[type]) {
+    throw new Error(`Unknown notification type: ${type}`);
+  }
+
+  const ids = [...new Set(userIds.map(Number))];
+  if (ids.length === 0) return;
+
+  const recipients = await pool.query(`
+    SELECT u.id, u.email, u.email_verified,
+           COALESCE(np.in_app, $2) AS in_app,
+           COALESCE(np.email, $3) AS email_enabled
+    FROM users u
+    LEFT JOIN notification_preferences np ON np.user_id = u.id AND np.type = $4
+    WHERE u.id = ANY($1) AND u.suspended_at IS NULL
+  `, [ids, TYPES[type].in_app, TYPES[type].email, type]);
+
+  for (const user of recipients.rows) {
+    if (user.in_app) {
+      const result = await pool.query(
+        'INSERT INTO notifications (user_id, hackathon_id, type, title, body, link) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
+        [user.id, hackathonId, type, title, body, link || null]
+      );
+      listeners.forEach(listener => {
+        try {
+          listener(result.rows[0]);
+        } catch (error) {
+          console.error('Notification listener error:', error.message);
+        }
+      });
+    }
+
+    if (user.email_enabled && user.email && user.email_verified) {
+      sendMail({
+        to: user.email,
+        subject: title,
+        text: link ? `${body}\n\n${appLink(link)}` : body,
+      }).catch(error => console.error(`Notification email to user ${user.id} failed:`, error.message));
+    }
+  }
+}
+
+// Newest first. `before` is the id of the last notification already shown.
+async function listNotifications(pool, userId, { unreadOnly = false, before = null, limit = 50 } = {}) {
+  const params = [userId];
+  const conditions = ['user_id = $1'];
+  if (unreadOnly) {
+    conditions.push('read_at IS NULL');
+  }
+  if (before) {
+    params.push(before);
+    conditions.push(`id < $${params.length}`);
+  }
+  params.push(limit);
+
+  const result = await pool.query(`
+    SELECT id, hackathon_id, type, title, body, link, read_at, created_at
+    FROM notifications
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY id DESC
+    LIMIT $${params.length}
+  `, params);
+  const unread = await pool.query('SELECT COUNT(*) FROM notifications WHERE user_id = $1 AND read_at IS NULL', [userId]);
+  return { unread: parseInt(unread.rows[0].count), notifications: result.rows };
+}
+
+// Marks the given notifications read, or all of the user's when `ids` is null. Returns how many changed.
+async function markRead(pool, userId, ids) {
+  const result = ids === null
+    ? await pool.query('UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND read_at IS NULL', [userId])
+    : await pool.query('UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND id = ANY($2) AND read_at IS NULL', [userId, ids]);
+  return result.rowCount;
+}
+
+// Sends each due reminder once per date: if a date moves, the reminder for
+// the new date goes out again.
+async function sendDueReminders(pool) {
+  const lead = new Date(Date.now() + config.reminderLead).toISOString();
+  const due = await pool.query(`
+    SELECT h.id, h.title, 'start' AS kind, h.start_date AS due_at
+    FROM hackathons h
+    WHERE h.status = 'upcoming' AND h.start_date > CURRENT_TIMESTAMP AND h.start_date <= $1
+    UNION ALL
+    SELECT h.id, h.title, 'end' AS kind, h.end_date AS due_at
+    FROM hackathons h
+    WHERE h.status = 'active' AND h.end_date > CURRENT_TIMESTAMP AND h.end_date <= $1
+  `, [lead]);
+
+  for (const reminder of due.rows) {
+    // Claiming the reminder first keeps two servers from both sending it
+    const claim = await pool.query(
+      'INSERT INTO notification_reminders (hackathon_id, kind, due_at) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING RETURNING hackathon_id',
+      [reminder.id, reminder.kind, reminder.due_at]
+    );
+    if (claim.rows.length === 0) continue;
+
+    const participants = await pool.query(
+      "SELECT user_id FROM hackathon_participants WHERE hackathon_id = $1 AND withdrawn = FALSE AND status = 'approved'",
+      [reminder.id]
+    );
+    const when = new Date(reminder.due_at).toUTCString();
+    await notifyUsers(pool, participants.rows.map(row => row.user_id), {
+      type: 'reminder',
+      hackathonId: reminder.id,
+      title: reminder.kind === 'start' ? `${reminder.title} starts soon` : `${reminder.title} ends soon`,
+      body: reminder.kind === 'start'
+        ? `${reminder.title} starts on ${when}.`
+        : `${reminder.title} ends on ${when}. Make sure your project is submitted before then.`,
+      link: `/hackathons/${reminder.id}`,
+    });
+  }
+}
+
+function startReminderScheduler(pool) {
+  const loop = async () => {
+    try {
+      await sendDueReminders(pool);
+    } catch (error) {
+      console.error('Reminder scheduler error:', error.message);
+    } finally {
+      timer = setTimeout(loop, config.reminderInterval);
+    }
+  };
+
+  console.log('Starting notification reminder scheduler');
+  loop();
+}
+
+function stopReminderScheduler() {
+  clearTimeout(timer);
+  timer = null;
+}
+
+module.exports = {
+  onNotification,
+  getPreferences,
+  setPreferences,
+  notifyUsers,
+  listNotifications,
+  markRead,
+  startReminderScheduler,
+  stopReminderScheduler,
+};
@@ -0,0 +1,109 @@
+// Server-Sent Events for hackathon dashboards.
+// A client opens one stream and names the hackathons it follows. Each event
+// belongs to a hackathon and carries public data plus optional details that
+// only the hackathon's organizer, admins and the users listed with the event
+// receive; events marked private are not sent to anyone else at all. Recent
+// events are kept in memory so a reconnecting client (Last-Event-ID) catches
+// up on what it missed. Streams live in this process only.
+//
+// Configuration (all optional):
+//   STREAM_HEARTBEAT_MS  interval of keep-alive comments and session re-checks (default 25000)
+//   STREAM_REPLAY_SIZE   number of recent events kept for reconnects (default 500)
+
+const config = {
+  heartbeat: parseInt(process.env.STREAM_HEARTBEAT_MS || '25000'),
+  replaySize: parseInt(process.env.STREAM_REPLAY_SIZE || '500'),
+};
+
+const clients = new Set();
+const recent = [];
+let lastEventId = 0;
+
+// What a client sees of an event, or null when the event is not for it
+function viewFor(client, event) {
+  const privileged = client.organizerOf.has(event.hackathonId) || client.user.role === 'admin';
+  const addressed = event.userIds.includes(client.user.id);
+
+  if (!privileged && !addressed) {
+    return event.privateOnly ? null : event.data;
+  }
+  return { ...event.data, ...event.details };
+}
+
+function write(client, event) {
+  if (!client.hackathonIds.has(event.hackathonId) && !event.userIds.includes(client.user.id)) return;
+  const view = viewFor(client, event);
+  if (!view) return;
+  client.res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ hackathon_id: event.hackathonId, ...view })}\n\n`);
+}
+
+// Sends an event to the hackathon's subscribers. With hackathonId null the
+// event goes to `userIds` only.
+//   details      fields added for the organizer, admins and `userIds`
+//   userIds      users who get the details, and the event even without subscribing
+//   privateOnly  send nothing to everyone else
+function publish(hackathonId, type, data, { details = {}, userIds = [], privateOnly = false } = {}) {
+  const event = {
+    id: ++lastEventId,
+    hackathonId: hackathonId === null ? null : Number(hackathonId),
+    type,
+    data,
+    details,
+    userIds: userIds.map(Number),
+    privateOnly,
+  };
+
+  recent.push(event);
+  if (recent.length > config.replaySize) recent.shift();
+
+  clients.forEach(client => write(client, event));
+}
+
+// Takes over the response as an event stream. `hackathonIds` are the
+// hackathons to follow, `organizerOf` those among them the user runs.
+// `isActive` is polled with each heartbeat and closes the stream once it
+// resolves false, so logging out also ends open streams.
+function openStream(req, res, { user, hackathonIds, organizerOf, isActive }) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write(`retry: 5000\n\n`);
+
+  const client = {
+    user,
+    hackathonIds: new Set(hackathonIds.map(Number)),
+    organizerOf: new Set(organizerOf.map(Number)),
+    res,
+  };
+  clients.add(client);
+
+  const since = parseInt(req.headers['last-event-id']);
+  if (!isNaN(since)) {
+    recent.filter(event => event.id > since).forEach(event => write(client, event));
+  }
+
+  const heartbeat = setInterval(async () => {
+    try {
+      if (isActive && !(await isActive())) {
+        res.end();
+        return;
+      }
+    } catch (error) {
+      console.error('Stream session check error:', error.message);
+    }
+    res.write(': keep-alive\n\n');
+  }, config.heartbeat);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+  });
+}
+
+module.exports = {
+  publish,
+  openStream,
+};
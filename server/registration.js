@@ -0,0 +1,179 @@
+// Hackathon registration controls.
+// Organizers can cap the number of participants, open and close registration
+// independently of the start and end dates, require their approval before
+// people are let in and ask questions whose answers are kept per participant.
+// A hackathon_participants row has one of these statuses:
+//   approved    a participant; the only status that counts towards the cap
+//   pending     waiting for the organizer (approval mode)
+//   waitlisted  admitted while the hackathon was full; promoted in join order
+//   rejected    turned down by the organizer
+// Withdrawal is tracked separately in the withdrawn flag, as before.
+
+const JOIN_MODES = ['open', 'approval'];
+const QUESTION_TYPES = ['text', 'number', 'boolean', 'choice'];
+const MAX_QUESTIONS = 20;
+const MAX_ANSWER_LENGTH = 2000;
+
+function validateQuestions(questions) {
+  if (!Array.isArray(questions) || questions.length > MAX_QUESTIONS) {
+    return `Registration questions must be a list of at most ${MAX_QUESTIONS}`;
+  }
+
+  const ids = new Set();
+  for (const question of questions) {
+    if (!question || typeof question.id !== 'string' || !/^[a-z0-9_]{1,50}$/.test(question.id)) {
+      return 'Each registration question needs an id of lowercase letters, digits or underscores';
+    }
+    if (ids.has(question.id)) {
+      return `Duplicate registration question id: ${question.id}`;
+    }
+    ids.add(question.id);
+
+    if (typeof question.label !== 'string' || question.label.trim() === '') {
+      return `Registration question ${question.id} needs a label`;
+    }
+    if (!QUESTION_TYPES.includes(question.type)) {
+      return `Registration question type must be one of: ${QUESTION_TYPES.join(', ')}`;
+    }
+    if (question.type === 'choice'
+      && (!Array.isArray(question.options) || question.options.length === 0 || !question.options.every(option => typeof option === 'string'))) {
+      return `Registration question ${question.id} needs a list of options`;
+    }
+  }
+  return null;
+}
+
+// Checks the registration fields of a hackathon being created or edited.
+// Returns an error message or null.
+function validateRegistrationSettings(fields) {
+  const { max_participants: maxParticipants, join_mode: joinMode, registration_questions: questions } = fields;
+
+  if (maxParticipants !== undefined && maxParticipants !== null && !(Number.isInteger(maxParticipants) && maxParticipants > 0)) {
+    return 'Max participants must be a positive whole number';
+  }
+
+  if (joinMode !== undefined && !JOIN_MODES.includes(joinMode)) {
+    return `Join mode must be one of: ${JOIN_MODES.join(', ')}`;
+  }
+
+  const opensAt = fields.registration_opens_at ? new Date(fields.registration_opens_at) : null;
+  const closesAt = fields.registration_closes_at ? new Date(fields.registration_closes_at) : null;
+  if ((opensAt && isNaN(opensAt)) || (closesAt && isNaN(closesAt))) {
+    return 'Invalid registration date';
+  }
+  if (opensAt && closesAt && closesAt <= opensAt) {
+    return 'Registration must close after it opens';
+  }
+  if (closesAt && fields.end_date && closesAt > new Date(fields.end_date)) {
+    return 'Registration must close by the end date';
+  }
+
+  if (questions !== undefined && questions !== null) {
+    return validateQuestions(questions);
+  }
+  return null;
+}
+
+// Returns { answers } with only the known questions, or { error }
+function validateAnswers(questions, answers) {
+  const given = answers || {};
+  if (typeof given !== 'object' || Array.isArray(given)) {
+    return { error: 'Answers must be an object keyed by question id' };
+  }
+
+  const accepted = {};
+  for (const question of questions || []) {
+    const answer = given[question.id];
+    if (answer === undefined || answer === null || answer === '') {
+      if (question.required) {
+        return { error: `Please answer: ${question.label}` };
+      }
+      continue;
+    }
+
+    const valid = {
+      text: typeof answer === 'string' && answer.length <= MAX_ANSWER_LENGTH,
+      number: typeof answer === 'number' && Number.isFinite(answer),
+      boolean: typeof answer === 'boolean',
+      choice: question.options && question.options.includes(answer),
+    }[question.type];
+    if (!valid) {
+      return { error: `Invalid answer for: ${question.label}` };
+    }
+    accepted[question.id] = answer;
+  }
+  return { answers: accepted };
+}
+
+// Returns an error message when registration is not open right now. Without
+// a window registration follows the join phases.
+function checkRegistrationWindow(hackathon, now = new Date()) {
+  if (hackathon.registration_opens_at && new Date(hackathon.registration_opens_at) > now) {
+    return `Registration opens at ${new Date(hackathon.registration_opens_at).toISOString()}`;
+  }
+  if (hackathon.registration_closes_at && new Date(hackathon.registration_closes_at) <= now) {
+    return 'Registration has closed';
+  }
+  return null;
+}
+
+async function countApproved(db, hackathonId) {
+  const result = await db.query(
+    "SELECT COUNT(*) FROM hackathon_participants WHERE hackathon_id = $1 AND withdrawn = FALSE AND status = 'approved'",
+    [hackathonId]
+  );
+  return parseInt(result.rows[0].count);
+}
+
+// Whether someone being let in now gets a place or goes on the waitlist.
+// `hackathon` should be locked FOR UPDATE so concurrent joins cannot both take the last place.
+async function admissionStatus(db, hackathon) {
+  if (!hackathon.max_participants) return 'approved';
+  return (await countApproved(db, hackathon.id)) < hackathon.max_participants ? 'approved' : 'waitlisted';
+}
+
+// Moves waitlisted participants into free places, earliest first. Call inside
+// a transaction after a place frees up or the cap is raised. Returns the
+// promoted user ids.
+async function promoteWaitlist(db, hackathonId) {
+  const hackathonResult = await db.query('SELECT id, max_participants FROM hackathons WHERE id = $1 FOR UPDATE', [hackathonId]);
+  const hackathon = hackathonResult.rows[0];
+  if (!hackathon) return [];
+
+  const free = hackathon.max_participants ? hackathon.max_participants - (await countApproved(db, hackathonId)) : null;
+  if (free !== null && free <= 0) return [];
+
+  const result = await db.query(`
+    UPDATE hackathon_participants SET status = 'approved', decided_at = CURRENT_TIMESTAMP
+    WHERE id IN (
+      SELECT id FROM hackathon_participants
+      WHERE hackathon_id = $1 AND withdrawn = FALSE AND status = 'waitlisted'
+      ORDER BY joined_at, id
+      LIMIT $2
+    )
+    RETURNING user_id
+  `, [hackathonId, free]);
+  return result.rows.map(row => row.user_id);
+}
+
+// 1-based place in the waitlist, or null when the user is not waitlisted
+async function waitlistPosition(db, hackathonId, userId) {
+  const result = await db.query(`
+    SELECT position FROM (
+      SELECT user_id, ROW_NUMBER() OVER (ORDER BY joined_at, id) AS position
+      FROM hackathon_participants
+      WHERE hackathon_id = $1 AND withdrawn = FALSE AND status = 'waitlisted'
+    ) waitlist
+    WHERE user_id = $2
+  `, [hackathonId, userId]);
+  return result.rows[0] ? parseInt(result.rows[0].position) : null;
+}
+
+module.exports = {
+  validateRegistrationSettings,
+  validateAnswers,
+  checkRegistrationWindow,
+  admissionStatus,
+  promoteWaitlist,
+  waitlistPosition,
+};
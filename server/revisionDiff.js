@@ -0,0 +1,88 @@
+// Differences between two submission revisions.
+// Single-line fields are reported as { before, after }. The description is
+// compared line by line and reported as a list of
+//   { op: 'equal' | 'insert' | 'delete', lines: [...] }
+// runs, so a frontend can render it like a unified diff. Custom form answers
+// are reported per field, as form_answers: { field id: { before, after } }.
+
+const FIELDS = ['idea', 'description', 'public_key', 'github_link', 'teammate_names'];
+const LINE_DIFF_FIELDS = ['description'];
+
+// Past this many lines on either side the description is reported as before/after
+const MAX_DIFF_LINES = 1000;
+
+function pushRun(runs, op, line) {
+  const last = runs[runs.length - 1];
+  if (last && last.op === op) {
+    last.lines.push(line);
+  } else {
+    runs.push({ op, lines: [line] });
+  }
+}
+
+// Longest-common-subsequence diff of two lists of lines
+function diffLines(before, after) {
+  const n = before.length;
+  const m = after.length;
+  const lengths = Array.from({ length: n + 1 }, () => new Uint16Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i][j] = before[i] === after[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const runs = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (before[i] === after[j]) {
+      pushRun(runs, 'equal', before[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      pushRun(runs, 'delete', before[i++]);
+    } else {
+      pushRun(runs, 'insert', after[j++]);
+    }
+  }
+  while (i < n) pushRun(runs, 'delete', before[i++]);
+  while (j < m) pushRun(runs, 'insert', after[j++]);
+  return runs;
+}
+
+// Returns { field: change } for the fields that differ between the two revisions
+function diffRevisions(from, to) {
+  const changes = {};
+  FIELDS.forEach(field => {
+    const before = from[field] || '';
+    const after = to[field] || '';
+    if (before === after) return;
+
+    const beforeLines = before.split('\n');
+    const afterLines = after.split('\n');
+    if (LINE_DIFF_FIELDS.includes(field) && beforeLines.length <= MAX_DIFF_LINES && afterLines.length <= MAX_DIFF_LINES) {
+      changes[field] = { lines: diffLines(beforeLines, afterLines) };
+    } else {
+      changes[field] = { before: from[field], after: to[field] };
+    }
+  });
+
+  const beforeAnswers = from.form_answers || {};
+  const afterAnswers = to.form_answers || {};
+  const answerChanges = {};
+  new Set([...Object.keys(beforeAnswers), ...Object.keys(afterAnswers)]).forEach(field => {
+    if (JSON.stringify(beforeAnswers[field]) === JSON.stringify(afterAnswers[field])) return;
+    answerChanges[field] = {
+      before: beforeAnswers[field] === undefined ? null : beforeAnswers[field],
+      after: afterAnswers[field] === undefined ? null : afterAnswers[field],
+    };
+  });
+  if (Object.keys(answerChanges).length > 0) {
+    changes.form_answers = answerChanges;
+  }
+  return changes;
+}
+
+module.exports = {
+  diffRevisions,
+};
@@ -6,6 +6,25 @@ const jwt = require('jsonwebtoken');
 const dotenv = require('dotenv');
 const fs = require('fs');
 const cors = require('cors');
+const { eventsInterface, startIndexer, getReconciliationReport } = require('./indexer');
+const { registerJobType, onJobUpdate, enqueueJob, markSubmitted, startWorker } = require('./txQueue');
+const { createChallenge, verifyChallenge } = require('./siwe');
+const { createSession, rotateRefreshToken, isSessionActive, revokeSession, revokeAllSessions, listSessions } = require('./sessions');
+const { createAccountToken, consumeAccountToken } = require('./accountTokens');
+const { sendMail, appLink } = require('./mailer');
+const { PHASES: HACKATHON_PHASES, derivePhase, nextPhases, checkAction, syncPhase, onPhaseChange, getPhaseHistory, startPhaseSweeper } = require('./hackathonState');
+const { createConditions, parseListParams, fetchPage } = require('./listQuery');
+const { publish, openStream } = require('./realtime');
+const { diffRevisions } = require('./revisionDiff');
+const { EVENT_TYPES: WEBHOOK_EVENT_TYPES, generateSecret, validateWebhook, emitWebhookEvent, redeliver, startWebhookWorker } = require('./webhooks');
+const { onNotification, getPreferences, setPreferences, notifyUsers, listNotifications, markRead, startReminderScheduler } = require('./notifications');
+const { validateRegistrationSettings, validateAnswers, checkRegistrationWindow, admissionStatus, promoteWaitlist, waitlistPosition } = require('./registration');
+const { validateAttachmentSettings, attachmentLimits, createUploader, uploadErrorMessage, storeUpload, discardUploads, removeStoredFiles } = require('./attachments');
+const { getFileStream } = require('./storage');
+const { validateSubmissionForm, validateSubmissionAnswers } = require('./submissionForm');
+const { MAX_TRACKS, validateTrackFields, parseTrackIds, countTracks, checkTrackIds, setSubmissionTracks } = require('./tracks');
+const { FORMATS: EXPORT_FORMATS, datasets: exportDatasets, streamExport } = require('./exports');
+const { csvBody, parseCsv, participantFromRow, hackathonFromRow } = require('./imports');
 
 dotenv.config();
 
@@ -57,24 +76,49 @@ try {
   const abi = contractData.abi;
 
   provider = new ethers.providers.JsonRpcProvider(process.env.RPC_URL);
-  signer = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
-  contract = new ethers.Contract(process.env.CONTRACT_ADDRESS, abi, signer);
+  signer = process.env.PRIVATE_KEY ? new ethers.Wallet(process.env.PRIVATE_KEY, provider) : null;
+  contract = new ethers.Contract(process.env.CONTRACT_ADDRESS, abi, signer || provider);
   console.log('Smart contract initialized');
 } catch (error) {
   console.log('ABI file not found, using mock ABI instead');
 // Update the mockAbi to match your contract function names
 const mockAbi = [
+  "function createHackathon(uint256 hackathonId, address hackathonOrganizer, address prizeToken, uint256[] calldata splitBps) external",
   "function fundHackathon(uint256 hackathonId) external payable",
+  "function fundHackathonWithToken(uint256 hackathonId, uint256 amount) external",
+  "function setPrizeSplit(uint256 hackathonId, uint256[] calldata splitBps) external",
   "function setWinners(uint256 hackathonId, address[] calldata winnerAddresses) external",
   "function distributePrizes(uint256 hackathonId) external",
   "function endHackathon(uint256 hackathonId) external",
-  "function getBalance() external view returns (uint256)"
+  "function cancelHackathon(uint256 hackathonId) external",
+  "function claimRefund(uint256 hackathonId) external",
+  "function contributions(uint256 hackathonId, address contributor) view returns (uint256)",
+  "function hackathons(uint256) view returns (uint256 totalFunding, bool isFunded, bool prizesDistributed, bool isEnded, bool exists, bool cancelled, address organizer, address prizeToken)",
+  "function getBalance() external view returns (uint256)",
+  "function createTrack(uint256 hackathonId, uint256 trackId, uint256[] calldata splitBps) external",
+  "function setTrackPrizeSplit(uint256 hackathonId, uint256 trackId, uint256[] calldata splitBps) external",
+  "function fundTrack(uint256 hackathonId, uint256 trackId) external payable",
+  "function fundTrackWithToken(uint256 hackathonId, uint256 trackId, uint256 amount) external",
+  "function claimTrackRefund(uint256 hackathonId, uint256 trackId) external",
+  "function setTrackWinners(uint256 hackathonId, uint256 trackId, address[] calldata winnerAddresses) external",
+  "function distributeTrackPrizes(uint256 hackathonId, uint256 trackId) external",
+  "function tracks(uint256 hackathonId, uint256 trackId) view returns (bool exists, uint256 totalFunding, bool prizesDistributed)",
+  "function trackContributions(uint256 hackathonId, uint256 trackId, address contributor) view returns (uint256)"
 ];
   provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-  signer = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
-  contract = new ethers.Contract(process.env.CONTRACT_ADDRESS, mockAbi, signer);
+  // The server key only registers hackathons; organizers sign everything else
+  signer = process.env.PRIVATE_KEY ? new ethers.Wallet(process.env.PRIVATE_KEY, provider) : null;
+  contract = new ethers.Contract(process.env.CONTRACT_ADDRESS, mockAbi, signer || provider);
 }
 
+// Minimal ERC-20 interface for prize tokens
+const erc20Abi = [
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)"
+];
+
 // Middleware to verify JWT
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -85,17 +129,46 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access denied' });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+  jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
     if (err) {
       console.log('Invalid token:', err);
       return res.status(403).json({ error: 'Invalid token' });
     }
+
+    // Access tokens are only good while their session is; this is what makes logout stick
+    let account;
+    try {
+      if (!user.sid || !(await isSessionActive(pool, user.sid, user.id))) {
+        console.log('Session revoked or expired:', user.sid);
+        return res.status(401).json({ error: 'Session has ended, please log in again' });
+      }
+      const accountResult = await pool.query('SELECT role, suspended_at FROM users WHERE id = $1', [user.id]);
+      account = accountResult.rows[0];
+    } catch (error) {
+      console.error('Session check error:', error);
+      return res.status(500).json({ error: 'Server error' });
+    }
+
+    if (!account || account.suspended_at) {
+      console.log('Suspended user:', user.id);
+      return res.status(403).json({ error: 'Account suspended' });
+    }
+
+    // Role changes by an admin apply straight away rather than at the next login
     console.log('Authenticated user:', user);
-    req.user = user;
+    req.user = { ...user, role: account.role };
     next();
   });
 };
 
+// Must follow authenticateToken
+const requireAdmin = (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+};
+
 // Routes
 app.post('/api/signup', async (req, res) => {
   const { email, password, role } = req.body;
@@ -106,10 +179,14 @@ app.post('/api/signup', async (req, res) => {
     return res.status(400).json({ error: 'All fields are required' });
   }
 
-  if (!['user', 'organizer'].includes(role)) {
+  if (!['user', 'organizer', 'judge'].includes(role)) {
     return res.status(400).json({ error: 'Invalid role' });
   }
 
+  if (typeof email !== 'string' || !EMAIL_PATTERN.test(email)) {
+    return res.status(400).json({ error: 'Invalid email address' });
+  }
+
   try {
     const hashedPassword = await bcrypt.hash(password, 10);
     console.log('Hashed password:', hashedPassword);
@@ -118,7 +195,14 @@ app.post('/api/signup', async (req, res) => {
       [email, hashedPassword, role]
     );
     console.log('User created with ID:', result.rows[0].id);
-    res.status(201).json({ message: 'User created successfully' });
+
+    // The account exists either way; a failed send can be retried with the resend endpoint
+    try {
+      await sendVerificationEmail(result.rows[0].id, email);
+    } catch (error) {
+      console.error('Verification email error:', error);
+    }
+    res.status(201).json({ message: 'User created successfully. Check your email to verify your address.' });
   } catch (error) {
     console.error('Signup error:', error);
     if (error.code === '23505') { // Unique constraint violation (duplicate email)
@@ -138,10 +222,11 @@ app.post('/api/login', async (req, res) => {
   }
 
   try {
-    const result = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
+    const result = await pool.query('SELECT * FROM users WHERE LOWER(email) = LOWER($1)', [email]);
     const user = result.rows[0];
 
-    if (!user) {
+    // Wallet-only accounts have no password and sign in with SIWE instead
+    if (!user || !user.password) {
       console.log('User not found for email:', email);
       return res.status(400).json({ error: 'Invalid credentials' });
     }
@@ -154,776 +239,5758 @@ app.post('/api/login', async (req, res) => {
       return res.status(400).json({ error: 'Invalid credentials' });
     }
 
-    const token = jwt.sign({ id: user.id, email: user.email, role: user.role }, process.env.JWT_SECRET, {
-      expiresIn: '1h',
-    });
-    res.json({ token, user: { id: user.id, email: user.email, role: user.role, wallet_address: user.wallet_address } });
+    if (user.suspended_at) {
+      return res.status(403).json({ error: 'Account suspended' });
+    }
+
+    const { token, refresh_token } = await createSession(pool, user, req);
+    res.json({ token, refresh_token, user: { id: user.id, email: user.email, email_verified: user.email_verified, role: user.role, wallet_address: user.wallet_address, wallet_verified: user.wallet_verified } });
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-app.post('/api/connect-wallet', authenticateToken, async (req, res) => {
-  const { wallet_address } = req.body;
+// Email verification and password reset
+// Addresses are stored as typed and matched case-insensitively (see the
+// users_email_lower index), so Ada@Example.com and ada@example.com are one account.
 
-  if (!wallet_address) {
-    return res.status(400).json({ error: 'Wallet address is required' });
-  }
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+async function sendVerificationEmail(userId, email) {
+  const token = await createAccountToken(pool, userId, 'email_verification');
+  await sendMail({
+    to: email,
+    subject: 'Verify your BlockHunt email address',
+    text: `Confirm your email address by opening this link:\n\n${appLink('/verify-email', { token })}\n\nIf you did not sign up, you can ignore this email.`,
+  });
+}
+
+// Accounts with an unverified email cannot join or submit. Wallet-only
+// accounts have no email to verify; they proved control of their wallet instead.
+async function hasVerifiedEmail(userId) {
+  const result = await pool.query('SELECT email, email_verified FROM users WHERE id = $1', [userId]);
+  const user = result.rows[0];
+  return Boolean(user) && (user.email === null || user.email_verified);
+}
+
+app.post('/api/verify-email', async (req, res) => {
+  const { token } = req.body;
 
   try {
+    const userId = await consumeAccountToken(pool, token, 'email_verification');
+    if (!userId) {
+      return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+    }
+
     await pool.query(
-      'UPDATE users SET wallet_address = $1 WHERE id = $2',
-      [wallet_address, req.user.id]
+      'UPDATE users SET email_verified = TRUE, email_verified_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [userId]
     );
-    res.json({ message: 'Wallet connected successfully' });
+    res.json({ message: 'Email verified successfully' });
   } catch (error) {
-    console.error('Connect wallet error:', error);
-    res.status(500).json({ error: 'Failed to connect wallet' });
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
   }
 });
 
-app.post('/api/hackathons', authenticateToken, async (req, res) => {
-  if (req.user.role !== 'organizer') {
-    return res.status(403).json({ error: 'Only organizers can create hackathons' });
-  }
+app.post('/api/verify-email/resend', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT email, email_verified FROM users WHERE id = $1', [req.user.id]);
+    const user = result.rows[0];
 
-  const { title, description, start_date, end_date, prize_pool } = req.body;
+    if (!user.email) {
+      return res.status(400).json({ error: 'This account has no email address' });
+    }
 
-  if (!title || !description || !start_date || !end_date || !prize_pool) {
-    return res.status(400).json({ error: 'All fields are required' });
+    if (user.email_verified) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(req.user.id, user.email);
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
   }
+});
 
-  const startDate = new Date(start_date);
-  const endDate = new Date(end_date);
-  const now = new Date();
+// Always answers the same way so the endpoint cannot be used to probe for accounts
+app.post('/api/forgot-password', async (req, res) => {
+  const { email } = req.body;
 
-  if (startDate < now) {
-    return res.status(400).json({ error: 'Start date must be in the future' });
+  if (!email) {
+    return res.status(400).json({ error: 'Email is required' });
   }
 
-  if (endDate <= startDate) {
-    return res.status(400).json({ error: 'End date must be after start date' });
+  try {
+    const result = await pool.query('SELECT id, email FROM users WHERE LOWER(email) = LOWER($1)', [email]);
+    const user = result.rows[0];
+
+    if (user) {
+      const token = await createAccountToken(pool, user.id, 'password_reset');
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your BlockHunt password',
+        text: `Choose a new password by opening this link:\n\n${appLink('/reset-password', { token })}\n\nThe link expires soon and works once. If you did not ask for a reset, you can ignore this email.`,
+      });
+    }
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to start password reset' });
   }
+});
+
+app.post('/api/reset-password', async (req, res) => {
+  const { token, password } = req.body;
 
-  if (prize_pool <= 0) {
-    return res.status(400).json({ error: 'Prize pool must be a positive number' });
+  if (!token || !password) {
+    return res.status(400).json({ error: 'Token and new password are required' });
   }
 
   try {
-    const result = await pool.query(
-      'INSERT INTO hackathons (title, description, start_date, end_date, organizer_id, prize_pool) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id',
-      [title, description, start_date, end_date, req.user.id, prize_pool]
+    // Invitations from participant imports set the first password the same way
+    const userId = await consumeAccountToken(pool, token, 'password_reset') || await consumeAccountToken(pool, token, 'invitation');
+    if (!userId) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    }
+
+    // Following the emailed link also proves the address
+    const hashedPassword = await bcrypt.hash(password, 10);
+    await pool.query(
+      'UPDATE users SET password = $1, email_verified = TRUE, email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP) WHERE id = $2',
+      [hashedPassword, userId]
     );
-    res.status(201).json({ message: 'Hackathon created successfully', id: result.rows[0].id });
+    await revokeAllSessions(pool, userId, 'password_reset');
+    res.json({ message: 'Password reset successfully. Please log in again.' });
   } catch (error) {
-    console.error('Create hackathon error:', error);
-    res.status(500).json({ error: 'Failed to create hackathon' });
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
   }
 });
 
-app.get('/api/hackathons', async (req, res) => {
-  try {
-    const result = await pool.query(`
-      SELECT h.*,
-             (SELECT COUNT(*) FROM hackathon_participants p WHERE p.hackathon_id = h.id AND p.withdrawn = FALSE) as participant_count,
-             (SELECT COUNT(*) FROM submissions s WHERE s.hackathon_id = h.id) as submission_count
-      FROM hackathons h
-    `);
+// Sessions
 
-    const now = new Date();
-    const hackathons = result.rows.map(hackathon => {
-      let status = hackathon.status;
-      if (hackathon.manually_ended) {
-        status = 'ended';
-      } else {
-        const startDate = new Date(hackathon.start_date);
-        const endDate = new Date(hackathon.end_date);
-        if (now < startDate) {
-          status = 'upcoming';
-        } else if (now >= startDate && now <= endDate) {
-          status = 'active';
-        } else {
-          status = 'ended';
-        }
-      }
-      return { ...hackathon, status };
-    });
+app.post('/api/token/refresh', async (req, res) => {
+  const { refresh_token } = req.body;
 
-    res.json(hackathons);
+  try {
+    const result = await rotateRefreshToken(pool, refresh_token);
+    if (result.error) {
+      return res.status(401).json({ error: result.error });
+    }
+    res.json(result);
   } catch (error) {
-    console.error('Fetch hackathons error:', error);
-    res.status(500).json({ error: 'Failed to fetch hackathons' });
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Failed to refresh token' });
   }
 });
 
-app.get('/api/hackathons/:id', authenticateToken, async (req, res) => {
-  const { id } = req.params;
+app.post('/api/logout', authenticateToken, async (req, res) => {
+  try {
+    await revokeSession(pool, req.user.sid, req.user.id, 'logout');
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
 
+app.post('/api/logout/all', authenticateToken, async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT h.*,
-             (SELECT COUNT(*) FROM hackathon_participants p WHERE p.hackathon_id = h.id AND p.withdrawn = FALSE) as participant_count,
-             (SELECT COUNT(*) FROM submissions s WHERE s.hackathon_id = h.id) as submission_count
-      FROM hackathons h
-      WHERE h.id = $1
-    `, [id]);
+    const count = await revokeAllSessions(pool, req.user.id, 'logout_all');
+    res.json({ message: 'Logged out of all sessions', revoked: count });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Hackathon not found' });
-    }
+app.get('/api/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await listSessions(pool, req.user.id);
+    res.json(sessions.map(session => ({ ...session, current: session.id === req.user.sid })));
+  } catch (error) {
+    console.error('Fetch sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
 
-    const hackathon = result.rows[0];
-    const now = new Date();
-    let status = hackathon.status;
-    if (hackathon.manually_ended) {
-      status = 'ended';
-    } else {
-      const startDate = new Date(hackathon.start_date);
-      const endDate = new Date(hackathon.end_date);
-      if (now < startDate) {
-        status = 'upcoming';
-      } else if (now >= startDate && now <= endDate) {
-        status = 'active';
-      } else {
-        status = 'ended';
-      }
-    }
+app.delete('/api/sessions/:sessionId', authenticateToken, async (req, res) => {
+  const { sessionId } = req.params;
 
-    res.json({ ...hackathon, status });
+  if (isNaN(sessionId)) {
+    return res.status(400).json({ error: 'Invalid session ID' });
+  }
+
+  try {
+    const count = await revokeSession(pool, sessionId, req.user.id, 'revoked_by_user');
+    if (count === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ message: 'Session revoked successfully' });
   } catch (error) {
-    console.error('Fetch hackathon error:', error);
-    res.status(500).json({ error: 'Failed to fetch hackathon' });
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
   }
 });
 
-app.get('/api/hackathons/:id/participants', authenticateToken, async (req, res) => {
-  const { id } = req.params;
+// Sign-In with Ethereum
+
+// Accounts that typed in this address before wallets had to be proven lose
+// it to whoever can actually sign for it.
+async function releaseUnverifiedWallet(address, userId) {
+  await pool.query(
+    'UPDATE users SET wallet_address = NULL WHERE LOWER(wallet_address) = LOWER($1) AND wallet_verified = FALSE AND id <> $2',
+    [address, userId]
+  );
+}
+
+// Issues the EIP-4361 message for a wallet to sign, for login or for linking
+app.post('/api/auth/siwe/nonce', async (req, res) => {
+  const { address } = req.body;
 
   try {
-    const result = await pool.query(`
-      SELECT u.id, u.email
-      FROM hackathon_participants p
-      JOIN users u ON p.user_id = u.id
-      WHERE p.hackathon_id = $1 AND p.withdrawn = FALSE
-    `, [id]);
-    res.json(result.rows);
+    const challenge = await createChallenge(pool, address);
+    if (challenge.error) {
+      return res.status(400).json({ error: challenge.error });
+    }
+    res.json(challenge);
   } catch (error) {
-    console.error('Fetch participants error:', error);
-    res.status(500).json({ error: 'Failed to fetch participants' });
+    console.error('SIWE nonce error:', error);
+    res.status(500).json({ error: 'Failed to create sign-in message' });
   }
 });
 
-app.post('/api/hackathons/:id/join', authenticateToken, async (req, res) => {
-  const { id } = req.params;
+// Logs in with a signed message, creating a wallet-only account on first use
+app.post('/api/auth/siwe/verify', async (req, res) => {
+  const { message, signature, role } = req.body;
 
-  if (req.user.role !== 'user') {
-    return res.status(403).json({ error: 'Only users can join hackathons' });
+  if (role !== undefined && !['user', 'organizer', 'judge'].includes(role)) {
+    return res.status(400).json({ error: 'Invalid role' });
   }
 
   try {
-    const hackathonResult = await pool.query('SELECT * FROM hackathons WHERE id = $1', [id]);
-    const hackathon = hackathonResult.rows[0];
+    const { address, error } = await verifyChallenge(pool, message, signature);
+    if (error) {
+      return res.status(401).json({ error });
+    }
 
-    if (!hackathon) {
-      return res.status(404).json({ error: 'Hackathon not found' });
+    const existing = await pool.query(
+      'SELECT * FROM users WHERE LOWER(wallet_address) = LOWER($1) AND wallet_verified = TRUE',
+      [address]
+    );
+    let user = existing.rows[0];
+    if (!user) {
+      await releaseUnverifiedWallet(address, 0);
+      const result = await pool.query(
+        'INSERT INTO users (role, wallet_address, wallet_verified, wallet_verified_at) VALUES ($1, $2, TRUE, CURRENT_TIMESTAMP) RETURNING *',
+        [role || 'user', address]
+      );
+      user = result.rows[0];
+      console.log('Wallet user created with ID:', user.id);
     }
 
-    const now = new Date();
-    const endDate = new Date(hackathon.end_date);
-    if (endDate < now) {
-      return res.status(400).json({ error: 'Hackathon has ended' });
+    if (user.suspended_at) {
+      return res.status(403).json({ error: 'Account suspended' });
     }
 
-    const participantResult = await pool.query(
-      'SELECT * FROM hackathon_participants WHERE user_id = $1 AND hackathon_id = $2',
-      [req.user.id, id]
-    );
+    const { token, refresh_token } = await createSession(pool, user, req);
+    res.json({ token, refresh_token, user: { id: user.id, email: user.email, role: user.role, wallet_address: user.wallet_address, wallet_verified: true } });
+  } catch (error) {
+    console.error('SIWE verify error:', error);
+    res.status(500).json({ error: 'Failed to sign in with wallet' });
+  }
+});
 
-    if (participantResult.rows.length > 0) {
-      const participant = participantResult.rows[0];
-      if (participant.withdrawn) {
-        await pool.query(
-          'UPDATE hackathon_participants SET withdrawn = FALSE WHERE user_id = $1 AND hackathon_id = $2',
-          [req.user.id, id]
-        );
-        return res.json({ message: 'Rejoined hackathon successfully' });
-      }
-      return res.status(400).json({ error: 'You have already joined this hackathon' });
+// Links a wallet to the logged-in account; the wallet must sign the issued message
+app.post('/api/connect-wallet', authenticateToken, async (req, res) => {
+  const { message, signature } = req.body;
+
+  if (!message || !signature) {
+    return res.status(400).json({ error: 'Signed message and signature are required' });
+  }
+
+  try {
+    const { address, error } = await verifyChallenge(pool, message, signature);
+    if (error) {
+      return res.status(401).json({ error });
+    }
+
+    const owner = await pool.query(
+      'SELECT id FROM users WHERE LOWER(wallet_address) = LOWER($1) AND wallet_verified = TRUE AND id <> $2',
+      [address, req.user.id]
+    );
+    if (owner.rows.length > 0) {
+      return res.status(409).json({ error: 'This wallet is already linked to another account' });
     }
 
+    await releaseUnverifiedWallet(address, req.user.id);
     await pool.query(
-      'INSERT INTO hackathon_participants (hackathon_id, user_id) VALUES ($1, $2)',
-      [id, req.user.id]
+      'UPDATE users SET wallet_address = $1, wallet_verified = TRUE, wallet_verified_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [address, req.user.id]
     );
-    res.json({ message: 'Joined hackathon successfully' });
+    res.json({ message: 'Wallet connected successfully', wallet_address: address, wallet_verified: true });
   } catch (error) {
-    console.error('Join hackathon error:', error);
-    if (error.code === '23505') { // Unique constraint violation
-      return res.status(400).json({ error: 'You have already joined this hackathon' });
+    console.error('Connect wallet error:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'This wallet is already linked to another account' });
     }
-    res.status(500).json({ error: 'Failed to join hackathon' });
+    res.status(500).json({ error: 'Failed to connect wallet' });
   }
 });
 
-app.post('/api/hackathons/:id/withdraw', authenticateToken, async (req, res) => {
+// Whether `address` is the verified wallet of one of `userIds`
+async function isVerifiedWalletOf(address, userIds) {
+  const result = await pool.query(
+    'SELECT 1 FROM users WHERE LOWER(wallet_address) = LOWER($1) AND wallet_verified = TRUE AND id = ANY($2::int[])',
+    [address, userIds]
+  );
+  return result.rows.length > 0;
+}
+
+// Current phase, where it can go next and how it got here
+app.get('/api/hackathons/:id/phase', authenticateToken, async (req, res) => {
   const { id } = req.params;
 
-  if (req.user.role !== 'user') {
-    return res.status(403).json({ error: 'Only users can withdraw from hackathons' });
+  if (isNaN(id)) {
+    return res.status(400).json({ error: 'Invalid hackathon ID' });
   }
 
   try {
-    const hackathonResult = await pool.query('SELECT * FROM hackathons WHERE id = $1', [id]);
+    const hackathonResult = await pool.query('SELECT organizer_id FROM hackathons WHERE id = $1', [id]);
     const hackathon = hackathonResult.rows[0];
 
     if (!hackathon) {
       return res.status(404).json({ error: 'Hackathon not found' });
     }
 
-    const now = new Date();
-    const endDate = new Date(hackathon.end_date);
-    if (endDate < now) {
-      return res.status(400).json({ error: 'Hackathon has ended' });
+    if (hackathon.organizer_id !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only the hackathon organizer can view its history' });
     }
 
-    const participantResult = await pool.query(
-      'SELECT * FROM hackathon_participants WHERE user_id = $1 AND hackathon_id = $2',
-      [req.user.id, id]
-    );
+    const phase = await syncPhase(pool, id, { reason: 'schedule' });
+    const history = await getPhaseHistory(pool, id);
+    res.json({ phase, next_phases: nextPhases(phase), history });
+  } catch (error) {
+    console.error('Fetch hackathon phase error:', error);
+    res.status(500).json({ error: 'Failed to fetch hackathon phase' });
+  }
+});
 
-    if (participantResult.rows.length === 0) {
-      return res.status(400).json({ error: 'You are not a participant in this hackathon' });
-    }
+// Checks the fields a hackathon needs before it can be published. Drafts only
+// need a title and description; whatever else they have must still make sense.
+// `previous` is the stored row when editing, so a running hackathon can keep
+// its start date even though it is now in the past.
+function validateHackathonFields(fields, { draft, previous } = {}) {
+  const { title, description, start_date, end_date, prize_pool } = fields;
 
-    const participant = participantResult.rows[0];
-    if (participant.withdrawn) {
-      return res.status(400).json({ error: 'You have already withdrawn from this hackathon' });
-    }
+  if (!title || !description || (!draft && (!start_date || !end_date || !prize_pool))) {
+    return 'All fields are required';
+  }
 
-    await pool.query(
-      'UPDATE hackathon_participants SET withdrawn = TRUE WHERE user_id = $1 AND hackathon_id = $2',
-      [req.user.id, id]
-    );
-    res.json({ message: 'Withdrawn from hackathon successfully' });
-  } catch (error) {
-    console.error('Withdraw hackathon error:', error);
-    res.status(500).json({ error: 'Failed to withdraw from hackathon' });
+  const now = new Date();
+  const startDate = start_date ? new Date(start_date) : null;
+  const endDate = end_date ? new Date(end_date) : null;
+
+  if ((startDate && isNaN(startDate)) || (endDate && isNaN(endDate))) {
+    return 'Invalid date';
   }
-});
 
-app.post('/api/hackathons/:id/submit', authenticateToken, async (req, res) => {
-  console.log('Received submission request:', { params: req.params, body: req.body, user: req.user });
-  const { id } = req.params;
-  const { idea, description, public_key, teammate_names, github_link } = req.body;
+  const startUnchanged = previous && previous.start_date && startDate
+    && startDate.getTime() === new Date(previous.start_date).getTime();
+  if (startDate && startDate < now && !startUnchanged) {
+    return 'Start date must be in the future';
+  }
 
-  // Log individual fields for debugging
-  console.log('Idea:', idea);
-  console.log('Description:', description);
-  console.log('Public Key:', public_key);
-  console.log('Teammate Names:', teammate_names);
-  console.log('GitHub Link:', github_link);
+  if (startDate && endDate && endDate <= startDate) {
+    return 'End date must be after start date';
+  }
 
-  // Validate required fields
-  const missingFields = [];
-  if (!idea || typeof idea !== 'string' || idea.trim() === '') missingFields.push('idea');
-  if (!description || typeof description !== 'string' || description.trim() === '') missingFields.push('description');
-  if (!public_key || typeof public_key !== 'string' || public_key.trim() === '') missingFields.push('public_key');
+  if (endDate && endDate <= now) {
+    return 'End date must be in the future';
+  }
 
-  if (missingFields.length > 0) {
-    console.log('Validation failed: Missing or invalid fields:', missingFields);
-    return res.status(400).json({ error: `The following fields are required: ${missingFields.join(', ')}` });
+  if (prize_pool !== undefined && prize_pool !== null && !(Number(prize_pool) > 0)) {
+    return 'Prize pool must be a positive number';
   }
 
-  try {
-    // Validate hackathon ID
-    if (isNaN(id)) {
-      console.log('Invalid hackathon ID:', id);
-      return res.status(400).json({ error: 'Invalid hackathon ID' });
+  if (fields.submission_form !== undefined && fields.submission_form !== null) {
+    const formError = validateSubmissionForm(fields.submission_form);
+    if (formError) {
+      return formError;
     }
+  }
 
-    // Check if hackathon exists
-    const hackathonResult = await pool.query('SELECT * FROM hackathons WHERE id = $1', [id]);
-    console.log('Hackathon query result:', hackathonResult.rows);
-    const hackathon = hackathonResult.rows[0];
+  return validateRegistrationSettings(fields) || validateAttachmentSettings(fields);
+}
 
-    if (!hackathon) {
-      console.log('Hackathon not found:', id);
-      return res.status(404).json({ error: 'Hackathon not found' });
-    }
+// Reads the token's symbol and decimals once so every amount can be stored and
+// shown in its units. No address means the pool is in ETH.
+async function lookupPrizeToken(address) {
+  if (!address) {
+    return { address: null, symbol: 'ETH', decimals: 18 };
+  }
+  const erc20 = new ethers.Contract(address, erc20Abi, provider);
+  return { address, symbol: await erc20.symbol(), decimals: Number(await erc20.decimals()) };
+}
 
-    // Check if hackathon has ended
-    const now = new Date();
-    const endDate = new Date(hackathon.end_date);
-    console.log('Current date:', now, 'End date:', endDate);
-    if (endDate < now || hackathon.manually_ended) {
-      console.log('Hackathon has ended');
-      return res.status(400).json({ error: 'Hackathon has ended' });
-    }
+// Parses an amount in whole token units, e.g. "12.5", into base units. Returns
+// null unless it is a positive decimal with no more places than the token has,
+// so ethers.parseUnits never throws on what a client sent.
+function parseTokenAmount(amount, decimals) {
+  if (typeof amount !== 'string' && typeof amount !== 'number') return null;
+  const match = /^\d+(?:\.(\d+))?$/.exec(String(amount));
+  if (!match || (match[1] || '').replace(/0+$/, '').length > decimals) return null;
+  const value = ethers.parseUnits(String(amount), decimals);
+  return value > 0n ? value : null;
+}
 
-    // Check user role
-    if (req.user.role !== 'user') {
-      console.log('User is not a regular user:', req.user);
-      return res.status(403).json({ error: 'Only users can submit projects' });
-    }
+// The prize pool is shown and previewed in the prize token's units
+function checkPrizePool(prizePool, decimals) {
+  if (prizePool === undefined || prizePool === null || prizePool === '') return null;
+  if (parseTokenAmount(prizePool, decimals) === null) {
+    return `Prize pool must be a positive number with at most ${decimals} decimal places`;
+  }
+  return null;
+}
 
-    // Check if user has joined the hackathon
-    const participantResult = await pool.query(
-      'SELECT * FROM hackathon_participants WHERE user_id = $1 AND hackathon_id = $2 AND withdrawn = FALSE',
-      [req.user.id, id]
-    );
-    console.log('Participant query result:', participantResult.rows);
-    if (participantResult.rows.length === 0) {
-      console.log('User not a participant');
-      return res.status(400).json({ error: 'You must join the hackathon to submit a project' });
+// Queues on-chain registration under the organizer's verified wallet. Returns
+// the job, or undefined when there is no verified wallet yet, in which case it
+// is left for POST /api/hackathons/:id/register.
+async function enqueueRegistration(hackathon, userId) {
+  const userResult = await pool.query('SELECT wallet_address, wallet_verified FROM users WHERE id = $1', [userId]);
+  const organizerWallet = userResult.rows[0].wallet_verified ? userResult.rows[0].wallet_address : null;
+  if (!organizerWallet) return undefined;
+
+  return enqueueJob(pool, {
+    type: 'create',
+    hackathonId: hackathon.id,
+    payload: { organizer: organizerWallet, token: hackathon.prize_token_address, split: hackathon.prize_split || [] },
+    requestedBy: userId,
+  });
+}
+
+app.post('/api/hackathons', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'organizer') {
+    return res.status(403).json({ error: 'Only organizers can create hackathons' });
+  }
+
+  const { title, description, start_date, end_date, prize_pool, prize_split, prize_token, require_verified_wallet, draft } = req.body;
+  const { max_participants, registration_opens_at, registration_closes_at, join_mode, registration_questions } = req.body;
+  const { attachment_max_bytes, attachment_mime_types, submission_form } = req.body;
+
+  const fieldError = validateHackathonFields(req.body, { draft: draft === true });
+  if (fieldError) {
+    return res.status(400).json({ error: fieldError });
+  }
+
+  if (prize_split !== undefined) {
+    const splitError = validatePrizeSplit(prize_split);
+    if (splitError) {
+      return res.status(400).json({ error: splitError });
     }
+  }
 
-    // Check for existing submission
-    const submissionResult = await pool.query(
-      'SELECT * FROM submissions WHERE user_id = $1 AND hackathon_id = $2',
-      [req.user.id, id]
+  if (prize_token && !ethers.isAddress(prize_token)) {
+    return res.status(400).json({ error: 'Prize token must be a valid contract address' });
+  }
+
+  let token;
+  try {
+    token = await lookupPrizeToken(prize_token);
+  } catch (error) {
+    console.error('Prize token lookup error:', error);
+    return res.status(400).json({ error: 'Prize token is not a valid ERC-20 contract' });
+  }
+
+  const prizePoolError = checkPrizePool(prize_pool, token.decimals);
+  if (prizePoolError) {
+    return res.status(400).json({ error: prizePoolError });
+  }
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO hackathons (title, description, start_date, end_date, organizer_id, prize_pool, prize_split, prize_token_address, prize_token_symbol, prize_token_decimals, require_verified_wallet, published, published_at,
+        max_participants, registration_opens_at, registration_closes_at, join_mode, registration_questions, attachment_max_bytes, attachment_mime_types, submission_form)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21) RETURNING *`,
+      [title, description, start_date || null, end_date || null, req.user.id, prize_pool || null, prize_split ? JSON.stringify(prize_split) : null,
+        token.address, token.symbol, token.decimals, require_verified_wallet === true, draft !== true, draft === true ? null : new Date().toISOString(),
+        max_participants || null, registration_opens_at || null, registration_closes_at || null, join_mode || 'open',
+        registration_questions ? JSON.stringify(registration_questions) : null, attachment_max_bytes || null, attachment_mime_types || null,
+        submission_form ? JSON.stringify(submission_form) : null]
     );
-    console.log('Existing submission query result:', submissionResult.rows);
-    if (submissionResult.rows.length > 0) {
-      console.log('User already submitted');
-      return res.status(400).json({ error: 'You have already submitted a project for this hackathon' });
+    const hackathon = result.rows[0];
+    await syncPhase(pool, hackathon.id, { actorId: req.user.id, reason: 'published' });
+
+    // Drafts are registered on-chain when they are published
+    const job = draft === true ? undefined : await enqueueRegistration(hackathon, req.user.id);
+    res.status(201).json({ message: draft === true ? 'Draft saved successfully' : 'Hackathon created successfully', id: hackathon.id, jobId: job && job.id });
+  } catch (error) {
+    console.error('Create hackathon error:', error);
+    res.status(500).json({ error: 'Failed to create hackathon' });
+  }
+});
+
+// Sort keys for hackathon listings. Columns that may be NULL are coalesced so
+// the keyset comparison in listQuery.fetchPage always has a value to compare.
+const HACKATHON_SORTS = {
+  start_date: { expr: "COALESCE(h.start_date, 'infinity')", type: 'timestamp', order: 'asc' },
+  end_date: { expr: "COALESCE(h.end_date, 'infinity')", type: 'timestamp', order: 'asc' },
+  created_at: { expr: 'h.created_at', type: 'timestamp', order: 'desc' },
+  prize_pool: { expr: 'COALESCE(h.prize_pool, 0)', type: 'numeric', order: 'desc' },
+  title: { expr: 'h.title', type: 'text', order: 'asc' },
+};
+
+// Must match the hackathons_search index in sql/scheme.sql
+const HACKATHON_SEARCH_VECTOR = "to_tsvector('english', h.title || ' ' || h.description)";
+
+function parseDateParam(value, name) {
+  if (value === undefined) return {};
+  if (isNaN(Date.parse(value))) return { error: `${name} must be a valid date` };
+  return { date: new Date(value).toISOString() };
+}
+
+// Adds the filters shared by the hackathon listings to `where`. Returns an
+// error message for malformed parameters. With `q` given, a relevance sort
+// ranked against the search becomes available and is returned in `sorts`.
+function applyHackathonFilters(query, where) {
+  const { status, organizer_id: organizerId, min_prize: minPrize, max_prize: maxPrize, token, q } = query;
+
+  if (status) {
+    const phases = String(status).split(',').map(phase => phase.trim());
+    const unknown = phases.find(phase => !HACKATHON_PHASES.includes(phase));
+    if (unknown) {
+      return { error: `Unknown status: ${unknown}` };
     }
+    where.add('h.status = ANY(?)', phases);
+  }
 
-    // Insert the submission
-    await pool.query(
-      'INSERT INTO submissions (hackathon_id, user_id, idea, description, public_key, teammate_names, github_link) VALUES ($1, $2, $3, $4, $5, $6, $7)',
-      [id, req.user.id, idea, description, public_key, teammate_names || null, github_link || null]
-    );
-    console.log('Submission successful');
-    res.json({ message: 'Project submitted successfully' });
+  // Hackathons that overlap the given range
+  const from = parseDateParam(query.from, 'from');
+  const to = parseDateParam(query.to, 'to');
+  if (from.error || to.error) {
+    return { error: from.error || to.error };
+  }
+  if (from.date) where.add("COALESCE(h.end_date, 'infinity') >= ?", from.date);
+  if (to.date) where.add("COALESCE(h.start_date, '-infinity') <= ?", to.date);
+
+  if (organizerId !== undefined) {
+    if (isNaN(organizerId)) {
+      return { error: 'organizer_id must be a number' };
+    }
+    where.add('h.organizer_id = ?', parseInt(organizerId));
+  }
+
+  // Prize amounts are in the pool's own token, so ranges are usually combined with `token`
+  if (minPrize !== undefined || maxPrize !== undefined) {
+    if ((minPrize !== undefined && isNaN(minPrize)) || (maxPrize !== undefined && isNaN(maxPrize))) {
+      return { error: 'min_prize and max_prize must be numbers' };
+    }
+    if (minPrize !== undefined) where.add('COALESCE(h.prize_pool, 0) >= ?', minPrize);
+    if (maxPrize !== undefined) where.add('COALESCE(h.prize_pool, 0) <= ?', maxPrize);
+  }
+
+  if (token) {
+    where.add('UPPER(h.prize_token_symbol) = UPPER(?)', token);
+  }
+
+  const sorts = { ...HACKATHON_SORTS };
+  if (q) {
+    const search = where.param(q);
+    where.conditions.push(`${HACKATHON_SEARCH_VECTOR} @@ websearch_to_tsquery('english', ${search})`);
+    sorts.relevance = { expr: `ts_rank(${HACKATHON_SEARCH_VECTOR}, websearch_to_tsquery('english', ${search}))`, type: 'real', order: 'desc' };
+  }
+  return { sorts };
+}
+
+// Fetches one page of hackathons with participant and submission counts,
+// catching up any phase the sweeper has not stored yet
+async function listHackathons(req, res, where) {
+  const filters = applyHackathonFilters(req.query, where);
+  if (filters.error) {
+    return res.status(400).json({ error: filters.error });
+  }
+
+  const list = parseListParams(req.query, filters.sorts, req.query.q ? 'relevance' : 'start_date');
+  if (list.error) {
+    return res.status(400).json({ error: list.error });
+  }
+
+  const page = await fetchPage(pool, { select: 'h.*', from: 'hackathons h', idColumn: 'h.id', where, list });
+
+  const ids = page.rows.map(hackathon => hackathon.id);
+  const counts = await pool.query(`
+    SELECT h.id,
+           (SELECT COUNT(*) FROM hackathon_participants p WHERE p.hackathon_id = h.id AND p.withdrawn = FALSE AND p.status = 'approved') as participant_count,
+           (SELECT COUNT(*) FROM submissions s WHERE s.hackathon_id = h.id) as submission_count
+    FROM hackathons h
+    WHERE h.id = ANY($1)
+  `, [ids]);
+  const countsById = new Map(counts.rows.map(row => [row.id, row]));
+
+  const hackathons = await Promise.all(page.rows.map(async hackathon => {
+    const phase = derivePhase(hackathon);
+    if (phase !== hackathon.status) {
+      await syncPhase(pool, hackathon.id, { reason: 'schedule' });
+    }
+    const { participant_count, submission_count } = countsById.get(hackathon.id);
+    return { ...hackathon, status: phase, participant_count, submission_count };
+  }));
+
+  res.json({ total: page.total, next_cursor: page.next_cursor, hackathons });
+}
+
+// Filters: status (comma-separated phases), from/to (date range the hackathon
+// overlaps), organizer_id, min_prize/max_prize, token, q (full-text search over
+// title and description). See listQuery.js for sort, order, limit and cursor.
+app.get('/api/hackathons', async (req, res) => {
+  try {
+    await listHackathons(req, res, createConditions(['h.hidden = FALSE', 'h.published = TRUE']));
   } catch (error) {
-    console.error('Submit project error:', error);
-    if (error.code === '23502') {
-      return res.status(400).json({ error: `Missing required field: ${error.column}` });
+    console.error('Fetch hackathons error:', error);
+    res.status(500).json({ error: 'Failed to fetch hackathons' });
+  }
+});
+
+app.get('/api/hackathons/:id', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const result = await pool.query(`
+      SELECT h.*,
+             (SELECT COUNT(*) FROM hackathon_participants p WHERE p.hackathon_id = h.id AND p.withdrawn = FALSE AND p.status = 'approved') as participant_count,
+             (SELECT COUNT(*) FROM submissions s WHERE s.hackathon_id = h.id) as submission_count
+      FROM hackathons h
+      WHERE h.id = $1
+    `, [id]);
+
+    // Hidden hackathons and drafts are only visible to their organizer and admins
+    const hackathon = result.rows[0];
+    if (!hackathon || ((hackathon.hidden || !hackathon.published) && hackathon.organizer_id !== req.user.id && req.user.role !== 'admin')) {
+      return res.status(404).json({ error: 'Hackathon not found' });
     }
-    res.status(500).json({ error: 'Failed to submit project: ' + error.message });
+
+    const status = derivePhase(hackathon);
+    if (status !== hackathon.status) {
+      await syncPhase(pool, hackathon.id, { reason: 'schedule' });
+    }
+
+    res.json({ ...hackathon, status });
+  } catch (error) {
+    console.error('Fetch hackathon error:', error);
+    res.status(500).json({ error: 'Failed to fetch hackathon' });
   }
 });
 
-app.put('/api/hackathons/:id/submission', authenticateToken, async (req, res) => {
-  console.log('Received update submission request:', { params: req.params, body: req.body, user: req.user });
+// Edits that would pull the rug from under people who already joined are
+// refused: once a hackathon has started its start date is fixed, and once
+// anyone has joined the end date and prize pool can only grow. The submission
+// form is fixed once the first project is in, so every submission answers the same fields.
+function checkHackathonEdit(hackathon, changes, participantCount, submissionCount) {
+  const phaseError = checkAction(hackathon, 'edit');
+  if (phaseError) {
+    return phaseError;
+  }
+
+  if (changes.prize_token !== undefined && hackathon.published && (changes.prize_token || null) !== hackathon.prize_token_address) {
+    return 'Prize token can only be changed while the hackathon is a draft';
+  }
+
+  if (!hackathon.published) {
+    return null;
+  }
+
+  const started = new Date(hackathon.start_date) <= new Date();
+  if (started && changes.start_date !== undefined && new Date(changes.start_date).getTime() !== new Date(hackathon.start_date).getTime()) {
+    return 'Start date cannot change once the hackathon has started';
+  }
+
+  if ((started || participantCount > 0) && changes.end_date !== undefined && new Date(changes.end_date) < new Date(hackathon.end_date)) {
+    return 'End date can only be extended once participants have joined';
+  }
+
+  if (participantCount > 0 && changes.prize_pool !== undefined && Number(changes.prize_pool) < Number(hackathon.prize_pool)) {
+    return 'Prize pool cannot be reduced once participants have joined';
+  }
+
+  if (participantCount > 0 && changes.require_verified_wallet === true && !hackathon.require_verified_wallet) {
+    return 'Verified wallets cannot be required once participants have joined';
+  }
+
+  if (changes.max_participants && changes.max_participants < participantCount) {
+    return `Max participants cannot be lower than the ${participantCount} who have already joined`;
+  }
+
+  if (participantCount > 0 && changes.registration_questions !== undefined
+    && JSON.stringify(changes.registration_questions || null) !== JSON.stringify(hackathon.registration_questions)) {
+    return 'Registration questions cannot change once participants have joined';
+  }
+
+  if (submissionCount > 0 && changes.submission_form !== undefined
+    && JSON.stringify(changes.submission_form || null) !== JSON.stringify(hackathon.submission_form)) {
+    return 'The submission form cannot change once projects have been submitted';
+  }
+
+  return null;
+}
+
+// PUT replaces every editable field, PATCH only the ones given. A prize split
+// change on a hackathon that is already registered on-chain comes back as a
+// transaction for the organizer to sign.
+async function updateHackathon(req, res, partial) {
   const { id } = req.params;
-  const { idea, description, public_key, teammate_names, github_link } = req.body;
 
-  // Validate required fields
-  const missingFields = [];
-  if (!idea || typeof idea !== 'string' || idea.trim() === '') missingFields.push('idea');
-  if (!description || typeof description !== 'string' || description.trim() === '') missingFields.push('description');
-  if (!public_key || typeof public_key !== 'string' || public_key.trim() === '') missingFields.push('public_key');
+  if (req.user.role !== 'organizer') {
+    return res.status(403).json({ error: 'Only organizers can edit hackathons' });
+  }
 
-  if (missingFields.length > 0) {
-    console.log('Validation failed: Missing or invalid fields:', missingFields);
-    return res.status(400).json({ error: `The following fields are required: ${missingFields.join(', ')}` });
+  if (isNaN(id)) {
+    return res.status(400).json({ error: 'Invalid hackathon ID' });
+  }
+
+  const editable = ['title', 'description', 'start_date', 'end_date', 'prize_pool', 'prize_split', 'prize_token', 'require_verified_wallet',
+    'max_participants', 'registration_opens_at', 'registration_closes_at', 'join_mode', 'registration_questions',
+    'attachment_max_bytes', 'attachment_mime_types', 'submission_form'];
+  const changes = {};
+  editable.forEach(field => {
+    if (req.body[field] !== undefined) changes[field] = req.body[field];
+  });
+
+  if (Object.keys(changes).length === 0) {
+    return res.status(400).json({ error: 'No editable fields provided' });
   }
 
   try {
-    // Validate hackathon ID
-    if (isNaN(id)) {
-      console.log('Invalid hackathon ID:', id);
-      return res.status(400).json({ error: 'Invalid hackathon ID' });
+    const hackathonResult = await pool.query('SELECT * FROM hackathons WHERE id = $1', [id]);
+    const hackathon = hackathonResult.rows[0];
+
+    if (!hackathon) {
+      return res.status(404).json({ error: 'Hackathon not found' });
     }
 
-    // Check if hackathon exists
+    if (hackathon.organizer_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the hackathon organizer can edit it' });
+    }
+
+    const fieldError = validateHackathonFields(partial ? { ...hackathon, ...changes } : changes, {
+      draft: !hackathon.published,
+      previous: hackathon,
+    });
+    if (fieldError) {
+      return res.status(400).json({ error: fieldError });
+    }
+
+    const participantResult = await pool.query(
+      "SELECT COUNT(*) FROM hackathon_participants WHERE hackathon_id = $1 AND withdrawn = FALSE AND status = 'approved'",
+      [id]
+    );
+    const submissionResult = await pool.query('SELECT COUNT(*) FROM submissions WHERE hackathon_id = $1', [id]);
+    const editError = checkHackathonEdit(hackathon, changes, parseInt(participantResult.rows[0].count), parseInt(submissionResult.rows[0].count));
+    if (editError) {
+      return res.status(400).json({ error: editError });
+    }
+
+    const columns = {};
+    ['title', 'description', 'start_date', 'end_date', 'prize_pool'].forEach(field => {
+      if (changes[field] !== undefined || !partial) columns[field] = changes[field] || null;
+    });
+    if (changes.require_verified_wallet !== undefined) {
+      columns.require_verified_wallet = changes.require_verified_wallet === true;
+    }
+    ['max_participants', 'registration_opens_at', 'registration_closes_at', 'attachment_max_bytes', 'attachment_mime_types'].forEach(field => {
+      if (changes[field] !== undefined) columns[field] = changes[field] || null;
+    });
+    if (changes.join_mode !== undefined) {
+      columns.join_mode = changes.join_mode;
+    }
+    if (changes.registration_questions !== undefined) {
+      columns.registration_questions = changes.registration_questions ? JSON.stringify(changes.registration_questions) : null;
+    }
+    if (changes.submission_form !== undefined) {
+      columns.submission_form = changes.submission_form ? JSON.stringify(changes.submission_form) : null;
+    }
+
+    if (changes.prize_token !== undefined) {
+      if (changes.prize_token && !ethers.isAddress(changes.prize_token)) {
+        return res.status(400).json({ error: 'Prize token must be a valid contract address' });
+      }
+      let token;
+      try {
+        token = await lookupPrizeToken(changes.prize_token);
+      } catch (error) {
+        console.error('Prize token lookup error:', error);
+        return res.status(400).json({ error: 'Prize token is not a valid ERC-20 contract' });
+      }
+      columns.prize_token_address = token.address;
+      columns.prize_token_symbol = token.symbol;
+      columns.prize_token_decimals = token.decimals;
+    }
+
+    // A new token can have fewer decimals than the pool already uses
+    if (columns.prize_pool !== undefined || columns.prize_token_decimals !== undefined) {
+      const prizePoolError = checkPrizePool(
+        columns.prize_pool !== undefined ? columns.prize_pool : hackathon.prize_pool,
+        columns.prize_token_decimals !== undefined ? columns.prize_token_decimals : hackathon.prize_token_decimals
+      );
+      if (prizePoolError) {
+        return res.status(400).json({ error: prizePoolError });
+      }
+    }
+
+    let transaction;
+    let jobId;
+    if (changes.prize_split !== undefined) {
+      const splitError = validatePrizeSplit(changes.prize_split);
+      if (splitError) {
+        return res.status(400).json({ error: splitError });
+      }
+
+      const registration = await pool.query(
+        "SELECT 1 FROM tx_jobs WHERE hackathon_id = $1 AND type = 'create' AND status IN ('queued', 'processing', 'submitted')",
+        [id]
+      );
+      if (registration.rows.length > 0) {
+        return res.status(409).json({ error: 'Prize split cannot change while on-chain registration is pending' });
+      }
+
+      if (hackathon.chain_organizer_address) {
+        if (hackathon.winners) {
+          return res.status(400).json({ error: 'Prize split cannot change once winners are set' });
+        }
+        transaction = await prepareTransaction('setPrizeSplit', [id, changes.prize_split], hackathon.chain_organizer_address);
+      } else {
+        columns.prize_split = JSON.stringify(changes.prize_split);
+      }
+    }
+
+    let updated = hackathon;
+    const names = Object.keys(columns);
+    if (names.length > 0) {
+      const result = await pool.query(
+        `UPDATE hackathons SET ${names.map((name, i) => `${name} = $${i + 1}`).join(', ')} WHERE id = $${names.length + 1} RETURNING *`,
+        [...names.map(name => columns[name]), id]
+      );
+      updated = result.rows[0];
+      updated.status = await syncPhase(pool, id, { actorId: req.user.id, reason: 'edited' });
+    }
+
+    // Queued only once the other edits are saved, so a failed update leaves no
+    // split transaction behind to sign
+    if (transaction) {
+      const job = await enqueueJob(pool, { type: 'set_split', hackathonId: id, payload: { split: changes.prize_split }, requestedBy: req.user.id, transaction });
+      jobId = job.id;
+    }
+
+    // A raised or removed cap makes room for people on the waitlist
+    if (columns.max_participants !== undefined) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const promoted = await promoteWaitlist(client, id);
+        await client.query('COMMIT');
+        for (const userId of promoted) {
+          await publishParticipantChange(id, userId, 'promoted', 'approved');
+          await notifyRegistrationChange(id, userId, 'promoted');
+        }
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    }
+
+    if (transaction) {
+      return res.json({ message: 'Hackathon updated. Sign this transaction with your organizer wallet to change the prize split', hackathon: updated, jobId, transaction });
+    }
+    res.json({ message: 'Hackathon updated successfully', hackathon: updated });
+  } catch (error) {
+    console.error('Update hackathon error:', error);
+    res.status(500).json({ error: 'Failed to update hackathon' });
+  }
+}
+
+app.put('/api/hackathons/:id', authenticateToken, (req, res) => updateHackathon(req, res, false));
+app.patch('/api/hackathons/:id', authenticateToken, (req, res) => updateHackathon(req, res, true));
+
+// Publishing makes a draft visible and joinable and registers it on-chain
+app.post('/api/hackathons/:id/publish', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+
+  if (req.user.role !== 'organizer') {
+    return res.status(403).json({ error: 'Only organizers can publish hackathons' });
+  }
+
+  try {
     const hackathonResult = await pool.query('SELECT * FROM hackathons WHERE id = $1', [id]);
     const hackathon = hackathonResult.rows[0];
 
     if (!hackathon) {
-      console.log('Hackathon not found:', id);
       return res.status(404).json({ error: 'Hackathon not found' });
     }
 
-    // Check if hackathon has ended
-    const now = new Date();
-    const endDate = new Date(hackathon.end_date);
-    if (endDate < now || hackathon.manually_ended) {
-      console.log('Hackathon has ended');
-      return res.status(400).json({ error: 'Hackathon has ended' });
+    if (hackathon.organizer_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the hackathon organizer can publish it' });
     }
 
-    // Check user role
-    if (req.user.role !== 'user') {
-      console.log('User is not a regular user:', req.user);
-      return res.status(403).json({ error: 'Only users can update submissions' });
+    const phaseError = checkAction(hackathon, 'publish');
+    if (phaseError) {
+      return res.status(400).json({ error: phaseError });
     }
 
-    // Check for existing submission
-    const submissionResult = await pool.query(
-      'SELECT * FROM submissions WHERE user_id = $1 AND hackathon_id = $2',
-      [req.user.id, id]
+    const fieldError = validateHackathonFields(hackathon);
+    if (fieldError) {
+      return res.status(400).json({ error: fieldError });
+    }
+
+    const result = await pool.query(
+      'UPDATE hackathons SET published = TRUE, published_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+      [id]
     );
+    await syncPhase(pool, id, { actorId: req.user.id, reason: 'published' });
+    const job = await enqueueRegistration(result.rows[0], req.user.id);
+    res.json({ message: 'Hackathon published successfully', jobId: job && job.id });
+  } catch (error) {
+    console.error('Publish hackathon error:', error);
+    res.status(500).json({ error: 'Failed to publish hackathon' });
+  }
+});
 
-    if (submissionResult.rows.length === 0) {
-      console.log('Submission not found for user:', req.user.id);
-      return res.status(404).json({ error: 'Submission not found' });
+// Only hackathons nobody depends on can be deleted: nothing on-chain, no
+// participants and no submissions. Anything else has to be cancelled.
+app.delete('/api/hackathons/:id', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+
+  if (req.user.role !== 'organizer') {
+    return res.status(403).json({ error: 'Only organizers can delete hackathons' });
+  }
+
+  if (isNaN(id)) {
+    return res.status(400).json({ error: 'Invalid hackathon ID' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const hackathonResult = await client.query('SELECT * FROM hackathons WHERE id = $1 FOR UPDATE', [id]);
+    const hackathon = hackathonResult.rows[0];
+
+    if (!hackathon) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Hackathon not found' });
     }
 
-    // Update the submission
-    await pool.query(
-      'UPDATE submissions SET idea = $1, description = $2, public_key = $3, teammate_names = $4, github_link = $5, updated_at = $6 WHERE user_id = $7 AND hackathon_id = $8',
-      [idea, description, public_key, teammate_names || null, github_link || null, new Date().toISOString(), req.user.id, id]
+    if (hackathon.organizer_id !== req.user.id) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'Only the hackathon organizer can delete it' });
+    }
+
+    const phaseError = checkAction(hackathon, 'delete');
+    if (phaseError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: phaseError });
+    }
+
+    const registration = await client.query(
+      "SELECT 1 FROM tx_jobs WHERE hackathon_id = $1 AND type = 'create' AND status IN ('queued', 'processing', 'submitted')",
+      [id]
     );
-    console.log('Submission updated successfully');
-    res.json({ message: 'Submission updated successfully' });
-  } catch (error) {
-    console.error('Update submission error:', error);
-    if (error.code === '23502') {
-      return res.status(400).json({ error: `Missing required field: ${error.column}` });
+    if (hackathon.chain_organizer_address || registration.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Hackathons registered on-chain cannot be deleted; cancel it instead' });
     }
-    res.status(500).json({ error: 'Failed to update submission: ' + error.message });
+
+    const usage = await client.query(`
+      SELECT (SELECT COUNT(*) FROM hackathon_participants WHERE hackathon_id = $1 AND withdrawn = FALSE) AS participants,
+             (SELECT COUNT(*) FROM submissions WHERE hackathon_id = $1) AS submissions
+    `, [id]);
+    if (parseInt(usage.rows[0].participants) > 0 || parseInt(usage.rows[0].submissions) > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Hackathons with participants or submissions cannot be deleted; cancel it instead' });
+    }
+
+    // Judging setup and teams cascade; these tables do not
+    await client.query('DELETE FROM tx_jobs WHERE hackathon_id = $1', [id]);
+    await client.query('DELETE FROM hackathon_contributions WHERE hackathon_id = $1', [id]);
+    await client.query('DELETE FROM hackathon_participants WHERE hackathon_id = $1', [id]);
+    await client.query('DELETE FROM hackathons WHERE id = $1', [id]);
+    await client.query('COMMIT');
+    res.json({ message: 'Hackathon deleted successfully' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Delete hackathon error:', error);
+    res.status(500).json({ error: 'Failed to delete hackathon' });
+  } finally {
+    client.release();
   }
 });
 
-app.get('/api/hackathons/:id/submissions', authenticateToken, async (req, res) => {
+app.get('/api/hackathons/:id/participants', authenticateToken, async (req, res) => {
   const { id } = req.params;
 
   try {
-    const hackathonResult = await pool.query('SELECT * FROM hackathons WHERE id = $1', [id]);
-    const hackathon = hackathonResult.rows[0];
+    const result = await pool.query(`
+      SELECT u.id, u.email
+      FROM hackathon_participants p
+      JOIN users u ON p.user_id = u.id
+      WHERE p.hackathon_id = $1 AND p.withdrawn = FALSE AND p.status = 'approved'
+    `, [id]);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Fetch participants error:', error);
+    res.status(500).json({ error: 'Failed to fetch participants' });
+  }
+});
+
+// Joining goes through the registration controls: the window, the questions,
+// approval mode and the participant cap (see registration.js). Withdrawn users
+// can register again, which puts them at the back of any waitlist.
+app.post('/api/hackathons/:id/join', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+
+  if (req.user.role !== 'user') {
+    return res.status(403).json({ error: 'Only users can join hackathons' });
+  }
+
+  if (isNaN(id)) {
+    return res.status(400).json({ error: 'Invalid hackathon ID' });
+  }
+
+  if (!(await hasVerifiedEmail(req.user.id))) {
+    return res.status(403).json({ error: 'Verify your email address before joining hackathons' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // Serializes joins so the last place cannot be given out twice
+    const hackathonResult = await client.query('SELECT * FROM hackathons WHERE id = $1 FOR UPDATE', [id]);
+    const hackathon = hackathonResult.rows[0];
+
+    if (!hackathon || !hackathon.published) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Hackathon not found' });
+    }
+
+    const joinError = checkAction(hackathon, 'join') || checkRegistrationWindow(hackathon);
+    if (joinError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: joinError });
+    }
+
+    const participantResult = await client.query(
+      'SELECT * FROM hackathon_participants WHERE user_id = $1 AND hackathon_id = $2',
+      [req.user.id, id]
+    );
+    const existing = participantResult.rows[0];
+    if (existing && existing.status === 'rejected') {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'Your registration for this hackathon was rejected' });
+    }
+    if (existing && !existing.withdrawn) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: existing.status === 'approved' ? 'You have already joined this hackathon' : `Your registration is already ${existing.status}` });
+    }
+
+    const { answers, error: answerError } = validateAnswers(hackathon.registration_questions, req.body.answers);
+    if (answerError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: answerError });
+    }
+
+    const status = hackathon.join_mode === 'approval' ? 'pending' : await admissionStatus(client, hackathon);
+    if (existing) {
+      await client.query(
+        'UPDATE hackathon_participants SET withdrawn = FALSE, status = $1, answers = $2, joined_at = CURRENT_TIMESTAMP, decided_at = NULL, decided_by = NULL WHERE id = $3',
+        [status, JSON.stringify(answers), existing.id]
+      );
+    } else {
+      await client.query(
+        'INSERT INTO hackathon_participants (hackathon_id, user_id, status, answers) VALUES ($1, $2, $3, $4)',
+        [id, req.user.id, status, JSON.stringify(answers)]
+      );
+    }
+    await client.query('COMMIT');
+    const change = status === 'approved' ? 'joined' : status;
+    await publishParticipantChange(id, req.user.id, change, status);
+    await notifyRegistrationChange(id, req.user.id, change);
+
+    const messages = {
+      approved: existing ? 'Rejoined hackathon successfully' : 'Joined hackathon successfully',
+      pending: 'Registration received; the organizer will review it',
+      waitlisted: 'The hackathon is full; you have been added to the waitlist',
+    };
+    res.json({
+      message: messages[status],
+      status,
+      waitlist_position: status === 'waitlisted' ? await waitlistPosition(pool, id, req.user.id) : undefined,
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Join hackathon error:', error);
+    if (error.code === '23505') { // Unique constraint violation
+      return res.status(400).json({ error: 'You have already joined this hackathon' });
+    }
+    res.status(500).json({ error: 'Failed to join hackathon' });
+  } finally {
+    client.release();
+  }
+});
+
+app.post('/api/hackathons/:id/withdraw', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+
+  if (req.user.role !== 'user') {
+    return res.status(403).json({ error: 'Only users can withdraw from hackathons' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const hackathonResult = await client.query('SELECT * FROM hackathons WHERE id = $1 FOR UPDATE', [id]);
+    const hackathon = hackathonResult.rows[0];
+
+    if (!hackathon) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Hackathon not found' });
+    }
+
+    const phaseError = checkAction(hackathon, 'withdraw');
+    if (phaseError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: phaseError });
+    }
+
+    const participantResult = await client.query(
+      'SELECT * FROM hackathon_participants WHERE user_id = $1 AND hackathon_id = $2',
+      [req.user.id, id]
+    );
+
+    const participant = participantResult.rows[0];
+    if (!participant || participant.status === 'rejected') {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'You are not a participant in this hackathon' });
+    }
+
+    if (participant.withdrawn) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'You have already withdrawn from this hackathon' });
+    }
+
+    const team = await getUserTeam(req.user.id, id);
+    if (team) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'You must leave your team before withdrawing' });
+    }
+
+    await client.query(
+      'UPDATE hackathon_participants SET withdrawn = TRUE WHERE id = $1',
+      [participant.id]
+    );
+    await client.query(`
+      DELETE FROM team_members
+      WHERE user_id = $1 AND status = 'invited'
+        AND team_id IN (SELECT id FROM teams WHERE hackathon_id = $2)
+    `, [req.user.id, id]);
+
+    // A freed place goes to the first person on the waitlist
+    const promoted = participant.status === 'approved' ? await promoteWaitlist(client, id) : [];
+    await client.query('COMMIT');
+
+    await publishParticipantChange(id, req.user.id, 'withdrawn', participant.status);
+    for (const userId of promoted) {
+      await publishParticipantChange(id, userId, 'promoted', 'approved');
+      await notifyRegistrationChange(id, userId, 'promoted');
+    }
+    res.json({ message: 'Withdrawn from hackathon successfully' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Withdraw hackathon error:', error);
+    res.status(500).json({ error: 'Failed to withdraw from hackathon' });
+  } finally {
+    client.release();
+  }
+});
+
+// Registrations in every status with their answers, for the organizer.
+// Optional ?status= filter (approved, pending, waitlisted, rejected).
+app.get('/api/hackathons/:id/registrations', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  const { status } = req.query;
+
+  if (req.user.role !== 'organizer') {
+    return res.status(403).json({ error: 'Only organizers can view registrations' });
+  }
+
+  if (isNaN(id)) {
+    return res.status(400).json({ error: 'Invalid hackathon ID' });
+  }
+
+  try {
+    const hackathonResult = await pool.query('SELECT organizer_id FROM hackathons WHERE id = $1', [id]);
+    const hackathon = hackathonResult.rows[0];
+
+    if (!hackathon) {
+      return res.status(404).json({ error: 'Hackathon not found' });
+    }
+
+    if (hackathon.organizer_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the hackathon organizer can view registrations' });
+    }
+
+    const params = [id];
+    let statusFilter = '';
+    if (status) {
+      params.push(status);
+      statusFilter = `AND p.status = $${params.length}`;
+    }
+
+    const result = await pool.query(`
+      SELECT u.id AS user_id, u.email, u.wallet_address, p.status, p.answers, p.joined_at, p.decided_at,
+             CASE WHEN p.status = 'waitlisted'
+               THEN ROW_NUMBER() OVER (PARTITION BY p.status ORDER BY p.joined_at, p.id)
+             END AS waitlist_position
+      FROM hackathon_participants p
+      JOIN users u ON p.user_id = u.id
+      WHERE p.hackathon_id = $1 AND p.withdrawn = FALSE ${statusFilter}
+      ORDER BY p.joined_at, p.id
+    `, params);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Fetch registrations error:', error);
+    res.status(500).json({ error: 'Failed to fetch registrations' });
+  }
+});
+
+// Approving lets a pending (or previously rejected) registration in, subject
+// to the cap; rejecting turns away a pending or waitlisted one.
+async function reviewRegistration(req, res, decision) {
+  const { id, userId } = req.params;
+
+  if (req.user.role !== 'organizer') {
+    return res.status(403).json({ error: 'Only organizers can review registrations' });
+  }
+
+  if (isNaN(id) || isNaN(userId)) {
+    return res.status(400).json({ error: 'Invalid ID' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const hackathonResult = await client.query('SELECT * FROM hackathons WHERE id = $1 FOR UPDATE', [id]);
+    const hackathon = hackathonResult.rows[0];
+
+    if (!hackathon) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Hackathon not found' });
+    }
+
+    if (hackathon.organizer_id !== req.user.id) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'Only the hackathon organizer can review registrations' });
+    }
+
+    const phaseError = checkAction(hackathon, 'review_registrations');
+    if (phaseError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: phaseError });
+    }
+
+    const participantResult = await client.query(
+      'SELECT * FROM hackathon_participants WHERE hackathon_id = $1 AND user_id = $2 AND withdrawn = FALSE',
+      [id, userId]
+    );
+    const participant = participantResult.rows[0];
+    if (!participant) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Registration not found' });
+    }
+
+    const allowed = decision === 'approve' ? ['pending', 'rejected'] : ['pending', 'waitlisted'];
+    if (!allowed.includes(participant.status)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: `Cannot ${decision} a registration that is ${participant.status}` });
+    }
+
+    const status = decision === 'approve' ? await admissionStatus(client, hackathon) : 'rejected';
+    await client.query(
+      'UPDATE hackathon_participants SET status = $1, decided_at = CURRENT_TIMESTAMP, decided_by = $2 WHERE id = $3',
+      [status, req.user.id, participant.id]
+    );
+    await client.query('COMMIT');
+    await publishParticipantChange(id, participant.user_id, status, status);
+    await notifyRegistrationChange(id, participant.user_id, status);
+
+    res.json({
+      message: status === 'waitlisted' ? 'Registration approved; the hackathon is full so it was added to the waitlist' : `Registration ${status}`,
+      status,
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Review registration error:', error);
+    res.status(500).json({ error: 'Failed to review registration' });
+  } finally {
+    client.release();
+  }
+}
+
+app.post('/api/hackathons/:id/registrations/:userId/approve', authenticateToken, (req, res) => reviewRegistration(req, res, 'approve'));
+app.post('/api/hackathons/:id/registrations/:userId/reject', authenticateToken, (req, res) => reviewRegistration(req, res, 'reject'));
+
+// Runs an INSERT or UPDATE ... RETURNING * on submissions and records the
+// result as a revision in the same statement, so a submission is never saved
+// without its history. Updates must also bump revision. Returns the submission.
+async function saveSubmission(db, submissionSql, params, userId) {
+  const result = await db.query(`
+    WITH saved AS (${submissionSql}),
+    recorded AS (
+      INSERT INTO submission_revisions (submission_id, revision, idea, description, public_key, teammate_names, github_link, form_answers, created_by)
+      SELECT id, revision, idea, description, public_key, teammate_names, github_link, form_answers, $${params.length + 1} FROM saved
+    )
+    SELECT * FROM saved
+  `, [...params, userId]);
+  return result.rows[0];
+}
+
+app.post('/api/hackathons/:id/submit', authenticateToken, async (req, res) => {
+  console.log('Received submission request:', { params: req.params, body: req.body, user: req.user });
+  const { id } = req.params;
+  const { idea, description, public_key, teammate_names, github_link, form_answers, track_ids } = req.body;
+
+  // Log individual fields for debugging
+  console.log('Idea:', idea);
+  console.log('Description:', description);
+  console.log('Public Key:', public_key);
+  console.log('Teammate Names:', teammate_names);
+  console.log('GitHub Link:', github_link);
+
+  // Validate required fields (public_key may come from the team's payout wallet)
+  const missingFields = [];
+  if (!idea || typeof idea !== 'string' || idea.trim() === '') missingFields.push('idea');
+  if (!description || typeof description !== 'string' || description.trim() === '') missingFields.push('description');
+  if (public_key !== undefined && (typeof public_key !== 'string' || public_key.trim() === '')) missingFields.push('public_key');
+
+  if (missingFields.length > 0) {
+    console.log('Validation failed: Missing or invalid fields:', missingFields);
+    return res.status(400).json({ error: `The following fields are required: ${missingFields.join(', ')}` });
+  }
+
+  try {
+    // Validate hackathon ID
+    if (isNaN(id)) {
+      console.log('Invalid hackathon ID:', id);
+      return res.status(400).json({ error: 'Invalid hackathon ID' });
+    }
+
+    // Check if hackathon exists
+    const hackathonResult = await pool.query('SELECT * FROM hackathons WHERE id = $1', [id]);
+    console.log('Hackathon query result:', hackathonResult.rows);
+    const hackathon = hackathonResult.rows[0];
+
+    if (!hackathon) {
+      console.log('Hackathon not found:', id);
+      return res.status(404).json({ error: 'Hackathon not found' });
+    }
+
+    // Check the hackathon is still taking submissions
+    const phaseError = checkAction(hackathon, 'submit');
+    if (phaseError) {
+      console.log('Hackathon not taking submissions:', phaseError);
+      return res.status(400).json({ error: phaseError });
+    }
+
+    // Check user role
+    if (req.user.role !== 'user') {
+      console.log('User is not a regular user:', req.user);
+      return res.status(403).json({ error: 'Only users can submit projects' });
+    }
+
+    if (!(await hasVerifiedEmail(req.user.id))) {
+      return res.status(403).json({ error: 'Verify your email address before submitting' });
+    }
+
+    // Answers to the hackathon's own submission fields
+    const form = validateSubmissionAnswers(hackathon.submission_form, form_answers);
+    if (form.error) {
+      return res.status(400).json({ error: form.error });
+    }
+
+    // Tracks the project competes in besides the main prize pool
+    const tracks = parseTrackIds(track_ids || []);
+    const trackError = tracks.error || (await checkTrackIds(pool, id, tracks.trackIds));
+    if (trackError) {
+      return res.status(400).json({ error: trackError });
+    }
+
+    // Check if user has joined the hackathon
+    const participantResult = await pool.query(
+      "SELECT * FROM hackathon_participants WHERE user_id = $1 AND hackathon_id = $2 AND withdrawn = FALSE AND status = 'approved'",
+      [req.user.id, id]
+    );
+    console.log('Participant query result:', participantResult.rows);
+    if (participantResult.rows.length === 0) {
+      console.log('User not a participant');
+      return res.status(400).json({ error: 'You must join the hackathon to submit a project' });
+    }
+
+    // Team members submit once, through the captain, to the team's payout wallet
+    const team = await getUserTeam(req.user.id, id);
+    if (team) {
+      if (team.captain_id !== req.user.id) {
+        return res.status(403).json({ error: 'Only the team captain can submit for the team' });
+      }
+
+      const teamSubmissionResult = await pool.query('SELECT * FROM submissions WHERE team_id = $1', [team.id]);
+      if (teamSubmissionResult.rows.length > 0) {
+        return res.status(400).json({ error: 'Your team has already submitted a project for this hackathon' });
+      }
+
+      const payoutWallet = public_key || team.payout_wallet;
+      if (!payoutWallet) {
+        return res.status(400).json({ error: 'The following fields are required: public_key' });
+      }
+      if (!ethers.isAddress(payoutWallet)) {
+        return res.status(400).json({ error: 'Payout wallet must be a valid Ethereum address' });
+      }
+
+      const members = await getTeamMembers(team.id);
+      if (hackathon.require_verified_wallet && !(await isVerifiedWalletOf(payoutWallet, members.map(m => m.id)))) {
+        return res.status(400).json({ error: 'Payout wallet must be a verified wallet of a team member' });
+      }
+
+      const inserted = await saveSubmission(pool,
+        'INSERT INTO submissions (hackathon_id, user_id, team_id, idea, description, public_key, teammate_names, github_link, form_answers) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *',
+        [id, req.user.id, team.id, idea, description, payoutWallet, members.map(m => m.email || m.wallet_address).join(', '), github_link || null, JSON.stringify(form.answers)],
+        req.user.id
+      );
+      await pool.query('UPDATE teams SET payout_wallet = $1 WHERE id = $2', [payoutWallet, team.id]);
+      await setSubmissionTracks(pool, inserted.id, tracks.trackIds);
+      await publishSubmission(inserted, 'created', members.map(m => m.id));
+      await notifySubmission(inserted, 'created', members.map(m => m.id), req.user.id);
+      console.log('Team submission successful');
+      return res.json({ message: 'Project submitted successfully' });
+    }
+
+    if (!public_key) {
+      return res.status(400).json({ error: 'The following fields are required: public_key' });
+    }
+
+    if (hackathon.require_verified_wallet && !(await isVerifiedWalletOf(public_key, [req.user.id]))) {
+      return res.status(400).json({ error: 'This hackathon requires your verified wallet as the payout address' });
+    }
+
+    // Check for existing submission
+    const submissionResult = await pool.query(
+      'SELECT * FROM submissions WHERE user_id = $1 AND hackathon_id = $2',
+      [req.user.id, id]
+    );
+    console.log('Existing submission query result:', submissionResult.rows);
+    if (submissionResult.rows.length > 0) {
+      console.log('User already submitted');
+      return res.status(400).json({ error: 'You have already submitted a project for this hackathon' });
+    }
+
+    // Insert the submission
+    const inserted = await saveSubmission(pool,
+      'INSERT INTO submissions (hackathon_id, user_id, idea, description, public_key, teammate_names, github_link, form_answers) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *',
+      [id, req.user.id, idea, description, public_key, teammate_names || null, github_link || null, JSON.stringify(form.answers)],
+      req.user.id
+    );
+    await setSubmissionTracks(pool, inserted.id, tracks.trackIds);
+    await publishSubmission(inserted, 'created', [req.user.id]);
+    await notifySubmission(inserted, 'created', [req.user.id], req.user.id);
+    console.log('Submission successful');
+    res.json({ message: 'Project submitted successfully' });
+  } catch (error) {
+    console.error('Submit project error:', error);
+    if (error.code === '23502') {
+      return res.status(400).json({ error: `Missing required field: ${error.column}` });
+    }
+    res.status(500).json({ error: 'Failed to submit project: ' + error.message });
+  }
+});
+
+app.put('/api/hackathons/:id/submission', authenticateToken, async (req, res) => {
+  console.log('Received update submission request:', { params: req.params, body: req.body, user: req.user });
+  const { id } = req.params;
+  const { idea, description, public_key, teammate_names, github_link, form_answers, track_ids } = req.body;
+
+  // Validate required fields
+  const missingFields = [];
+  if (!idea || typeof idea !== 'string' || idea.trim() === '') missingFields.push('idea');
+  if (!description || typeof description !== 'string' || description.trim() === '') missingFields.push('description');
+  if (public_key !== undefined && (typeof public_key !== 'string' || public_key.trim() === '')) missingFields.push('public_key');
+
+  if (missingFields.length > 0) {
+    console.log('Validation failed: Missing or invalid fields:', missingFields);
+    return res.status(400).json({ error: `The following fields are required: ${missingFields.join(', ')}` });
+  }
+
+  try {
+    // Validate hackathon ID
+    if (isNaN(id)) {
+      console.log('Invalid hackathon ID:', id);
+      return res.status(400).json({ error: 'Invalid hackathon ID' });
+    }
+
+    // Check if hackathon exists
+    const hackathonResult = await pool.query('SELECT * FROM hackathons WHERE id = $1', [id]);
+    const hackathon = hackathonResult.rows[0];
+
+    if (!hackathon) {
+      console.log('Hackathon not found:', id);
+      return res.status(404).json({ error: 'Hackathon not found' });
+    }
+
+    // Check the hackathon is still taking submissions
+    const phaseError = checkAction(hackathon, 'submit');
+    if (phaseError) {
+      console.log('Hackathon not taking submissions:', phaseError);
+      return res.status(400).json({ error: phaseError });
+    }
+
+    // Check user role
+    if (req.user.role !== 'user') {
+      console.log('User is not a regular user:', req.user);
+      return res.status(403).json({ error: 'Only users can update submissions' });
+    }
+
+    // Any team member may edit the team's submission; only the captain may move the payout wallet
+    const team = await getUserTeam(req.user.id, id);
+    if (team) {
+      const teamSubmissionResult = await pool.query('SELECT * FROM submissions WHERE team_id = $1', [team.id]);
+      const teamSubmission = teamSubmissionResult.rows[0];
+
+      if (!teamSubmission) {
+        return res.status(404).json({ error: 'Submission not found' });
+      }
+
+      const payoutWallet = public_key || teamSubmission.public_key;
+      if (payoutWallet !== teamSubmission.public_key) {
+        if (team.captain_id !== req.user.id) {
+          return res.status(403).json({ error: 'Only the team captain can change the payout wallet' });
+        }
+        if (!ethers.isAddress(payoutWallet)) {
+          return res.status(400).json({ error: 'Payout wallet must be a valid Ethereum address' });
+        }
+      }
+
+      const members = await getTeamMembers(team.id);
+      if (hackathon.require_verified_wallet && !(await isVerifiedWalletOf(payoutWallet, members.map(m => m.id)))) {
+        return res.status(400).json({ error: 'Payout wallet must be a verified wallet of a team member' });
+      }
+
+      // Answers left out are kept as they were, and so are the tracks
+      const form = validateSubmissionAnswers(hackathon.submission_form, form_answers === undefined ? teamSubmission.form_answers : form_answers);
+      if (form.error) {
+        return res.status(400).json({ error: form.error });
+      }
+      const tracks = track_ids === undefined ? null : parseTrackIds(track_ids);
+      const trackError = tracks && (tracks.error || (await checkTrackIds(pool, id, tracks.trackIds)));
+      if (trackError) {
+        return res.status(400).json({ error: trackError });
+      }
+
+      const updated = await saveSubmission(pool,
+        'UPDATE submissions SET idea = $1, description = $2, public_key = $3, teammate_names = $4, github_link = $5, form_answers = $6, updated_at = $7, revision = revision + 1 WHERE id = $8 RETURNING *',
+        [idea, description, payoutWallet, members.map(m => m.email || m.wallet_address).join(', '), github_link || null, JSON.stringify(form.answers), new Date().toISOString(), teamSubmission.id],
+        req.user.id
+      );
+      await pool.query('UPDATE teams SET payout_wallet = $1 WHERE id = $2', [payoutWallet, team.id]);
+      if (tracks) {
+        await setSubmissionTracks(pool, updated.id, tracks.trackIds);
+      }
+      await publishSubmission(updated, 'updated', members.map(m => m.id));
+      await notifySubmission(updated, 'updated', members.map(m => m.id), req.user.id);
+      console.log('Team submission updated successfully');
+      return res.json({ message: 'Submission updated successfully' });
+    }
+
+    if (!public_key) {
+      return res.status(400).json({ error: 'The following fields are required: public_key' });
+    }
+
+    if (hackathon.require_verified_wallet && !(await isVerifiedWalletOf(public_key, [req.user.id]))) {
+      return res.status(400).json({ error: 'This hackathon requires your verified wallet as the payout address' });
+    }
+
+    // Check for existing submission
+    const submissionResult = await pool.query(
+      'SELECT * FROM submissions WHERE user_id = $1 AND hackathon_id = $2',
+      [req.user.id, id]
+    );
+
+    if (submissionResult.rows.length === 0) {
+      console.log('Submission not found for user:', req.user.id);
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+
+    // Answers left out are kept as they were, and so are the tracks
+    const form = validateSubmissionAnswers(hackathon.submission_form, form_answers === undefined ? submissionResult.rows[0].form_answers : form_answers);
+    if (form.error) {
+      return res.status(400).json({ error: form.error });
+    }
+    const tracks = track_ids === undefined ? null : parseTrackIds(track_ids);
+    const trackError = tracks && (tracks.error || (await checkTrackIds(pool, id, tracks.trackIds)));
+    if (trackError) {
+      return res.status(400).json({ error: trackError });
+    }
+
+    // Update the submission
+    const updated = await saveSubmission(pool,
+      'UPDATE submissions SET idea = $1, description = $2, public_key = $3, teammate_names = $4, github_link = $5, form_answers = $6, updated_at = $7, revision = revision + 1 WHERE user_id = $8 AND hackathon_id = $9 RETURNING *',
+      [idea, description, public_key, teammate_names || null, github_link || null, JSON.stringify(form.answers), new Date().toISOString(), req.user.id, id],
+      req.user.id
+    );
+    if (tracks) {
+      await setSubmissionTracks(pool, updated.id, tracks.trackIds);
+    }
+    await publishSubmission(updated, 'updated', [req.user.id]);
+    console.log('Submission updated successfully');
+    res.json({ message: 'Submission updated successfully' });
+  } catch (error) {
+    console.error('Update submission error:', error);
+    if (error.code === '23502') {
+      return res.status(400).json({ error: `Missing required field: ${error.column}` });
+    }
+    res.status(500).json({ error: 'Failed to update submission: ' + error.message });
+  }
+});
+
+const SUBMISSION_SORTS = {
+  created_at: { expr: "COALESCE(s.created_at, '-infinity')", type: 'timestamp', order: 'desc' },
+  updated_at: { expr: "COALESCE(s.updated_at, s.created_at, '-infinity')", type: 'timestamp', order: 'desc' },
+  id: { expr: 's.id', type: 'integer', order: 'asc' },
+};
+
+// Must match the submissions_search index in sql/scheme.sql
+const SUBMISSION_SEARCH_VECTOR = "to_tsvector('english', s.idea || ' ' || s.description)";
+
+// Filters: user_id, track_id, from/to (creation date), q (full-text search over
+// idea and description). See listQuery.js for sort, order, limit and cursor.
+app.get('/api/hackathons/:id/submissions', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const hackathonResult = await pool.query('SELECT * FROM hackathons WHERE id = $1', [id]);
+    const hackathon = hackathonResult.rows[0];
+
+    if (!hackathon) {
+      return res.status(404).json({ error: 'Hackathon not found' });
+    }
+
+    if (req.user.role === 'organizer' && hackathon.organizer_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the hackathon organizer can view submissions' });
+    }
+
+    const where = createConditions(['s.hackathon_id = $1'], [id]);
+
+    if (req.query.user_id !== undefined) {
+      if (isNaN(req.query.user_id)) {
+        return res.status(400).json({ error: 'user_id must be a number' });
+      }
+      where.add('s.user_id = ?', parseInt(req.query.user_id));
+    }
+
+    if (req.query.track_id !== undefined) {
+      if (isNaN(req.query.track_id)) {
+        return res.status(400).json({ error: 'track_id must be a number' });
+      }
+      where.add('s.id IN (SELECT submission_id FROM submission_tracks WHERE track_id = ?)', parseInt(req.query.track_id));
+    }
+
+    const from = parseDateParam(req.query.from, 'from');
+    const to = parseDateParam(req.query.to, 'to');
+    if (from.error || to.error) {
+      return res.status(400).json({ error: from.error || to.error });
+    }
+    if (from.date) where.add('s.created_at >= ?', from.date);
+    if (to.date) where.add('s.created_at <= ?', to.date);
+
+    const sorts = { ...SUBMISSION_SORTS };
+    if (req.query.q) {
+      const search = where.param(req.query.q);
+      where.conditions.push(`${SUBMISSION_SEARCH_VECTOR} @@ websearch_to_tsquery('english', ${search})`);
+      sorts.relevance = { expr: `ts_rank(${SUBMISSION_SEARCH_VECTOR}, websearch_to_tsquery('english', ${search}))`, type: 'real', order: 'desc' };
+    }
+
+    const list = parseListParams(req.query, sorts, req.query.q ? 'relevance' : 'created_at');
+    if (list.error) {
+      return res.status(400).json({ error: list.error });
+    }
+
+    const page = await fetchPage(pool, {
+      select: `s.*, u.email,
+        ARRAY(SELECT st.track_id FROM submission_tracks st WHERE st.submission_id = s.id ORDER BY st.track_id) AS track_ids`,
+      from: 'submissions s JOIN users u ON s.user_id = u.id',
+      idColumn: 's.id',
+      where,
+      list,
+    });
+    // form_fields describes the form_answers columns of each submission
+    res.json({ total: page.total, next_cursor: page.next_cursor, form_fields: hackathon.submission_form || [], submissions: page.rows });
+  } catch (error) {
+    console.error('Fetch submissions error:', error);
+    res.status(500).json({ error: 'Failed to fetch submissions' });
+  }
+});
+
+// The revision judging is based on: the last one saved before the hackathon
+// ended (at end_date, or earlier if the organizer ended it), payout wallet
+// included, so winners picked from rankings are paid where they were at the
+// deadline. Needs `s` and `h`.
+const PINNED_REVISION_JOIN = `
+  LEFT JOIN LATERAL (
+    SELECT r.revision, r.idea, r.description, r.public_key, r.github_link, r.teammate_names, r.form_answers, r.created_at
+    FROM submission_revisions r
+    WHERE r.submission_id = s.id
+      AND r.created_at <= COALESCE(LEAST(h.end_date, h.manually_ended_at), 'infinity')
+    ORDER BY r.revision DESC
+    LIMIT 1
+  ) pinned ON TRUE`;
+
+// Submitters, their team, the organizer, assigned judges and admins may see a submission's history
+async function canViewSubmissionHistory(submission, user) {
+  if (user.role === 'admin' || submission.user_id === user.id || submission.organizer_id === user.id) {
+    return true;
+  }
+  const result = await pool.query(`
+    SELECT 1 FROM team_members m WHERE m.team_id = $1 AND m.user_id = $3 AND m.status = 'accepted'
+    UNION ALL
+    SELECT 1 FROM judge_assignments a WHERE a.submission_id = $2 AND a.judge_id = $3
+  `, [submission.team_id, submission.id, user.id]);
+  return result.rows.length > 0;
+}
+
+async function getSubmissionForHistory(req, res) {
+  const { submissionId } = req.params;
+
+  if (isNaN(submissionId)) {
+    res.status(400).json({ error: 'Invalid submission ID' });
+    return null;
+  }
+
+  const result = await pool.query(`
+    SELECT s.id, s.user_id, s.team_id, s.revision, h.organizer_id, pinned.revision AS pinned_revision
+    FROM submissions s
+    JOIN hackathons h ON s.hackathon_id = h.id
+    ${PINNED_REVISION_JOIN}
+    WHERE s.id = $1
+  `, [submissionId]);
+  const submission = result.rows[0];
+
+  if (!submission) {
+    res.status(404).json({ error: 'Submission not found' });
+    return null;
+  }
+
+  if (!(await canViewSubmissionHistory(submission, req.user))) {
+    res.status(403).json({ error: 'You cannot view this submission' });
+    return null;
+  }
+  return submission;
+}
+
+// Every revision, oldest first. `pinned` marks the one judging uses.
+app.get('/api/submissions/:submissionId/revisions', authenticateToken, async (req, res) => {
+  try {
+    const submission = await getSubmissionForHistory(req, res);
+    if (!submission) return;
+
+    const result = await pool.query(`
+      SELECT r.revision, r.idea, r.description, r.public_key, r.teammate_names, r.github_link, r.form_answers,
+             r.created_at, r.created_by, u.email AS created_by_email
+      FROM submission_revisions r
+      LEFT JOIN users u ON r.created_by = u.id
+      WHERE r.submission_id = $1
+      ORDER BY r.revision
+    `, [submission.id]);
+    res.json({
+      current_revision: submission.revision,
+      pinned_revision: submission.pinned_revision,
+      revisions: result.rows.map(revision => ({ ...revision, pinned: revision.revision === submission.pinned_revision })),
+    });
+  } catch (error) {
+    console.error('Fetch submission revisions error:', error);
+    res.status(500).json({ error: 'Failed to fetch submission revisions' });
+  }
+});
+
+// ?from=&to= revision numbers; by default the latest revision against the one before it
+app.get('/api/submissions/:submissionId/diff', authenticateToken, async (req, res) => {
+  try {
+    const submission = await getSubmissionForHistory(req, res);
+    if (!submission) return;
+
+    const to = req.query.to !== undefined ? parseInt(req.query.to) : submission.revision;
+    const from = req.query.from !== undefined ? parseInt(req.query.from) : to - 1;
+    if (isNaN(from) || isNaN(to) || from < 1 || from >= to) {
+      return res.status(400).json({ error: 'from and to must be revision numbers with from before to' });
+    }
+
+    const result = await pool.query(
+      'SELECT * FROM submission_revisions WHERE submission_id = $1 AND revision = ANY($2)',
+      [submission.id, [from, to]]
+    );
+    const fromRevision = result.rows.find(row => row.revision === from);
+    const toRevision = result.rows.find(row => row.revision === to);
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({
+      from: { revision: from, created_at: fromRevision.created_at },
+      to: { revision: to, created_at: toRevision.created_at },
+      changes: diffRevisions(fromRevision, toRevision),
+    });
+  } catch (error) {
+    console.error('Diff submission revisions error:', error);
+    res.status(500).json({ error: 'Failed to diff submission revisions' });
+  }
+});
+
+// Attachments
+// Demo videos, slide decks and screenshots uploaded as multipart/form-data in
+// the "files" field. Limits come from the hackathon (see attachments.js);
+// files are stored by storage.js.
+
+// The submitter and their accepted teammates may change a submission's attachments
+async function canEditSubmission(submission, user) {
+  if (user.role !== 'user') return false;
+  if (submission.user_id === user.id) return true;
+  if (!submission.team_id) return false;
+  const result = await pool.query(
+    "SELECT 1 FROM team_members WHERE team_id = $1 AND user_id = $2 AND status = 'accepted'",
+    [submission.team_id, user.id]
+  );
+  return result.rows.length > 0;
+}
+
+// Loads the submission and its hackathon, answering the request itself when
+// the submission does not exist. Viewing follows GET /api/hackathons/:id/submissions:
+// organizers only see their own hackathons' submissions.
+async function getSubmissionForAttachments(req, res) {
+  const { submissionId } = req.params;
+
+  if (isNaN(submissionId)) {
+    res.status(400).json({ error: 'Invalid submission ID' });
+    return null;
+  }
+
+  const submissionResult = await pool.query('SELECT * FROM submissions WHERE id = $1', [submissionId]);
+  const submission = submissionResult.rows[0];
+  if (!submission) {
+    res.status(404).json({ error: 'Submission not found' });
+    return null;
+  }
+
+  const hackathonResult = await pool.query('SELECT * FROM hackathons WHERE id = $1', [submission.hackathon_id]);
+  const hackathon = hackathonResult.rows[0];
+  if (req.user.role === 'organizer' && hackathon.organizer_id !== req.user.id) {
+    res.status(403).json({ error: 'Only the hackathon organizer can view submissions' });
+    return null;
+  }
+  return { submission, hackathon };
+}
+
+const ATTACHMENT_COLUMNS = 'id, submission_id, filename, content_type, size_bytes, uploaded_by, created_at';
+
+app.post('/api/submissions/:submissionId/attachments', authenticateToken, async (req, res) => {
+  try {
+    const found = await getSubmissionForAttachments(req, res);
+    if (!found) return;
+    const { submission, hackathon } = found;
+
+    const phaseError = checkAction(hackathon, 'submit');
+    if (phaseError) {
+      return res.status(400).json({ error: phaseError });
+    }
+
+    if (!(await canEditSubmission(submission, req.user))) {
+      return res.status(403).json({ error: 'Only the submitter and their team can add attachments' });
+    }
+
+    const limits = attachmentLimits(hackathon);
+    const countResult = await pool.query('SELECT COUNT(*) FROM submission_attachments WHERE submission_id = $1', [submission.id]);
+    const remaining = limits.maxFiles - parseInt(countResult.rows[0].count);
+    if (remaining <= 0) {
+      return res.status(400).json({ error: `A submission can have at most ${limits.maxFiles} attachments` });
+    }
+
+    try {
+      await new Promise((resolve, reject) => {
+        createUploader(limits, remaining)(req, res, error => (error ? reject(error) : resolve()));
+      });
+    } catch (error) {
+      const message = uploadErrorMessage(error, limits, remaining);
+      if (message) {
+        return res.status(400).json({ error: message });
+      }
+      throw error;
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+
+    const stored = [];
+    let result;
+    try {
+      for (const file of req.files) {
+        stored.push(await storeUpload(submission.id, file));
+      }
+      result = await pool.query(`
+        INSERT INTO submission_attachments (submission_id, storage_key, filename, content_type, size_bytes, uploaded_by)
+        SELECT $1, f.storage_key, f.filename, f.content_type, f.size_bytes, $6
+        FROM unnest($2::text[], $3::text[], $4::text[], $5::bigint[]) AS f(storage_key, filename, content_type, size_bytes)
+        RETURNING ${ATTACHMENT_COLUMNS}
+      `, [
+        submission.id,
+        stored.map(file => file.storageKey),
+        stored.map(file => file.filename),
+        stored.map(file => file.contentType),
+        stored.map(file => file.size),
+        req.user.id,
+      ]);
+    } catch (error) {
+      await discardUploads(req.files);
+      await removeStoredFiles(stored.map(file => file.storageKey));
+      throw error;
+    }
+
+    res.status(201).json({ message: 'Attachments uploaded successfully', attachments: result.rows });
+  } catch (error) {
+    console.error('Upload attachments error:', error);
+    res.status(500).json({ error: 'Failed to upload attachments' });
+  }
+});
+
+app.get('/api/submissions/:submissionId/attachments', authenticateToken, async (req, res) => {
+  try {
+    const found = await getSubmissionForAttachments(req, res);
+    if (!found) return;
+
+    const result = await pool.query(
+      `SELECT ${ATTACHMENT_COLUMNS} FROM submission_attachments WHERE submission_id = $1 ORDER BY id`,
+      [found.submission.id]
+    );
+    res.json({ limits: attachmentLimits(found.hackathon), attachments: result.rows });
+  } catch (error) {
+    console.error('Fetch attachments error:', error);
+    res.status(500).json({ error: 'Failed to fetch attachments' });
+  }
+});
+
+// Always served as a download, with the stored type and no sniffing, so an
+// uploaded file cannot run as a page on this origin
+app.get('/api/submissions/:submissionId/attachments/:attachmentId', authenticateToken, async (req, res) => {
+  const { attachmentId } = req.params;
+
+  if (isNaN(attachmentId)) {
+    return res.status(400).json({ error: 'Invalid attachment ID' });
+  }
+
+  try {
+    const found = await getSubmissionForAttachments(req, res);
+    if (!found) return;
+
+    const result = await pool.query(
+      'SELECT * FROM submission_attachments WHERE id = $1 AND submission_id = $2',
+      [attachmentId, found.submission.id]
+    );
+    const attachment = result.rows[0];
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    const stream = await getFileStream(attachment.storage_key);
+    stream.on('error', error => {
+      console.error('Download attachment error:', error);
+      if (res.headersSent) {
+        res.destroy(error);
+      } else {
+        res.status(error.code === 'ENOENT' ? 404 : 500).json({ error: 'Failed to download attachment' });
+      }
+    });
+    res.attachment(attachment.filename);
+    res.set({
+      'Content-Type': attachment.content_type,
+      'Content-Length': attachment.size_bytes,
+      'X-Content-Type-Options': 'nosniff',
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({ error: 'Failed to download attachment' });
+  }
+});
+
+app.delete('/api/submissions/:submissionId/attachments/:attachmentId', authenticateToken, async (req, res) => {
+  const { attachmentId } = req.params;
+
+  if (isNaN(attachmentId)) {
+    return res.status(400).json({ error: 'Invalid attachment ID' });
+  }
+
+  try {
+    const found = await getSubmissionForAttachments(req, res);
+    if (!found) return;
+    const { submission, hackathon } = found;
+
+    const phaseError = checkAction(hackathon, 'submit');
+    if (phaseError) {
+      return res.status(400).json({ error: phaseError });
+    }
+
+    if (!(await canEditSubmission(submission, req.user))) {
+      return res.status(403).json({ error: 'Only the submitter and their team can remove attachments' });
+    }
+
+    const result = await pool.query(
+      'DELETE FROM submission_attachments WHERE id = $1 AND submission_id = $2 RETURNING storage_key',
+      [attachmentId, submission.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    await removeStoredFiles([result.rows[0].storage_key]);
+    res.json({ message: 'Attachment removed successfully' });
+  } catch (error) {
+    console.error('Remove attachment error:', error);
+    res.status(500).json({ error: 'Failed to remove attachment' });
+  }
+});
+
+// Takes the same filters and list options as GET /api/hackathons; drafts and
+// hidden hackathons are included
+app.get('/api/organizer/hackathons', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'organizer') {
+    return res.status(403).json({ error: 'Only organizers can view their hackathons' });
+  }
+
+  try {
+    await listHackathons(req, res, createConditions(['h.organizer_id = $1'], [req.user.id]));
+  } catch (error) {
+    console.error('Fetch organizer hackathons error:', error);
+    res.status(500).json({ error: 'Failed to fetch hackathons' });
+  }
+});
+
+app.get('/api/organizer/stats', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'organizer') {
+    console.log('User is not an organizer:', req.user);
+    return res.status(403).json({ error: 'Only organizers can view stats' });
+  }
+
+  try {
+    const stats = { hackathons: 0, participants: 0, submissions: 0 };
+
+    const hackathonsResult = await pool.query(
+      'SELECT COUNT(*) as count FROM hackathons WHERE organizer_id = $1',
+      [req.user.id]
+    );
+    stats.hackathons = parseInt(hackathonsResult.rows[0].count);
+    console.log('Hackathon count:', stats.hackathons);
+
+    const participantsResult = await pool.query(
+      `
+      SELECT COUNT(*) as count
+      FROM hackathon_participants p
+      JOIN hackathons h ON p.hackathon_id = h.id
+      WHERE h.organizer_id = $1 AND p.withdrawn = FALSE AND p.status = 'approved'
+      `,
+      [req.user.id]
+    );
+    stats.participants = parseInt(participantsResult.rows[0].count);
+    console.log('Participant count:', stats.participants);
+
+    const submissionsResult = await pool.query(
+      `
+      SELECT COUNT(*) as count
+      FROM submissions s
+      JOIN hackathons h ON s.hackathon_id = h.id
+      WHERE h.organizer_id = $1
+      `,
+      [req.user.id]
+    );
+    stats.submissions = parseInt(submissionsResult.rows[0].count);
+    console.log('Submission count:', stats.submissions);
+
+    res.json(stats);
+  } catch (error) {
+    console.error('Fetch stats error:', error);
+    res.status(500).json({ error: 'Failed to fetch stats' });
+  }
+});
+
+app.get('/api/user/hackathons', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'user') {
+    return res.status(403).json({ error: 'Only users can view their hackathons' });
+  }
+
+  try {
+    const result = await pool.query(`
+      SELECT h.*,
+             p.withdrawn,
+             p.status AS registration_status
+      FROM hackathons h
+      JOIN hackathon_participants p ON h.id = p.hackathon_id
+      WHERE p.user_id = $1
+    `, [req.user.id]);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Fetch user hackathons error:', error);
+    res.status(500).json({ error: 'Failed to fetch hackathons' });
+  }
+});
+
+app.get('/api/user/hackathons/:id/submission', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+
+  if (req.user.role !== 'user') {
+    return res.status(403).json({ error: 'Only users can view their submissions' });
+  }
+
+  try {
+    const team = await getUserTeam(req.user.id, id);
+    const submissionResult = team
+      ? await pool.query('SELECT * FROM submissions WHERE team_id = $1', [team.id])
+      : await pool.query(
+        'SELECT * FROM submissions WHERE user_id = $1 AND hackathon_id = $2',
+        [req.user.id, id]
+      );
+
+    if (submissionResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+    res.json(submissionResult.rows[0]);
+  } catch (error) {
+    console.error('Fetch user submission error:', error);
+    res.status(500).json({ error: 'Failed to fetch submission' });
+  }
+});
+
+// Teams
+
+// Returns the team the user has accepted membership of in a hackathon, if any.
+async function getUserTeam(userId, hackathonId) {
+  const result = await pool.query(`
+    SELECT t.*
+    FROM teams t
+    JOIN team_members m ON m.team_id = t.id
+    WHERE m.user_id = $1 AND t.hackathon_id = $2 AND m.status = 'accepted'
+  `, [userId, hackathonId]);
+  return result.rows[0];
+}
+
+async function getTeamMembers(teamId) {
+  const result = await pool.query(`
+    SELECT u.id, u.email, u.wallet_address, m.status, m.invited_at, m.joined_at
+    FROM team_members m
+    JOIN users u ON m.user_id = u.id
+    WHERE m.team_id = $1 AND m.status = 'accepted'
+    ORDER BY m.joined_at
+  `, [teamId]);
+  return result.rows;
+}
+
+app.post('/api/hackathons/:id/teams', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  const { name, payout_wallet } = req.body;
+
+  if (req.user.role !== 'user') {
+    return res.status(403).json({ error: 'Only users can create teams' });
+  }
+
+  if (!name || typeof name !== 'string' || name.trim() === '') {
+    return res.status(400).json({ error: 'Team name is required' });
+  }
+
+  if (payout_wallet && !ethers.isAddress(payout_wallet)) {
+    return res.status(400).json({ error: 'Payout wallet must be a valid Ethereum address' });
+  }
+
+  const client = await pool.connect();
+  try {
+    const hackathonResult = await client.query('SELECT * FROM hackathons WHERE id = $1', [id]);
+    const hackathon = hackathonResult.rows[0];
+
+    if (!hackathon) {
+      return res.status(404).json({ error: 'Hackathon not found' });
+    }
+
+    const phaseError = checkAction(hackathon, 'team');
+    if (phaseError) {
+      return res.status(400).json({ error: phaseError });
+    }
+
+    const participantResult = await client.query(
+      "SELECT * FROM hackathon_participants WHERE user_id = $1 AND hackathon_id = $2 AND withdrawn = FALSE AND status = 'approved'",
+      [req.user.id, id]
+    );
+    if (participantResult.rows.length === 0) {
+      return res.status(400).json({ error: 'You must join the hackathon to create a team' });
+    }
+
+    if (await getUserTeam(req.user.id, id)) {
+      return res.status(400).json({ error: 'You are already on a team for this hackathon' });
+    }
+
+    const soloSubmission = await client.query(
+      'SELECT id FROM submissions WHERE user_id = $1 AND hackathon_id = $2',
+      [req.user.id, id]
+    );
+    if (soloSubmission.rows.length > 0) {
+      return res.status(400).json({ error: 'You have already submitted a project on your own' });
+    }
+
+    await client.query('BEGIN');
+    const teamResult = await client.query(
+      'INSERT INTO teams (hackathon_id, name, captain_id, payout_wallet) VALUES ($1, $2, $3, $4) RETURNING *',
+      [id, name.trim(), req.user.id, payout_wallet || null]
+    );
+    const team = teamResult.rows[0];
+    await client.query(
+      "INSERT INTO team_members (team_id, user_id, status, joined_at) VALUES ($1, $2, 'accepted', CURRENT_TIMESTAMP)",
+      [team.id, req.user.id]
+    );
+    await client.query(
+      "DELETE FROM team_members WHERE user_id = $1 AND status = 'invited' AND team_id IN (SELECT id FROM teams WHERE hackathon_id = $2)",
+      [req.user.id, id]
+    );
+    await client.query('COMMIT');
+
+    res.status(201).json({ message: 'Team created successfully', team });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Create team error:', error);
+    if (error.code === '23505') {
+      return res.status(400).json({ error: 'A team with that name already exists' });
+    }
+    res.status(500).json({ error: 'Failed to create team' });
+  } finally {
+    client.release();
+  }
+});
+
+app.get('/api/hackathons/:id/teams', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const result = await pool.query(`
+      SELECT t.id, t.name, t.captain_id, t.created_at,
+             COALESCE(json_agg(json_build_object('id', u.id, 'email', u.email))
+                      FILTER (WHERE m.status = 'accepted'), '[]') AS members
+      FROM teams t
+      LEFT JOIN team_members m ON m.team_id = t.id
+      LEFT JOIN users u ON m.user_id = u.id
+      WHERE t.hackathon_id = $1
+      GROUP BY t.id
+      ORDER BY t.created_at
+    `, [id]);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Fetch teams error:', error);
+    res.status(500).json({ error: 'Failed to fetch teams' });
+  }
+});
+
+app.get('/api/teams/:teamId', authenticateToken, async (req, res) => {
+  const { teamId } = req.params;
+
+  try {
+    const teamResult = await pool.query('SELECT * FROM teams WHERE id = $1', [teamId]);
+    const team = teamResult.rows[0];
+
+    if (!team) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    const membersResult = await pool.query(`
+      SELECT u.id, u.email, m.status, m.invited_at, m.joined_at
+      FROM team_members m
+      JOIN users u ON m.user_id = u.id
+      WHERE m.team_id = $1
+      ORDER BY m.joined_at NULLS LAST, m.invited_at
+    `, [teamId]);
+
+    // Pending invitations and the payout wallet are only shown to the team itself
+    const isMember = membersResult.rows.some(m => m.id === req.user.id && m.status === 'accepted');
+    const members = isMember ? membersResult.rows : membersResult.rows.filter(m => m.status === 'accepted');
+    res.json({ ...team, payout_wallet: isMember ? team.payout_wallet : undefined, members });
+  } catch (error) {
+    console.error('Fetch team error:', error);
+    res.status(500).json({ error: 'Failed to fetch team' });
+  }
+});
+
+app.put('/api/teams/:teamId', authenticateToken, async (req, res) => {
+  const { teamId } = req.params;
+  const { name, payout_wallet, captain_id } = req.body;
+
+  if (payout_wallet && !ethers.isAddress(payout_wallet)) {
+    return res.status(400).json({ error: 'Payout wallet must be a valid Ethereum address' });
+  }
+
+  try {
+    const teamResult = await pool.query(`
+      SELECT t.*, row_to_json(h) AS hackathon
+      FROM teams t
+      JOIN hackathons h ON t.hackathon_id = h.id
+      WHERE t.id = $1
+    `, [teamId]);
+    const team = teamResult.rows[0];
+
+    if (!team) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    if (team.captain_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the team captain can update the team' });
+    }
+
+    // Once submissions close the payout wallet is what winners are paid to
+    const phaseError = checkAction(team.hackathon, 'team');
+    if (phaseError) {
+      return res.status(400).json({ error: phaseError });
+    }
+
+    if (payout_wallet && team.hackathon.require_verified_wallet) {
+      const members = await getTeamMembers(team.id);
+      if (!(await isVerifiedWalletOf(payout_wallet, members.map(m => m.id)))) {
+        return res.status(400).json({ error: 'Payout wallet must be a verified wallet of a team member' });
+      }
+    }
+
+    if (captain_id !== undefined) {
+      const memberResult = await pool.query(
+        "SELECT * FROM team_members WHERE team_id = $1 AND user_id = $2 AND status = 'accepted'",
+        [teamId, captain_id]
+      );
+      if (memberResult.rows.length === 0) {
+        return res.status(400).json({ error: 'The new captain must be a member of the team' });
+      }
+    }
+
+    const updated = await pool.query(
+      'UPDATE teams SET name = COALESCE($1, name), payout_wallet = COALESCE($2, payout_wallet), captain_id = COALESCE($3, captain_id) WHERE id = $4 RETURNING *',
+      [name ? name.trim() : null, payout_wallet || null, captain_id || null, teamId]
+    );
+
+    // The team's submission belongs to its captain, as when a captain leaves
+    if (captain_id !== undefined && captain_id !== team.captain_id) {
+      await pool.query('UPDATE submissions SET user_id = $1 WHERE team_id = $2', [captain_id, teamId]);
+    }
+
+    // Keep the team's submission paying out to the wallet the team chose
+    if (payout_wallet) {
+      await saveSubmission(pool,
+        'UPDATE submissions SET public_key = $1, updated_at = $2, revision = revision + 1 WHERE team_id = $3 AND public_key <> $1 RETURNING *',
+        [payout_wallet, new Date().toISOString(), teamId],
+        req.user.id
+      );
+    }
+
+    res.json({ message: 'Team updated successfully', team: updated.rows[0] });
+  } catch (error) {
+    console.error('Update team error:', error);
+    if (error.code === '23505') {
+      return res.status(400).json({ error: 'A team with that name already exists' });
+    }
+    res.status(500).json({ error: 'Failed to update team' });
+  }
+});
+
+app.post('/api/teams/:teamId/invitations', authenticateToken, async (req, res) => {
+  const { teamId } = req.params;
+  const { email } = req.body;
+
+  if (!email) {
+    return res.status(400).json({ error: 'Email is required' });
+  }
+
+  try {
+    const teamResult = await pool.query(`
+      SELECT t.*, row_to_json(h) AS hackathon
+      FROM teams t
+      JOIN hackathons h ON t.hackathon_id = h.id
+      WHERE t.id = $1
+    `, [teamId]);
+    const team = teamResult.rows[0];
+
+    if (!team) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    if (team.captain_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the team captain can invite members' });
+    }
+
+    const phaseError = checkAction(team.hackathon, 'team');
+    if (phaseError) {
+      return res.status(400).json({ error: phaseError });
+    }
+
+    const userResult = await pool.query('SELECT id, email, role FROM users WHERE LOWER(email) = LOWER($1)', [email]);
+    const invitee = userResult.rows[0];
+
+    if (!invitee || invitee.role !== 'user') {
+      return res.status(404).json({ error: 'No registered user found with that email' });
+    }
+
+    if (await getUserTeam(invitee.id, team.hackathon_id)) {
+      return res.status(400).json({ error: 'User is already on a team for this hackathon' });
+    }
+
+    await pool.query(
+      'INSERT INTO team_members (team_id, user_id, invited_by) VALUES ($1, $2, $3)',
+      [teamId, invitee.id, req.user.id]
+    );
+    res.status(201).json({ message: 'Invitation sent successfully' });
+  } catch (error) {
+    console.error('Invite team member error:', error);
+    if (error.code === '23505') {
+      return res.status(400).json({ error: 'User has already been invited to this team' });
+    }
+    res.status(500).json({ error: 'Failed to invite team member' });
+  }
+});
+
+app.get('/api/user/team-invitations', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT t.id AS team_id, t.name AS team_name, t.hackathon_id, h.title AS hackathon_title,
+             inviter.email AS invited_by, m.invited_at
+      FROM team_members m
+      JOIN teams t ON m.team_id = t.id
+      JOIN hackathons h ON t.hackathon_id = h.id
+      LEFT JOIN users inviter ON m.invited_by = inviter.id
+      WHERE m.user_id = $1 AND m.status = 'invited'
+      ORDER BY m.invited_at DESC
+    `, [req.user.id]);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Fetch team invitations error:', error);
+    res.status(500).json({ error: 'Failed to fetch invitations' });
+  }
+});
+
+app.post('/api/teams/:teamId/accept', authenticateToken, async (req, res) => {
+  const { teamId } = req.params;
+
+  const client = await pool.connect();
+  try {
+    const teamResult = await client.query(`
+      SELECT t.*, row_to_json(h) AS hackathon
+      FROM teams t
+      JOIN hackathons h ON t.hackathon_id = h.id
+      WHERE t.id = $1
+    `, [teamId]);
+    const team = teamResult.rows[0];
+
+    if (!team) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    const phaseError = checkAction(team.hackathon, 'team');
+    if (phaseError) {
+      return res.status(400).json({ error: phaseError });
+    }
+
+    const inviteResult = await client.query(
+      "SELECT * FROM team_members WHERE team_id = $1 AND user_id = $2 AND status = 'invited'",
+      [teamId, req.user.id]
+    );
+    if (inviteResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    const participantResult = await client.query(
+      "SELECT * FROM hackathon_participants WHERE user_id = $1 AND hackathon_id = $2 AND withdrawn = FALSE AND status = 'approved'",
+      [req.user.id, team.hackathon_id]
+    );
+    if (participantResult.rows.length === 0) {
+      return res.status(400).json({ error: 'You must join the hackathon before joining a team' });
+    }
+
+    if (await getUserTeam(req.user.id, team.hackathon_id)) {
+      return res.status(400).json({ error: 'You are already on a team for this hackathon' });
+    }
+
+    const soloSubmission = await client.query(
+      'SELECT id FROM submissions WHERE user_id = $1 AND hackathon_id = $2 AND team_id IS NULL',
+      [req.user.id, team.hackathon_id]
+    );
+    if (soloSubmission.rows.length > 0) {
+      return res.status(400).json({ error: 'You have already submitted a project on your own' });
+    }
+
+    await client.query('BEGIN');
+    await client.query(
+      "UPDATE team_members SET status = 'accepted', joined_at = CURRENT_TIMESTAMP WHERE team_id = $1 AND user_id = $2",
+      [teamId, req.user.id]
+    );
+    await client.query(
+      "DELETE FROM team_members WHERE user_id = $1 AND status = 'invited' AND team_id IN (SELECT id FROM teams WHERE hackathon_id = $2)",
+      [req.user.id, team.hackathon_id]
+    );
+    await client.query('COMMIT');
+
+    res.json({ message: 'Joined team successfully' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Accept team invitation error:', error);
+    res.status(500).json({ error: 'Failed to join team' });
+  } finally {
+    client.release();
+  }
+});
+
+app.post('/api/teams/:teamId/decline', authenticateToken, async (req, res) => {
+  const { teamId } = req.params;
+
+  try {
+    const result = await pool.query(
+      "DELETE FROM team_members WHERE team_id = $1 AND user_id = $2 AND status = 'invited'",
+      [teamId, req.user.id]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+    res.json({ message: 'Invitation declined' });
+  } catch (error) {
+    console.error('Decline team invitation error:', error);
+    res.status(500).json({ error: 'Failed to decline invitation' });
+  }
+});
+
+app.post('/api/teams/:teamId/leave', authenticateToken, async (req, res) => {
+  const { teamId } = req.params;
+
+  const client = await pool.connect();
+  try {
+    const teamResult = await client.query(`
+      SELECT t.*, row_to_json(h) AS hackathon
+      FROM teams t
+      JOIN hackathons h ON t.hackathon_id = h.id
+      WHERE t.id = $1
+    `, [teamId]);
+    const team = teamResult.rows[0];
+
+    if (!team) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    const phaseError = checkAction(team.hackathon, 'team');
+    if (phaseError) {
+      return res.status(400).json({ error: phaseError });
+    }
+
+    const members = await getTeamMembers(teamId);
+    if (!members.some(m => m.id === req.user.id)) {
+      return res.status(400).json({ error: 'You are not a member of this team' });
+    }
+
+    const remaining = members.filter(m => m.id !== req.user.id);
+    const submissionResult = await client.query('SELECT id FROM submissions WHERE team_id = $1', [teamId]);
+
+    if (remaining.length === 0 && submissionResult.rows.length > 0) {
+      return res.status(400).json({ error: 'The last member cannot leave a team that has a submission' });
+    }
+
+    await client.query('BEGIN');
+    await client.query('DELETE FROM team_members WHERE team_id = $1 AND user_id = $2', [teamId, req.user.id]);
+    if (remaining.length === 0) {
+      await client.query('DELETE FROM teams WHERE id = $1', [teamId]);
+    } else {
+      // The longest-standing member takes over if the captain leaves
+      if (team.captain_id === req.user.id) {
+        await client.query('UPDATE teams SET captain_id = $1 WHERE id = $2', [remaining[0].id, teamId]);
+      }
+      await saveSubmission(client,
+        'UPDATE submissions SET user_id = $1, teammate_names = $2, updated_at = $3, revision = revision + 1 WHERE team_id = $4 RETURNING *',
+        [
+          team.captain_id === req.user.id ? remaining[0].id : team.captain_id,
+          remaining.map(m => m.email || m.wallet_address).join(', '),
+          new Date().toISOString(),
+          teamId,
+        ],
+        req.user.id
+      );
+    }
+    await client.query('COMMIT');
+
+    res.json({ message: 'Left team successfully' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Leave team error:', error);
+    res.status(500).json({ error: 'Failed to leave team' });
+  } finally {
+    client.release();
+  }
+});
+
+// Judging
+
+// Aggregates judge scores into a ranked list of submissions. Each criterion is
+// averaged across the judges who scored it, normalised against its max_score
+// and weighted, giving a total between 0 and 100. With `trackId` only the
+// submissions competing in that track are ranked.
+async function getSubmissionRankings(hackathonId, trackId = null) {
+  const result = await pool.query(`
+    SELECT s.id AS submission_id, COALESCE(pinned.public_key, s.public_key) AS public_key, COALESCE(pinned.idea, s.idea) AS idea, u.email,
+           c.id AS criterion_id, c.name AS criterion, c.max_score, c.weight,
+           AVG(js.score) AS average_score, COUNT(js.id) AS review_count
+    FROM submissions s
+    JOIN hackathons h ON s.hackathon_id = h.id
+    ${PINNED_REVISION_JOIN}
+    JOIN users u ON s.user_id = u.id
+    JOIN judge_scores js ON js.submission_id = s.id
+    JOIN judging_criteria c ON js.criterion_id = c.id
+    WHERE s.hackathon_id = $1
+      AND ($2::int IS NULL OR s.id IN (SELECT submission_id FROM submission_tracks WHERE track_id = $2))
+    GROUP BY s.id, pinned.public_key, pinned.idea, u.email, c.id
+  `, [hackathonId, trackId]);
+
+  const weightResult = await pool.query(
+    'SELECT COALESCE(SUM(weight), 0) AS total_weight FROM judging_criteria WHERE hackathon_id = $1',
+    [hackathonId]
+  );
+  const totalWeight = parseFloat(weightResult.rows[0].total_weight);
+
+  const bySubmission = new Map();
+  for (const row of result.rows) {
+    if (!bySubmission.has(row.submission_id)) {
+      bySubmission.set(row.submission_id, {
+        submission_id: row.submission_id,
+        public_key: row.public_key,
+        idea: row.idea,
+        email: row.email,
+        criteria: [],
+        score: 0,
+      });
+    }
+    const entry = bySubmission.get(row.submission_id);
+    const averageScore = parseFloat(row.average_score);
+    entry.criteria.push({
+      criterion_id: row.criterion_id,
+      criterion: row.criterion,
+      average_score: averageScore,
+      max_score: row.max_score,
+      review_count: parseInt(row.review_count),
+    });
+    if (totalWeight > 0) {
+      entry.score += (averageScore / row.max_score) * (parseFloat(row.weight) / totalWeight) * 100;
+    }
+  }
+
+  return [...bySubmission.values()]
+    .sort((a, b) => b.score - a.score)
+    .map((entry, index) => ({ rank: index + 1, ...entry, score: Math.round(entry.score * 100) / 100 }));
+}
+
+app.put('/api/hackathons/:id/rubric', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  const { criteria } = req.body;
+
+  if (req.user.role !== 'organizer') {
+    return res.status(403).json({ error: 'Only organizers can define rubrics' });
+  }
+
+  if (!criteria || !Array.isArray(criteria) || criteria.length === 0) {
+    return res.status(400).json({ error: 'Criteria array is required' });
+  }
+
+  for (const criterion of criteria) {
+    if (!criterion.name || typeof criterion.name !== 'string' || criterion.name.trim() === '') {
+      return res.status(400).json({ error: 'Each criterion requires a name' });
+    }
+    if (criterion.max_score !== undefined && !(Number.isInteger(criterion.max_score) && criterion.max_score > 0)) {
+      return res.status(400).json({ error: 'max_score must be a positive integer' });
+    }
+    if (criterion.weight !== undefined && !(typeof criterion.weight === 'number' && criterion.weight > 0)) {
+      return res.status(400).json({ error: 'weight must be a positive number' });
+    }
+  }
+
+  const client = await pool.connect();
+  try {
+    const hackathonResult = await client.query('SELECT * FROM hackathons WHERE id = $1', [id]);
+    const hackathon = hackathonResult.rows[0];
+
+    if (!hackathon) {
+      return res.status(404).json({ error: 'Hackathon not found' });
+    }
+
+    if (hackathon.organizer_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the hackathon organizer can define the rubric' });
+    }
+
+    const scoresResult = await client.query(`
+      SELECT COUNT(*) AS count
+      FROM judge_scores js
+      JOIN judging_criteria c ON js.criterion_id = c.id
+      WHERE c.hackathon_id = $1
+    `, [id]);
+    if (parseInt(scoresResult.rows[0].count) > 0) {
+      return res.status(400).json({ error: 'Rubric cannot be changed after judges have started scoring' });
+    }
+
+    await client.query('BEGIN');
+    await client.query('DELETE FROM judging_criteria WHERE hackathon_id = $1', [id]);
+    const inserted = [];
+    for (const [index, criterion] of criteria.entries()) {
+      const result = await client.query(
+        'INSERT INTO judging_criteria (hackathon_id, name, description, max_score, weight, position) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
+        [id, criterion.name.trim(), criterion.description || null, criterion.max_score || 10, criterion.weight || 1, index]
+      );
+      inserted.push(result.rows[0]);
+    }
+    await client.query('COMMIT');
+
+    res.json({ message: 'Rubric saved successfully', criteria: inserted });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Save rubric error:', error);
+    res.status(500).json({ error: 'Failed to save rubric' });
+  } finally {
+    client.release();
+  }
+});
+
+// The organizer, the hackathon's judges and admins may see the rubric
+app.get('/api/hackathons/:id/rubric', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+
+  if (isNaN(id)) {
+    return res.status(400).json({ error: 'Invalid hackathon ID' });
+  }
+
+  try {
+    const hackathonResult = await pool.query('SELECT organizer_id FROM hackathons WHERE id = $1', [id]);
+    const hackathon = hackathonResult.rows[0];
+
+    if (!hackathon) {
+      return res.status(404).json({ error: 'Hackathon not found' });
+    }
+
+    if (hackathon.organizer_id !== req.user.id && req.user.role !== 'admin') {
+      const judgeResult = await pool.query(
+        'SELECT 1 FROM hackathon_judges WHERE hackathon_id = $1 AND judge_id = $2',
+        [id, req.user.id]
+      );
+      if (judgeResult.rows.length === 0) {
+        return res.status(403).json({ error: 'Only the organizer and judges can view the rubric' });
+      }
+    }
+
+    const result = await pool.query(
+      'SELECT * FROM judging_criteria WHERE hackathon_id = $1 ORDER BY position',
+      [id]
+    );
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Fetch rubric error:', error);
+    res.status(500).json({ error: 'Failed to fetch rubric' });
+  }
+});
+
+app.post('/api/hackathons/:id/judges', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  const { email } = req.body;
+
+  if (req.user.role !== 'organizer') {
+    return res.status(403).json({ error: 'Only organizers can invite judges' });
+  }
+
+  if (!email) {
+    return res.status(400).json({ error: 'Judge email is required' });
+  }
+
+  try {
+    const hackathonResult = await pool.query('SELECT * FROM hackathons WHERE id = $1', [id]);
+    const hackathon = hackathonResult.rows[0];
+
+    if (!hackathon) {
+      return res.status(404).json({ error: 'Hackathon not found' });
+    }
+
+    if (hackathon.organizer_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the hackathon organizer can invite judges' });
+    }
+
+    const userResult = await pool.query('SELECT id, email, role FROM users WHERE LOWER(email) = LOWER($1)', [email]);
+    const judge = userResult.rows[0];
+
+    if (!judge) {
+      return res.status(404).json({ error: 'No user found with that email' });
+    }
+
+    if (judge.role !== 'judge') {
+      return res.status(400).json({ error: 'User is not registered as a judge' });
+    }
+
+    await pool.query(
+      'INSERT INTO hackathon_judges (hackathon_id, judge_id) VALUES ($1, $2)',
+      [id, judge.id]
+    );
+    res.status(201).json({ message: 'Judge invited successfully', judge: { id: judge.id, email: judge.email } });
+  } catch (error) {
+    console.error('Invite judge error:', error);
+    if (error.code === '23505') {
+      return res.status(400).json({ error: 'Judge has already been invited to this hackathon' });
+    }
+    res.status(500).json({ error: 'Failed to invite judge' });
+  }
+});
+
+app.get('/api/hackathons/:id/judges', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+
+  if (isNaN(id)) {
+    return res.status(400).json({ error: 'Invalid hackathon ID' });
+  }
+
+  try {
+    const hackathonResult = await pool.query('SELECT organizer_id FROM hackathons WHERE id = $1', [id]);
+    const hackathon = hackathonResult.rows[0];
+
+    if (!hackathon) {
+      return res.status(404).json({ error: 'Hackathon not found' });
+    }
+
+    if (hackathon.organizer_id !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only the hackathon organizer can view its judges' });
+    }
+
+    const result = await pool.query(`
+      SELECT u.id, u.email, j.invited_at,
+             (SELECT COUNT(*) FROM judge_assignments a WHERE a.hackathon_id = j.hackathon_id AND a.judge_id = u.id) as assignment_count
+      FROM hackathon_judges j
+      JOIN users u ON j.judge_id = u.id
+      WHERE j.hackathon_id = $1
+    `, [id]);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Fetch judges error:', error);
+    res.status(500).json({ error: 'Failed to fetch judges' });
+  }
+});
+
+app.delete('/api/hackathons/:id/judges/:judgeId', authenticateToken, async (req, res) => {
+  const { id, judgeId } = req.params;
+
+  if (req.user.role !== 'organizer') {
+    return res.status(403).json({ error: 'Only organizers can remove judges' });
+  }
+
+  const client = await pool.connect();
+  try {
+    const hackathonResult = await client.query('SELECT * FROM hackathons WHERE id = $1', [id]);
+    const hackathon = hackathonResult.rows[0];
+
+    if (!hackathon) {
+      return res.status(404).json({ error: 'Hackathon not found' });
+    }
+
+    if (hackathon.organizer_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the hackathon organizer can remove judges' });
+    }
+
+    await client.query('BEGIN');
+    const result = await client.query(
+      'DELETE FROM hackathon_judges WHERE hackathon_id = $1 AND judge_id = $2',
+      [id, judgeId]
+    );
+
+    if (result.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Judge not found for this hackathon' });
+    }
+
+    // A removed judge's scores no longer count towards rankings or winners
+    await client.query('DELETE FROM judge_assignments WHERE hackathon_id = $1 AND judge_id = $2', [id, judgeId]);
+    await client.query(
+      'DELETE FROM judge_scores WHERE judge_id = $1 AND submission_id IN (SELECT id FROM submissions WHERE hackathon_id = $2)',
+      [judgeId, id]
+    );
+    await client.query('COMMIT');
+    res.json({ message: 'Judge removed successfully' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Remove judge error:', error);
+    res.status(500).json({ error: 'Failed to remove judge' });
+  } finally {
+    client.release();
+  }
+});
+
+app.post('/api/hackathons/:id/assignments', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  const { judge_id, submission_ids } = req.body;
+
+  if (req.user.role !== 'organizer') {
+    return res.status(403).json({ error: 'Only organizers can assign submissions' });
+  }
+
+  if (!judge_id || !submission_ids || !Array.isArray(submission_ids) || submission_ids.length === 0) {
+    return res.status(400).json({ error: 'judge_id and a submission_ids array are required' });
+  }
+
+  try {
+    const hackathonResult = await pool.query('SELECT * FROM hackathons WHERE id = $1', [id]);
+    const hackathon = hackathonResult.rows[0];
+
+    if (!hackathon) {
+      return res.status(404).json({ error: 'Hackathon not found' });
+    }
+
+    if (hackathon.organizer_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the hackathon organizer can assign submissions' });
+    }
+
+    const judgeResult = await pool.query(
+      'SELECT * FROM hackathon_judges WHERE hackathon_id = $1 AND judge_id = $2',
+      [id, judge_id]
+    );
+    if (judgeResult.rows.length === 0) {
+      return res.status(400).json({ error: 'Judge has not been invited to this hackathon' });
+    }
+
+    const submissionResult = await pool.query(
+      'SELECT id FROM submissions WHERE hackathon_id = $1 AND id = ANY($2::int[])',
+      [id, submission_ids]
+    );
+    if (submissionResult.rows.length !== new Set(submission_ids.map(Number)).size) {
+      return res.status(400).json({ error: 'One or more submissions do not belong to this hackathon' });
+    }
+
+    for (const { id: submissionId } of submissionResult.rows) {
+      await pool.query(
+        'INSERT INTO judge_assignments (hackathon_id, submission_id, judge_id) VALUES ($1, $2, $3) ON CONFLICT (submission_id, judge_id) DO NOTHING',
+        [id, submissionId, judge_id]
+      );
+    }
+    res.json({ message: 'Submissions assigned successfully' });
+  } catch (error) {
+    console.error('Assign submissions error:', error);
+    res.status(500).json({ error: 'Failed to assign submissions' });
+  }
+});
+
+app.delete('/api/hackathons/:id/assignments/:assignmentId', authenticateToken, async (req, res) => {
+  const { id, assignmentId } = req.params;
+
+  if (req.user.role !== 'organizer') {
+    return res.status(403).json({ error: 'Only organizers can remove assignments' });
+  }
+
+  try {
+    const hackathonResult = await pool.query('SELECT * FROM hackathons WHERE id = $1', [id]);
+    const hackathon = hackathonResult.rows[0];
+
+    if (!hackathon) {
+      return res.status(404).json({ error: 'Hackathon not found' });
+    }
+
+    if (hackathon.organizer_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the hackathon organizer can remove assignments' });
+    }
+
+    const result = await pool.query(
+      'DELETE FROM judge_assignments WHERE id = $1 AND hackathon_id = $2',
+      [assignmentId, id]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Assignment not found' });
+    }
+    res.json({ message: 'Assignment removed successfully' });
+  } catch (error) {
+    console.error('Remove assignment error:', error);
+    res.status(500).json({ error: 'Failed to remove assignment' });
+  }
+});
+
+app.get('/api/judge/assignments', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'judge') {
+    return res.status(403).json({ error: 'Only judges can view assignments' });
+  }
+
+  try {
+    const result = await pool.query(`
+      SELECT a.id AS assignment_id, a.hackathon_id, h.title AS hackathon_title,
+             s.id AS submission_id,
+             COALESCE(pinned.idea, s.idea) AS idea,
+             COALESCE(pinned.description, s.description) AS description,
+             COALESCE(pinned.github_link, s.github_link) AS github_link,
+             COALESCE(pinned.teammate_names, s.teammate_names) AS teammate_names,
+             COALESCE(pinned.form_answers, s.form_answers) AS form_answers,
+             h.submission_form AS form_fields,
+             COALESCE(pinned.revision, s.revision) AS revision,
+             (SELECT COUNT(*) FROM judge_scores js WHERE js.submission_id = s.id AND js.judge_id = a.judge_id) AS scored_criteria
+      FROM judge_assignments a
+      JOIN submissions s ON a.submission_id = s.id
+      JOIN hackathons h ON a.hackathon_id = h.id
+      ${PINNED_REVISION_JOIN}
+      WHERE a.judge_id = $1
+      ORDER BY a.hackathon_id, s.id
+    `, [req.user.id]);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Fetch judge assignments error:', error);
+    res.status(500).json({ error: 'Failed to fetch assignments' });
+  }
+});
+
+app.post('/api/hackathons/:id/submissions/:submissionId/scores', authenticateToken, async (req, res) => {
+  const { id, submissionId } = req.params;
+  const { scores } = req.body;
+
+  if (req.user.role !== 'judge') {
+    return res.status(403).json({ error: 'Only judges can score submissions' });
+  }
+
+  if (!scores || !Array.isArray(scores) || scores.length === 0) {
+    return res.status(400).json({ error: 'Scores array is required' });
+  }
+
+  const client = await pool.connect();
+  try {
+    const assignmentResult = await client.query(
+      'SELECT * FROM judge_assignments WHERE hackathon_id = $1 AND submission_id = $2 AND judge_id = $3',
+      [id, submissionId, req.user.id]
+    );
+    if (assignmentResult.rows.length === 0) {
+      return res.status(403).json({ error: 'This submission is not assigned to you' });
+    }
+
+    const criteriaResult = await client.query(
+      'SELECT * FROM judging_criteria WHERE hackathon_id = $1',
+      [id]
+    );
+    const criteria = new Map(criteriaResult.rows.map(c => [c.id, c]));
+
+    for (const entry of scores) {
+      const criterion = criteria.get(Number(entry.criterion_id));
+      if (!criterion) {
+        return res.status(400).json({ error: `Unknown criterion: ${entry.criterion_id}` });
+      }
+      if (typeof entry.score !== 'number' || entry.score < 0 || entry.score > criterion.max_score) {
+        return res.status(400).json({ error: `Score for "${criterion.name}" must be between 0 and ${criterion.max_score}` });
+      }
+    }
+
+    // Scores are recorded against the revision judges are shown
+    const revisionResult = await client.query(`
+      SELECT COALESCE(pinned.revision, s.revision) AS revision
+      FROM submissions s
+      JOIN hackathons h ON s.hackathon_id = h.id
+      ${PINNED_REVISION_JOIN}
+      WHERE s.id = $1
+    `, [submissionId]);
+    const revision = revisionResult.rows[0].revision;
+
+    await client.query('BEGIN');
+    for (const entry of scores) {
+      await client.query(`
+        INSERT INTO judge_scores (submission_id, judge_id, criterion_id, score, comment, revision)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (submission_id, judge_id, criterion_id)
+        DO UPDATE SET score = EXCLUDED.score, comment = EXCLUDED.comment, revision = EXCLUDED.revision, updated_at = CURRENT_TIMESTAMP
+      `, [submissionId, req.user.id, entry.criterion_id, entry.score, entry.comment || null, revision]);
+    }
+    await client.query('COMMIT');
+
+    res.json({ message: 'Scores saved successfully' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Save scores error:', error);
+    res.status(500).json({ error: 'Failed to save scores' });
+  } finally {
+    client.release();
+  }
+});
+
+app.get('/api/hackathons/:id/submissions/:submissionId/scores', authenticateToken, async (req, res) => {
+  const { id, submissionId } = req.params;
+
+  try {
+    const hackathonResult = await pool.query('SELECT * FROM hackathons WHERE id = $1', [id]);
+    const hackathon = hackathonResult.rows[0];
+
+    if (!hackathon) {
+      return res.status(404).json({ error: 'Hackathon not found' });
+    }
+
+    let result;
+    if (req.user.role === 'organizer' && hackathon.organizer_id === req.user.id) {
+      result = await pool.query(`
+        SELECT js.*, c.name AS criterion, c.max_score, u.email AS judge_email
+        FROM judge_scores js
+        JOIN judging_criteria c ON js.criterion_id = c.id
+        JOIN users u ON js.judge_id = u.id
+        WHERE js.submission_id = $1 AND c.hackathon_id = $2
+        ORDER BY u.email, c.position
+      `, [submissionId, id]);
+    } else if (req.user.role === 'judge') {
+      result = await pool.query(`
+        SELECT js.*, c.name AS criterion, c.max_score
+        FROM judge_scores js
+        JOIN judging_criteria c ON js.criterion_id = c.id
+        WHERE js.submission_id = $1 AND c.hackathon_id = $2 AND js.judge_id = $3
+        ORDER BY c.position
+      `, [submissionId, id, req.user.id]);
+    } else {
+      return res.status(403).json({ error: 'Only the hackathon organizer or judges can view scores' });
+    }
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Fetch scores error:', error);
+    res.status(500).json({ error: 'Failed to fetch scores' });
+  }
+});
+
+app.get('/api/hackathons/:id/rankings', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+
+  if (req.user.role !== 'organizer') {
+    return res.status(403).json({ error: 'Only organizers can view rankings' });
+  }
+
+  try {
+    const hackathonResult = await pool.query('SELECT * FROM hackathons WHERE id = $1', [id]);
+    const hackathon = hackathonResult.rows[0];
+
+    if (!hackathon) {
+      return res.status(404).json({ error: 'Hackathon not found' });
+    }
+
+    if (hackathon.organizer_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the hackathon organizer can view rankings' });
+    }
+
+    // ?track_id= ranks the submissions in one track
+    if (req.query.track_id !== undefined && isNaN(req.query.track_id)) {
+      return res.status(400).json({ error: 'track_id must be a number' });
+    }
+    const rankings = await getSubmissionRankings(id, req.query.track_id !== undefined ? parseInt(req.query.track_id) : null);
+    res.json(rankings);
+  } catch (error) {
+    console.error('Fetch rankings error:', error);
+    res.status(500).json({ error: 'Failed to fetch rankings' });
+  }
+});
+
+// ... (rest of server.js remains unchanged)
+
+// Contributions
+
+// Pools can be topped up by anyone, so the funded total is read back from the contract
+async function syncFundedAmount(hackathonId) {
+  const onChain = await contract.hackathons(hackathonId);
+  const result = await pool.query('SELECT prize_token_decimals FROM hackathons WHERE id = $1', [hackathonId]);
+  await pool.query(
+    'UPDATE hackathons SET funded_amount = $1, funded_at = COALESCE(funded_at, $2) WHERE id = $3',
+    [ethers.formatUnits(onChain.totalFunding, result.rows[0].prize_token_decimals), new Date().toISOString(), hackathonId]
+  );
+  await syncPhase(pool, hackathonId, { reason: 'funding changed' });
+}
+
+// Same for a track's pool; tracks have no phase of their own
+async function syncTrackFunding(hackathonId, trackId) {
+  const onChain = await contract.tracks(hackathonId, trackId);
+  const result = await pool.query('SELECT prize_token_decimals FROM hackathons WHERE id = $1', [hackathonId]);
+  await pool.query(
+    'UPDATE hackathon_tracks SET funded_amount = $1, funded_at = COALESCE(funded_at, $2) WHERE id = $3 AND hackathon_id = $4',
+    [ethers.formatUnits(onChain.totalFunding, result.rows[0].prize_token_decimals), new Date().toISOString(), trackId, hackathonId]
+  );
+}
+
+// Sponsors fund from their own wallet, then report the transaction here so it
+// can be checked against the Contributed event and shown on the hackathon.
+// Contributions to a track or bounty (fundTrack) are reported with its track_id.
+app.post('/api/hackathons/:id/contributions', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  const { tx_hash, sponsor_name, track_id } = req.body;
+
+  if (!tx_hash || !/^0x[0-9a-fA-F]{64}$/.test(tx_hash)) {
+    return res.status(400).json({ error: 'A valid transaction hash is required' });
+  }
+
+  if (track_id !== undefined && track_id !== null && !Number.isInteger(track_id)) {
+    return res.status(400).json({ error: 'track_id must be a track id' });
+  }
+  const trackId = track_id || null;
+
+  try {
+    const hackathonResult = await pool.query('SELECT * FROM hackathons WHERE id = $1', [id]);
+    const hackathon = hackathonResult.rows[0];
+
+    if (!hackathon) {
+      return res.status(404).json({ error: 'Hackathon not found' });
+    }
+
+    if (trackId) {
+      const trackResult = await pool.query('SELECT id FROM hackathon_tracks WHERE id = $1 AND hackathon_id = $2', [trackId, id]);
+      if (trackResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Track not found' });
+      }
+    }
+
+    const existingResult = await pool.query('SELECT * FROM hackathon_contributions WHERE tx_hash = $1', [tx_hash]);
+    const existing = existingResult.rows[0];
+    if (existing && (String(existing.hackathon_id) !== String(id) || (existing.track_id || null) !== trackId)) {
+      return res.status(400).json({ error: 'Transaction was recorded for a different hackathon or track' });
+    }
+
+    const receipt = await provider.getTransactionReceipt(tx_hash);
+    if (!receipt) {
+      await pool.query(`
+        INSERT INTO hackathon_contributions (hackathon_id, track_id, user_id, sponsor_name, tx_hash)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (tx_hash) DO NOTHING
+      `, [id, trackId, req.user.id, sponsor_name || null, tx_hash]);
+      return res.status(202).json({ message: 'Transaction not mined yet; contribution recorded as pending', status: 'pending' });
+    }
+
+    if (receipt.status !== 1) {
+      return res.status(400).json({ error: 'Transaction failed on-chain' });
+    }
+
+    const contribution = receipt.logs
+      .filter(log => log.address.toLowerCase() === process.env.CONTRACT_ADDRESS.toLowerCase())
+      .map(log => eventsInterface.parseLog(log))
+      .find(parsed => parsed && parsed.args.hackathonId.toString() === String(id) && (trackId
+        ? parsed.name === 'TrackContributed' && parsed.args.trackId.toString() === String(trackId)
+        : parsed.name === 'Contributed'));
+
+    if (!contribution) {
+      return res.status(400).json({ error: `Transaction does not contain a contribution to this ${trackId ? 'track' : 'hackathon'}` });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO hackathon_contributions (hackathon_id, track_id, user_id, contributor_address, sponsor_name, amount, amount_base_units, tx_hash, block_number, status, verified_at)
+      VALUES ($1, $9, $2, $3, $4, $5, $6, $7, $8, 'verified', CURRENT_TIMESTAMP)
+      ON CONFLICT (tx_hash) DO UPDATE SET
+        user_id = COALESCE(hackathon_contributions.user_id, EXCLUDED.user_id),
+        sponsor_name = COALESCE(EXCLUDED.sponsor_name, hackathon_contributions.sponsor_name),
+        contributor_address = EXCLUDED.contributor_address, amount = EXCLUDED.amount, amount_base_units = EXCLUDED.amount_base_units,
+        block_number = EXCLUDED.block_number,
+        status = CASE WHEN hackathon_contributions.status = 'refunded' THEN 'refunded' ELSE 'verified' END,
+        verified_at = COALESCE(hackathon_contributions.verified_at, EXCLUDED.verified_at)
+      RETURNING *
+    `, [id, req.user.id, contribution.args.contributor, sponsor_name || null, ethers.formatUnits(contribution.args.amount, hackathon.prize_token_decimals),
+      contribution.args.amount.toString(), tx_hash, receipt.blockNumber, trackId]);
+    if (trackId) {
+      await syncTrackFunding(id, trackId);
+    } else {
+      await syncFundedAmount(id);
+    }
+
+    res.status(201).json({ message: 'Contribution verified', contribution: result.rows[0] });
+  } catch (error) {
+    console.error('Record contribution error:', error);
+    res.status(500).json({ error: 'Failed to record contribution: ' + error.message });
+  }
+});
+
+// The main prize pool's contributors, or a track's with ?track_id=
+app.get('/api/hackathons/:id/contributions', async (req, res) => {
+  const { id } = req.params;
+
+  if (req.query.track_id !== undefined && isNaN(req.query.track_id)) {
+    return res.status(400).json({ error: 'track_id must be a number' });
+  }
+  const trackId = req.query.track_id !== undefined ? parseInt(req.query.track_id) : null;
+
+  try {
+    const result = await pool.query(`
+      SELECT LOWER(c.contributor_address) AS contributor_address,
+             (ARRAY_AGG(c.sponsor_name ORDER BY c.created_at DESC) FILTER (WHERE c.sponsor_name IS NOT NULL))[1] AS sponsor_name,
+             SUM(c.amount) FILTER (WHERE c.status = 'verified') AS total_amount,
+             COUNT(*) AS contribution_count,
+             BOOL_AND(c.status = 'refunded') AS refunded,
+             MIN(c.created_at) AS first_contributed_at
+      FROM hackathon_contributions c
+      WHERE c.hackathon_id = $1 AND c.track_id IS NOT DISTINCT FROM $2 AND c.status IN ('verified', 'refunded')
+      GROUP BY LOWER(c.contributor_address)
+      ORDER BY total_amount DESC NULLS LAST
+    `, [id, trackId]);
+
+    const tokenResult = await pool.query(
+      'SELECT prize_token_address, prize_token_symbol, prize_token_decimals FROM hackathons WHERE id = $1',
+      [id]
+    );
+    const total = result.rows.reduce((sum, row) => sum + parseFloat(row.total_amount || 0), 0);
+    res.json({ ...tokenResult.rows[0], total_amount: total, contributors: result.rows });
+  } catch (error) {
+    console.error('Fetch contributions error:', error);
+    res.status(500).json({ error: 'Failed to fetch contributions' });
+  }
+});
+
+// Cancels the hackathon on-chain so contributors can claim refunds
+app.post('/api/hackathons/:id/cancel', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+
+  if (req.user.role !== 'organizer') {
+    return res.status(403).json({ error: 'Only organizers can cancel hackathons' });
+  }
+
+  try {
+    const hackathonResult = await pool.query('SELECT * FROM hackathons WHERE id = $1', [id]);
+    const hackathon = hackathonResult.rows[0];
+
+    if (!hackathon) {
+      return res.status(404).json({ error: 'Hackathon not found' });
+    }
+
+    if (hackathon.organizer_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the hackathon organizer can cancel it' });
+    }
+
+    const phaseError = checkAction(hackathon, 'cancel');
+    if (phaseError) {
+      return res.status(400).json({ error: phaseError });
+    }
+
+    // Nothing can have been contributed to a hackathon that was never registered.
+    // A registration still waiting in the queue is dropped; one already sent
+    // has to confirm first so the cancel can happen on-chain.
+    if (!hackathon.chain_organizer_address) {
+      const registration = await pool.query(
+        "SELECT status FROM tx_jobs WHERE hackathon_id = $1 AND type = 'create' AND status IN ('queued', 'processing', 'submitted')",
+        [id]
+      );
+      if (registration.rows.length > 0 && registration.rows[0].status !== 'queued') {
+        return res.status(409).json({ error: 'On-chain registration is in progress; try again once it confirms' });
+      }
+
+      await pool.query(
+        "UPDATE tx_jobs SET status = 'expired', updated_at = CURRENT_TIMESTAMP WHERE hackathon_id = $1 AND type = 'create' AND status = 'queued'",
+        [id]
+      );
+      await pool.query('UPDATE hackathons SET cancelled_at = $1 WHERE id = $2', [new Date().toISOString(), id]);
+      await syncPhase(pool, id, { actorId: req.user.id, reason: 'cancelled by organizer' });
+      return res.json({ message: 'Hackathon cancelled successfully' });
+    }
+
+    // Once the cancel confirms, each contributor can claim back what they put in
+    const fundingResult = await pool.query(
+      "SELECT COUNT(DISTINCT LOWER(contributor_address)) AS contributors FROM hackathon_contributions WHERE hackathon_id = $1 AND status = 'verified'",
+      [id]
+    );
+    const refunds = {
+      funded_amount: hackathon.funded_amount,
+      token: hackathon.prize_token_symbol,
+      contributors: parseInt(fundingResult.rows[0].contributors),
+    };
+
+    const transaction = await prepareTransaction('cancelHackathon', [id], hackathon.chain_organizer_address);
+    const job = await enqueueJob(pool, { type: 'cancel', hackathonId: id, requestedBy: req.user.id, transaction });
+    res.json({ message: 'Sign this transaction with your organizer wallet', jobId: job.id, transaction, refunds });
+  } catch (error) {
+    console.error('Cancel hackathon error:', error);
+    res.status(500).json({ error: 'Failed to cancel hackathon: ' + error.message });
+  }
+});
+
+// Prepares the organizer's refund claim, from the main pool or with track_id
+// from a track; sponsors call claimRefund or claimTrackRefund on the contract
+// from their own wallets.
+app.post('/api/hackathons/:id/refund', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  const { track_id } = req.body || {};
+
+  if (req.user.role !== 'organizer') {
+    return res.status(403).json({ error: 'Only organizers can claim refunds' });
+  }
+
+  try {
+    const hackathonResult = await pool.query('SELECT * FROM hackathons WHERE id = $1', [id]);
+    const hackathon = hackathonResult.rows[0];
+
+    if (!hackathon) {
+      return res.status(404).json({ error: 'Hackathon not found' });
+    }
+
+    if (hackathon.organizer_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the hackathon organizer can claim its refund' });
+    }
+
+    const phaseError = checkAction(hackathon, 'refund');
+    if (phaseError) {
+      return res.status(400).json({ error: phaseError });
+    }
+
+    const userResult = await pool.query('SELECT wallet_address FROM users WHERE id = $1', [req.user.id]);
+    const wallet = userResult.rows[0].wallet_address;
+    if (!wallet) {
+      return res.status(400).json({ error: 'Connect a wallet before claiming a refund' });
+    }
+
+    if (track_id !== undefined && !Number.isInteger(track_id)) {
+      return res.status(400).json({ error: 'track_id must be a track id' });
+    }
+
+    const owed = track_id ? await contract.trackContributions(id, track_id, wallet) : await contract.contributions(id, wallet);
+    if (owed === 0n) {
+      return res.status(400).json({ error: 'Nothing to refund' });
+    }
+
+    const transaction = track_id
+      ? await prepareTransaction('claimTrackRefund', [id, track_id], wallet)
+      : await prepareTransaction('claimRefund', [id], wallet);
+    const job = await enqueueJob(pool, {
+      type: track_id ? 'claim_track_refund' : 'claim_refund',
+      hackathonId: id,
+      trackId: track_id || null,
+      requestedBy: req.user.id,
+      transaction,
+    });
+    res.json({ message: 'Sign this transaction with your wallet', amount: ethers.formatUnits(owed, hackathon.prize_token_decimals), jobId: job.id, transaction });
+  } catch (error) {
+    console.error('Claim refund error:', error);
+    res.status(500).json({ error: 'Failed to claim refund: ' + error.message });
+  }
+});
+
+// Prize split
+
+const BASIS_POINTS = 10000;
+const MAX_PRIZE_TIERS = 10;
+const DEFAULT_MAX_WINNERS = 3;
+
+function validatePrizeSplit(split) {
+  if (!Array.isArray(split) || split.length < 1 || split.length > MAX_PRIZE_TIERS) {
+    return `Prize split must have between 1 and ${MAX_PRIZE_TIERS} tiers`;
+  }
+  if (!split.every(bps => Number.isInteger(bps) && bps > 0)) {
+    return 'Prize tiers must be positive whole numbers of basis points';
+  }
+  if (split.reduce((sum, bps) => sum + bps, 0) !== BASIS_POINTS) {
+    return 'Prize split must sum to 10000 basis points (100%)';
+  }
+  return null;
+}
+
+// Mirrors HackathonFunding._calculatePrizes so previews match the payout to the
+// smallest token unit
+function calculatePrizeAmounts(total, split, winnerCount) {
+  let tiers = split;
+  if (!tiers) {
+    tiers = winnerCount === 1 ? [10000] : winnerCount === 2 ? [7000, 3000] : [5000, 3000, 2000];
+  }
+  tiers = tiers.slice(0, winnerCount).map(BigInt);
+  const tierTotal = tiers.reduce((sum, bps) => sum + bps, 0n);
+
+  const amounts = [];
+  let allocated = 0n;
+  for (let i = 0; i < winnerCount - 1; i++) {
+    const amount = (total * tiers[i]) / tierTotal;
+    amounts.push(amount);
+    allocated += amount;
+  }
+  amounts.push(total - allocated);
+  return { tiers, amounts };
+}
+
+app.get('/api/hackathons/:id/prize-preview', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const hackathonResult = await pool.query('SELECT * FROM hackathons WHERE id = $1', [id]);
+    const hackathon = hackathonResult.rows[0];
+
+    if (!hackathon) {
+      return res.status(404).json({ error: 'Hackathon not found' });
+    }
+
+    const maxWinners = hackathon.prize_split ? hackathon.prize_split.length : DEFAULT_MAX_WINNERS;
+    const winners = hackathon.winners || [];
+    const winnerCount = winners.length > 0 ? winners.length : Number(req.query.winner_count || maxWinners);
+    if (!(Number.isInteger(winnerCount) && winnerCount >= 1 && winnerCount <= maxWinners)) {
+      return res.status(400).json({ error: `Winner count must be between 1 and ${maxWinners}` });
+    }
+
+    // Use the funded amount once known, otherwise the advertised prize pool
+    const funded = hackathon.funded_amount && parseFloat(hackathon.funded_amount) > 0;
+    const decimals = hackathon.prize_token_decimals;
+    const total = ethers.parseUnits(String(funded ? hackathon.funded_amount : hackathon.prize_pool || 0), decimals);
+    const { tiers, amounts } = calculatePrizeAmounts(total, hackathon.prize_split, winnerCount);
+
+    res.json({
+      basis: funded ? 'funded_amount' : 'prize_pool',
+      token: { address: hackathon.prize_token_address, symbol: hackathon.prize_token_symbol, decimals },
+      total_base_units: total.toString(),
+      prize_split: hackathon.prize_split,
+      prizes: amounts.map((amount, index) => ({
+        rank: index + 1,
+        public_key: winners[index] ? winners[index].public_key : null,
+        share_bps: Number(tiers[index]),
+        amount_base_units: amount.toString(),
+        amount: ethers.formatUnits(amount, decimals),
+      })),
+    });
+  } catch (error) {
+    console.error('Prize preview error:', error);
+    res.status(500).json({ error: 'Failed to preview prizes' });
+  }
+});
+
+// Transaction jobs
+// Registration is signed by the server key and sent by the worker in txQueue.js.
+// Every other call is prepared here, signed by the organizer's wallet, and
+// reported back through POST /api/jobs/:id/submit; the worker then waits for
+// the receipt and runs onConfirmed.
+
+// Builds an unsigned contract call for a wallet to sign
+async function prepareTransaction(method, args, from, value = 0n) {
+  const { chainId } = await provider.getNetwork();
+  return {
+    from,
+    to: process.env.CONTRACT_ADDRESS,
+    data: contract.interface.encodeFunctionData(method, args),
+    value: value.toString(),
+    chainId: chainId.toString(),
+  };
+}
+
+registerJobType('create', {
+  send: (job, overrides) => contract.createHackathon(
+    job.hackathon_id, job.payload.organizer, job.payload.token || ethers.ZeroAddress, job.payload.split, overrides
+  ),
+  onConfirmed: job => pool.query(
+    'UPDATE hackathons SET chain_organizer_address = $1 WHERE id = $2',
+    [job.payload.organizer, job.hackathon_id]
+  ),
+});
+
+registerJobType('end', {
+  onConfirmed: async job => {
+    await pool.query(
+      'UPDATE hackathons SET manually_ended = TRUE, manually_ended_at = COALESCE(manually_ended_at, $1), chain_ended_at = COALESCE(chain_ended_at, $1) WHERE id = $2',
+      [new Date().toISOString(), job.hackathon_id]
+    );
+    await syncPhase(pool, job.hackathon_id, { actorId: job.requested_by, reason: 'ended by organizer' });
+  },
+});
+
+registerJobType('fund', {
+  onConfirmed: async (job, receipt) => {
+    await pool.query(`
+      INSERT INTO hackathon_contributions (hackathon_id, user_id, contributor_address, amount, amount_base_units, tx_hash, block_number, status, verified_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, 'verified', CURRENT_TIMESTAMP)
+      ON CONFLICT (tx_hash) DO UPDATE SET user_id = EXCLUDED.user_id
+    `, [job.hackathon_id, job.requested_by, receipt.from, job.payload.amount, job.payload.amount_base_units, receipt.hash, receipt.blockNumber]);
+    await syncFundedAmount(job.hackathon_id);
+  },
+});
+
+registerJobType('cancel', {
+  onConfirmed: async job => {
+    await pool.query(
+      'UPDATE hackathons SET cancelled_at = COALESCE(cancelled_at, $1) WHERE id = $2',
+      [new Date().toISOString(), job.hackathon_id]
+    );
+    await syncPhase(pool, job.hackathon_id, { actorId: job.requested_by, reason: 'cancelled by organizer' });
+  },
+});
+
+registerJobType('claim_refund', {
+  onConfirmed: async (job, receipt) => {
+    await pool.query(
+      "UPDATE hackathon_contributions SET status = 'refunded', refunded_at = CURRENT_TIMESTAMP WHERE hackathon_id = $1 AND track_id IS NULL AND LOWER(contributor_address) = LOWER($2) AND status = 'verified'",
+      [job.hackathon_id, receipt.from]
+    );
+    await syncFundedAmount(job.hackathon_id);
+  },
+});
+
+registerJobType('set_winners', {
+  onConfirmed: async job => {
+    await pool.query(
+      'UPDATE hackathons SET winners = $1 WHERE id = $2',
+      [JSON.stringify(job.payload.winners), job.hackathon_id]
+    );
+    await syncPhase(pool, job.hackathon_id, { actorId: job.requested_by, reason: 'winners set by organizer' });
+  },
+});
+
+registerJobType('set_split', {
+  onConfirmed: job => pool.query(
+    'UPDATE hackathons SET prize_split = $1 WHERE id = $2',
+    [JSON.stringify(job.payload.split), job.hackathon_id]
+  ),
+});
+
+registerJobType('distribute', {
+  onConfirmed: async job => {
+    await pool.query(
+      'UPDATE hackathons SET prizes_distributed = TRUE, prizes_distributed_at = COALESCE(prizes_distributed_at, $1) WHERE id = $2',
+      [new Date().toISOString(), job.hackathon_id]
+    );
+    await syncPhase(pool, job.hackathon_id, { actorId: job.requested_by, reason: 'prizes distributed' });
+  },
+});
+
+registerJobType('create_track', {
+  onConfirmed: job => pool.query(
+    'UPDATE hackathon_tracks SET registered_at = COALESCE(registered_at, $1) WHERE id = $2',
+    [new Date().toISOString(), job.track_id]
+  ),
+});
+
+registerJobType('set_track_split', {
+  onConfirmed: job => pool.query(
+    'UPDATE hackathon_tracks SET prize_split = $1 WHERE id = $2',
+    [JSON.stringify(job.payload.split), job.track_id]
+  ),
+});
+
+registerJobType('fund_track', {
+  onConfirmed: async (job, receipt) => {
+    await pool.query(`
+      INSERT INTO hackathon_contributions (hackathon_id, track_id, user_id, contributor_address, amount, amount_base_units, tx_hash, block_number, status, verified_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'verified', CURRENT_TIMESTAMP)
+      ON CONFLICT (tx_hash) DO UPDATE SET user_id = EXCLUDED.user_id
+    `, [job.hackathon_id, job.track_id, job.requested_by, receipt.from, job.payload.amount, job.payload.amount_base_units, receipt.hash, receipt.blockNumber]);
+    await syncTrackFunding(job.hackathon_id, job.track_id);
+  },
+});
+
+registerJobType('claim_track_refund', {
+  onConfirmed: async (job, receipt) => {
+    await pool.query(
+      "UPDATE hackathon_contributions SET status = 'refunded', refunded_at = CURRENT_TIMESTAMP WHERE hackathon_id = $1 AND track_id = $2 AND LOWER(contributor_address) = LOWER($3) AND status = 'verified'",
+      [job.hackathon_id, job.track_id, receipt.from]
+    );
+    await syncTrackFunding(job.hackathon_id, job.track_id);
+  },
+});
+
+registerJobType('set_track_winners', {
+  onConfirmed: async job => {
+    const result = await pool.query(
+      'UPDATE hackathon_tracks SET winners = $1 WHERE id = $2 RETURNING id, name, kind, sponsor_name, funded_amount, winners',
+      [JSON.stringify(job.payload.winners), job.track_id]
+    );
+    publish(job.hackathon_id, 'track', { change: 'winners_set', track_id: job.track_id });
+    await emitEvent(job.hackathon_id, 'track.winners_set', { track_id: job.track_id, ...result.rows[0] });
+  },
+});
+
+registerJobType('distribute_track', {
+  onConfirmed: async job => {
+    const result = await pool.query(
+      'UPDATE hackathon_tracks SET prizes_distributed = TRUE, prizes_distributed_at = COALESCE(prizes_distributed_at, $1) WHERE id = $2 RETURNING id, name, kind, sponsor_name, funded_amount, winners',
+      [new Date().toISOString(), job.track_id]
+    );
+    publish(job.hackathon_id, 'track', { change: 'prizes_distributed', track_id: job.track_id });
+    await emitEvent(job.hackathon_id, 'track.prizes_distributed', { track_id: job.track_id, ...result.rows[0] });
+  },
+});
+
+app.get('/api/jobs/:id', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+
+  if (isNaN(id)) {
+    return res.status(400).json({ error: 'Invalid job ID' });
+  }
+
+  try {
+    const result = await pool.query(`
+      SELECT j.*, h.organizer_id
+      FROM tx_jobs j
+      LEFT JOIN hackathons h ON j.hackathon_id = h.id
+      WHERE j.id = $1
+    `, [id]);
+    const job = result.rows[0];
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (job.requested_by !== req.user.id && job.organizer_id !== req.user.id) {
+      return res.status(403).json({ error: 'You do not have access to this job' });
+    }
+
+    const { organizer_id, ...jobData } = job;
+    res.json(jobData);
+  } catch (error) {
+    console.error('Fetch job error:', error);
+    res.status(500).json({ error: 'Failed to fetch job' });
+  }
+});
+
+app.get('/api/hackathons/:id/jobs', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+
+  if (req.user.role !== 'organizer') {
+    return res.status(403).json({ error: 'Only organizers can view transaction jobs' });
+  }
+
+  try {
+    const hackathonResult = await pool.query('SELECT * FROM hackathons WHERE id = $1', [id]);
+    const hackathon = hackathonResult.rows[0];
+
+    if (!hackathon) {
+      return res.status(404).json({ error: 'Hackathon not found' });
+    }
+
+    if (hackathon.organizer_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the hackathon organizer can view its transactions' });
+    }
+
+    const result = await pool.query(
+      'SELECT * FROM tx_jobs WHERE hackathon_id = $1 ORDER BY id DESC',
+      [id]
+    );
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Fetch jobs error:', error);
+    res.status(500).json({ error: 'Failed to fetch jobs' });
+  }
+});
+
+// Reports the hash of a prepared transaction once the wallet has broadcast it
+app.post('/api/jobs/:id/submit', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  const { tx_hash } = req.body;
+
+  if (!tx_hash || !/^0x[0-9a-fA-F]{64}$/.test(tx_hash)) {
+    return res.status(400).json({ error: 'A valid transaction hash is required' });
+  }
+
+  try {
+    const jobResult = await pool.query('SELECT * FROM tx_jobs WHERE id = $1', [id]);
+    const job = jobResult.rows[0];
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (job.requested_by !== req.user.id) {
+      return res.status(403).json({ error: 'You do not have access to this job' });
+    }
+
+    if (job.status !== 'awaiting_signature') {
+      return res.status(400).json({ error: `Job is ${job.status}, not awaiting a signature` });
+    }
+
+    // The broadcast transaction must be exactly the one we prepared
+    const tx = await provider.getTransaction(tx_hash);
+    if (!tx) {
+      return res.status(400).json({ error: 'Transaction not found; broadcast it before submitting the hash' });
+    }
+
+    const expected = job.unsigned_tx;
+    const matches = tx.from.toLowerCase() === expected.from.toLowerCase() &&
+      (tx.to || '').toLowerCase() === expected.to.toLowerCase() &&
+      tx.data === expected.data &&
+      tx.value.toString() === expected.value;
+    if (!matches) {
+      return res.status(400).json({ error: 'Transaction does not match the prepared transaction' });
+    }
+
+    const submitted = await markSubmitted(pool, id, tx_hash);
+    res.json({ message: 'Transaction submitted', job: submitted });
+  } catch (error) {
+    console.error('Submit job error:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A transaction of this type for this hackathon is already in progress' });
+    }
+    res.status(500).json({ error: 'Failed to submit transaction: ' + error.message });
+  }
+});
+
+// Registers a hackathon on-chain under the organizer's connected wallet
+app.post('/api/hackathons/:id/register', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+
+  if (req.user.role !== 'organizer') {
+    return res.status(403).json({ error: 'Only organizers can register hackathons' });
+  }
+
+  try {
+    const hackathonResult = await pool.query('SELECT * FROM hackathons WHERE id = $1', [id]);
+    const hackathon = hackathonResult.rows[0];
+
+    if (!hackathon) {
+      return res.status(404).json({ error: 'Hackathon not found' });
+    }
+
+    if (hackathon.organizer_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the hackathon organizer can register it' });
+    }
+
+    if (hackathon.chain_organizer_address) {
+      return res.status(400).json({ error: 'Hackathon is already registered on-chain' });
+    }
+
+    const phaseError = checkAction(hackathon, 'register');
+    if (phaseError) {
+      return res.status(400).json({ error: phaseError });
+    }
+
+    const userResult = await pool.query('SELECT wallet_address, wallet_verified FROM users WHERE id = $1', [req.user.id]);
+    const organizerWallet = userResult.rows[0].wallet_address;
+    if (!organizerWallet || !userResult.rows[0].wallet_verified) {
+      return res.status(400).json({ error: 'Connect and verify a wallet before registering the hackathon' });
+    }
+
+    const job = await enqueueJob(pool, {
+      type: 'create',
+      hackathonId: id,
+      payload: { organizer: organizerWallet, token: hackathon.prize_token_address, split: hackathon.prize_split || [] },
+      requestedBy: req.user.id,
+    });
+    res.status(202).json({ message: 'Registration transaction queued', jobId: job.id });
+  } catch (error) {
+    console.error('Register hackathon error:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Registration for this hackathon is already in progress' });
+    }
+    res.status(500).json({ error: 'Failed to register hackathon: ' + error.message });
+  }
+});
+
+// End Hackathon
+app.post('/api/hackathons/:id/end', authenticateToken, async (req, res) => {
+  console.log('End hackathon request:', { params: req.params, user: req.user });
+  const { id } = req.params;
+
+  if (isNaN(id)) {
+    return res.status(400).json({ error: 'Invalid hackathon ID' });
+  }
+
+  if (req.user.role !== 'organizer') {
+    return res.status(403).json({ error: 'Only organizers can end hackathons' });
+  }
+
+  try {
+    const hackathonResult = await pool.query('SELECT * FROM hackathons WHERE id = $1', [id]);
+    const hackathon = hackathonResult.rows[0];
+
+    if (!hackathon) {
+      return res.status(404).json({ error: 'Hackathon not found' });
+    }
+
+    if (hackathon.organizer_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the hackathon organizer can end it' });
+    }
+
+    const phaseError = checkAction(hackathon, 'end');
+    if (phaseError) {
+      return res.status(400).json({ error: phaseError });
+    }
+
+    // A hackathon past its end date, or force-ended by an admin, still has to
+    // be ended on-chain before payout
+    if (hackathon.chain_ended_at) {
+      return res.status(400).json({ error: 'Hackathon has already been ended' });
+    }
+
+    if (!hackathon.chain_organizer_address) {
+      return res.status(400).json({ error: 'Hackathon is not registered on-chain yet' });
+    }
+
+    const transaction = await prepareTransaction('endHackathon', [id], hackathon.chain_organizer_address);
+    const job = await enqueueJob(pool, { type: 'end', hackathonId: id, requestedBy: req.user.id, transaction });
+    res.json({ message: 'Sign this transaction with your organizer wallet', jobId: job.id, transaction });
+  } catch (error) {
+    console.error('End hackathon error:', error);
+    res.status(500).json({ error: 'Failed to end hackathon: ' + error.message });
+  }
+});
+
+// Fund Hackathon
+app.post('/api/hackathons/:id/fund', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  const { amount } = req.body;
+
+  if (req.user.role !== 'organizer') {
+    return res.status(403).json({ error: 'Only organizers can fund hackathons' });
+  }
+
+  if (!(Number(amount) > 0)) {
+    return res.status(400).json({ error: 'A positive amount is required' });
+  }
+
+  try {
+    const hackathonResult = await pool.query('SELECT * FROM hackathons WHERE id = $1', [id]);
+    const hackathon = hackathonResult.rows[0];
+
+    if (!hackathon) {
+      return res.status(404).json({ error: 'Hackathon not found' });
+    }
+
+    if (hackathon.organizer_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the hackathon organizer can fund it' });
+    }
+
+    const phaseError = checkAction(hackathon, 'fund');
+    if (phaseError) {
+      return res.status(400).json({ error: phaseError });
+    }
+
+    if (!hackathon.chain_organizer_address) {
+      return res.status(400).json({ error: 'Hackathon is not registered on-chain yet' });
+    }
+
+    const userResult = await pool.query('SELECT wallet_address FROM users WHERE id = $1', [req.user.id]);
+    const wallet = userResult.rows[0].wallet_address;
+    if (!wallet) {
+      return res.status(400).json({ error: 'Connect a wallet before funding' });
+    }
+
+    const amountBaseUnits = parseTokenAmount(amount, hackathon.prize_token_decimals);
+    if (amountBaseUnits === null) {
+      return res.status(400).json({ error: `Amount must be a positive number with at most ${hackathon.prize_token_decimals} decimal places` });
+    }
+    const payload = { amount: amount.toString(), amount_base_units: amountBaseUnits.toString() };
+
+    if (!hackathon.prize_token_address) {
+      const transaction = await prepareTransaction('fundHackathon', [id], wallet, amountBaseUnits);
+      const job = await enqueueJob(pool, { type: 'fund', hackathonId: id, payload, requestedBy: req.user.id, transaction });
+      return res.json({ message: 'Sign this transaction with your wallet', jobId: job.id, transaction });
+    }
+
+    // Token pools are pulled with transferFrom, so the wallet may first need to approve the contract
+    const token = new ethers.Contract(hackathon.prize_token_address, erc20Abi, provider);
+    const allowance = await token.allowance(wallet, process.env.CONTRACT_ADDRESS);
+    let approval = null;
+    if (allowance < amountBaseUnits) {
+      const { chainId } = await provider.getNetwork();
+      approval = {
+        from: wallet,
+        to: hackathon.prize_token_address,
+        data: token.interface.encodeFunctionData('approve', [process.env.CONTRACT_ADDRESS, amountBaseUnits]),
+        value: '0',
+        chainId: chainId.toString(),
+      };
+    }
+
+    const transaction = await prepareTransaction('fundHackathonWithToken', [id, amountBaseUnits], wallet);
+    const job = await enqueueJob(pool, { type: 'fund', hackathonId: id, payload, requestedBy: req.user.id, transaction });
+    res.json({
+      message: approval ? 'Sign the approval, then the funding transaction, with your wallet' : 'Sign this transaction with your wallet',
+      jobId: job.id,
+      approval,
+      transaction,
+    });
+  } catch (error) {
+    console.error('Fund hackathon error:', error);
+    res.status(500).json({ error: 'Failed to fund hackathon: ' + error.message });
+  }
+});
+
+// Turns a set-winners request (an address list, or use_rankings with an
+// optional count) into the winners to record, ranked from the judges' scores
+// of the whole hackathon or, with `trackId`, of that track. Returns
+// { winners } or { error } (with the offending addresses in `unverified`).
+async function resolveWinners(hackathon, { winners, use_rankings, count }, maxWinners, trackId = null) {
+  const winnerCount = use_rankings ? (count === undefined ? maxWinners : Number(count)) : winners.length;
+  if (!(Number.isInteger(winnerCount) && winnerCount >= 1 && winnerCount <= maxWinners)) {
+    return { error: `Winner count must be between 1 and ${maxWinners}` };
+  }
+
+  // When picking from rankings, keep the submission and score alongside each
+  // address so the decision can be traced back to the judges' reviews.
+  let winnersData;
+  if (use_rankings) {
+    const rankings = await getSubmissionRankings(hackathon.id, trackId);
+    if (rankings.length === 0) {
+      return { error: 'No scored submissions to pick winners from' };
+    }
+    winnersData = rankings.slice(0, winnerCount).map(r => ({
+      public_key: r.public_key,
+      submission_id: r.submission_id,
+      rank: r.rank,
+      score: r.score,
+    }));
+  } else {
+    winnersData = winners.map(address => ({ public_key: address }));
+  }
+
+  for (const { public_key: w } of winnersData) {
+    if (!ethers.isAddress(w)) throw new Error(`Invalid Ethereum address: ${w}`);
+  }
+
+  // Only pay out to wallets someone has proven they control
+  if (hackathon.require_verified_wallet) {
+    const verifiedResult = await pool.query(
+      'SELECT LOWER(wallet_address) AS address FROM users WHERE wallet_verified = TRUE AND LOWER(wallet_address) = ANY($1::text[])',
+      [winnersData.map(w => w.public_key.toLowerCase())]
+    );
+    const verified = new Set(verifiedResult.rows.map(r => r.address));
+    const unverified = winnersData.filter(w => !verified.has(w.public_key.toLowerCase())).map(w => w.public_key);
+    if (unverified.length > 0) {
+      return { error: 'Winners must have verified wallets', unverified };
+    }
+  }
+  return { winners: winnersData };
+}
+
+// Set Winners
+app.post('/api/hackathons/:id/set-winners', authenticateToken, async (req, res) => {
+  console.log('Set winners request:', { params: req.params, body: req.body, user: req.user });
+  const { id } = req.params;
+  const { winners, use_rankings, count } = req.body;
+
+  if (isNaN(id)) {
+    return res.status(400).json({ error: 'Invalid hackathon ID' });
+  }
+
+  if (req.user.role !== 'organizer') {
+    return res.status(403).json({ error: 'Only organizers can set winners' });
+  }
+
+  if (!use_rankings && (!winners || !Array.isArray(winners) || winners.length === 0)) {
+    return res.status(400).json({ error: 'Winners array is required' });
+  }
+
+
+  try {
+    const hackathonResult = await pool.query('SELECT * FROM hackathons WHERE id = $1', [id]);
+    const hackathon = hackathonResult.rows[0];
+
+    if (!hackathon) {
+      return res.status(404).json({ error: 'Hackathon not found' });
+    }
+
+    if (hackathon.organizer_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the hackathon organizer can set winners' });
+    }
+
+    const phaseError = checkAction(hackathon, 'set_winners');
+    if (phaseError) {
+      return res.status(400).json({ error: phaseError });
+    }
+
+    if (!hackathon.chain_organizer_address) {
+      return res.status(400).json({ error: 'Hackathon is not registered on-chain yet' });
+    }
+
+    if (!hackathon.chain_ended_at) {
+      return res.status(400).json({ error: 'Hackathon must be ended on-chain before setting winners' });
+    }
+
+    const maxWinners = hackathon.prize_split ? hackathon.prize_split.length : DEFAULT_MAX_WINNERS;
+    const resolved = await resolveWinners(hackathon, { winners, use_rankings, count }, maxWinners);
+    if (resolved.error) {
+      return res.status(400).json(resolved);
+    }
+    const winnersData = resolved.winners;
+
+    const transaction = await prepareTransaction('setWinners', [id, winnersData.map(w => w.public_key)], hackathon.chain_organizer_address);
+    const job = await enqueueJob(pool, { type: 'set_winners', hackathonId: id, payload: { winners: winnersData }, requestedBy: req.user.id, transaction });
+    res.json({ message: 'Sign this transaction with your organizer wallet', winners: winnersData, jobId: job.id, transaction });
+  } catch (error) {
+    console.error('Set winners error:', error);
+    res.status(500).json({ error: 'Failed to set winners: ' + error.message });
+  }
+});
+
+// Distribute Prizes
+app.post('/api/hackathons/:id/distribute', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+
+  if (req.user.role !== 'organizer') {
+    return res.status(403).json({ error: 'Only organizers can distribute prizes' });
+  }
+
+  try {
+    const hackathonResult = await pool.query('SELECT * FROM hackathons WHERE id = $1', [id]);
+    const hackathon = hackathonResult.rows[0];
+
+    if (!hackathon) {
+      return res.status(404).json({ error: 'Hackathon not found' });
+    }
+
+    if (hackathon.organizer_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the hackathon organizer can distribute prizes' });
+    }
+
+    const phaseError = checkAction(hackathon, 'distribute');
+    if (phaseError) {
+      return res.status(400).json({ error: phaseError });
+    }
+
+    if (!hackathon.chain_organizer_address) {
+      return res.status(400).json({ error: 'Hackathon is not registered on-chain yet' });
+    }
+
+    // The contract only pays out once the hackathon has been ended on-chain
+    if (!hackathon.chain_ended_at) {
+      return res.status(400).json({ error: 'Hackathon must be ended on-chain before distributing prizes' });
+    }
+
+    console.log(`Preparing distributePrizes for hackathon ${id}`);
+    const transaction = await prepareTransaction('distributePrizes', [id], hackathon.chain_organizer_address);
+    const job = await enqueueJob(pool, { type: 'distribute', hackathonId: id, requestedBy: req.user.id, transaction });
+
+    res.json({ 
+      message: 'Sign this transaction with your organizer wallet', 
+      jobId: job.id,
+      transaction
+    });
+  } catch (error) {
+    console.error('Distribute prizes error:', error);
+    res.status(500).json({ error: 'Failed to distribute prizes: ' + error.message });
+  }
+});
+
+// Reconciliation report between the database and HackathonFunding on-chain state
+app.get('/api/organizer/reconciliation', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'organizer') {
+    return res.status(403).json({ error: 'Only organizers can view reconciliation reports' });
+  }
+
+  try {
+    const result = await pool.query(
+      'SELECT * FROM hackathons WHERE organizer_id = $1 ORDER BY id',
+      [req.user.id]
+    );
+    const report = await getReconciliationReport(pool, provider, process.env.CONTRACT_ADDRESS, result.rows);
+    res.json(report);
+  } catch (error) {
+    console.error('Reconciliation report error:', error);
+    res.status(500).json({ error: 'Failed to build reconciliation report: ' + error.message });
+  }
+});
+
+// Tracks
+// Tracks and sponsor bounties are prize pools next to the main one (see
+// tracks.js). Each is registered on-chain with createTrack under the
+// organizer's wallet, funded, and paid out on its own, while the hackathon's
+// phase keeps following the main pool.
+
+// Loads the hackathon and one of its tracks for the organizer, answering the
+// request itself when either does not exist or belongs to someone else
+async function getOwnTrack(req, res) {
+  const { id, trackId } = req.params;
+
+  if (isNaN(id) || isNaN(trackId)) {
+    res.status(400).json({ error: 'Invalid track ID' });
+    return null;
+  }
+
+  if (req.user.role !== 'organizer') {
+    res.status(403).json({ error: 'Only organizers can manage tracks' });
+    return null;
+  }
+
+  const hackathonResult = await pool.query('SELECT * FROM hackathons WHERE id = $1', [id]);
+  const hackathon = hackathonResult.rows[0];
+  const trackResult = await pool.query('SELECT * FROM hackathon_tracks WHERE id = $1 AND hackathon_id = $2', [trackId, id]);
+  const track = trackResult.rows[0];
+
+  if (!hackathon || !track) {
+    res.status(404).json({ error: 'Track not found' });
+    return null;
+  }
+
+  if (hackathon.organizer_id !== req.user.id) {
+    res.status(403).json({ error: 'Only the hackathon organizer can manage its tracks' });
+    return null;
+  }
+  return { hackathon, track };
+}
+
+app.get('/api/hackathons/:id/tracks', async (req, res) => {
+  const { id } = req.params;
+
+  if (isNaN(id)) {
+    return res.status(400).json({ error: 'Invalid hackathon ID' });
+  }
+
+  try {
+    const result = await pool.query(`
+      SELECT t.*, COUNT(st.submission_id)::int AS submission_count
+      FROM hackathon_tracks t
+      LEFT JOIN submission_tracks st ON st.track_id = t.id
+      WHERE t.hackathon_id = $1
+      GROUP BY t.id
+      ORDER BY t.id
+    `, [id]);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Fetch tracks error:', error);
+    res.status(500).json({ error: 'Failed to fetch tracks' });
+  }
+});
+
+// Creates a track or bounty. On a hackathon already registered on-chain the
+// createTrack transaction comes back for the organizer to sign; otherwise
+// the track is registered later through POST .../tracks/:trackId/register.
+app.post('/api/hackathons/:id/tracks', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  const { name, kind, description, sponsor_name, prize_pool, prize_split } = req.body;
+
+  if (isNaN(id)) {
+    return res.status(400).json({ error: 'Invalid hackathon ID' });
+  }
+
+  if (req.user.role !== 'organizer') {
+    return res.status(403).json({ error: 'Only organizers can manage tracks' });
+  }
+
+  const fieldError = validateTrackFields(req.body);
+  if (fieldError) {
+    return res.status(400).json({ error: fieldError });
+  }
+
+  if (prize_split !== undefined && prize_split !== null) {
+    const splitError = validatePrizeSplit(prize_split);
+    if (splitError) {
+      return res.status(400).json({ error: splitError });
+    }
+  }
+
+  try {
+    const hackathonResult = await pool.query('SELECT * FROM hackathons WHERE id = $1', [id]);
+    const hackathon = hackathonResult.rows[0];
+
+    if (!hackathon) {
+      return res.status(404).json({ error: 'Hackathon not found' });
+    }
+
+    if (hackathon.organizer_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the hackathon organizer can manage its tracks' });
+    }
+
+    const phaseError = checkAction(hackathon, 'manage_tracks');
+    if (phaseError) {
+      return res.status(400).json({ error: phaseError });
+    }
+
+    if (await countTracks(pool, id) >= MAX_TRACKS) {
+      return res.status(400).json({ error: `A hackathon can have at most ${MAX_TRACKS} tracks` });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO hackathon_tracks (hackathon_id, kind, name, description, sponsor_name, prize_pool, prize_split)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [id, kind || 'track', name.trim(), description || null, sponsor_name || null, prize_pool || null, prize_split ? JSON.stringify(prize_split) : null]);
+    const track = result.rows[0];
+
+    if (!hackathon.chain_organizer_address) {
+      return res.status(201).json({ track });
+    }
+
+    const transaction = await prepareTransaction('createTrack', [id, track.id, prize_split || []], hackathon.chain_organizer_address);
+    const job = await enqueueJob(pool, { type: 'create_track', hackathonId: id, trackId: track.id, requestedBy: req.user.id, transaction });
+    res.status(201).json({ message: 'Sign this transaction with your organizer wallet', track, jobId: job.id, transaction });
+  } catch (error) {
+    console.error('Create track error:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'This hackathon already has a track with that name' });
+    }
+    res.status(500).json({ error: 'Failed to create track: ' + error.message });
+  }
+});
+
+// Edits a track. A prize split change on a track that is already registered
+// on-chain comes back as a transaction for the organizer to sign.
+app.patch('/api/hackathons/:id/tracks/:trackId', authenticateToken, async (req, res) => {
+  const changes = req.body || {};
+
+  const fieldError = validateTrackFields(changes, { partial: true });
+  if (fieldError) {
+    return res.status(400).json({ error: fieldError });
+  }
+
+  if (changes.prize_split !== undefined && changes.prize_split !== null) {
+    const splitError = validatePrizeSplit(changes.prize_split);
+    if (splitError) {
+      return res.status(400).json({ error: splitError });
+    }
+  }
+
+  try {
+    const owned = await getOwnTrack(req, res);
+    if (!owned) return;
+    const { hackathon, track } = owned;
+
+    const phaseError = checkAction(hackathon, 'manage_tracks');
+    if (phaseError) {
+      return res.status(400).json({ error: phaseError });
+    }
+
+    const splitChanged = changes.prize_split !== undefined
+      && JSON.stringify(changes.prize_split) !== JSON.stringify(track.prize_split);
+    if (splitChanged && track.registered_at && track.winners) {
+      return res.status(400).json({ error: 'The prize split cannot change once winners are set' });
+    }
+    if (splitChanged && track.registered_at && changes.prize_split === null) {
+      return res.status(400).json({ error: 'A registered track needs a prize split to change to' });
+    }
+
+    const fields = ['name', 'kind', 'description', 'sponsor_name', 'prize_pool'];
+    // The registered split is only changed on-chain; set_track_split stores it once confirmed
+    if (splitChanged && !track.registered_at) fields.push('prize_split');
+
+    const sets = [];
+    const values = [];
+    fields.filter(field => changes[field] !== undefined).forEach(field => {
+      let value = changes[field];
+      if (field === 'name') value = value.trim();
+      if (field === 'prize_split') value = value === null ? null : JSON.stringify(value);
+      values.push(value);
+      sets.push(`${field} = $${values.length}`);
+    });
+
+    let updated = track;
+    if (sets.length > 0) {
+      values.push(track.id);
+      const result = await pool.query(
+        `UPDATE hackathon_tracks SET ${sets.join(', ')} WHERE id = $${values.length} RETURNING *`,
+        values
+      );
+      updated = result.rows[0];
+    }
+
+    if (!(splitChanged && track.registered_at)) {
+      return res.json({ track: updated });
+    }
+
+    const transaction = await prepareTransaction('setTrackPrizeSplit', [hackathon.id, track.id, changes.prize_split], hackathon.chain_organizer_address);
+    const job = await enqueueJob(pool, {
+      type: 'set_track_split',
+      hackathonId: hackathon.id,
+      trackId: track.id,
+      payload: { split: changes.prize_split },
+      requestedBy: req.user.id,
+      transaction,
+    });
+    res.json({ message: 'Sign this transaction with your organizer wallet to change the prize split', track: updated, jobId: job.id, transaction });
+  } catch (error) {
+    console.error('Update track error:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'This hackathon already has a track with that name' });
+    }
+    res.status(500).json({ error: 'Failed to update track: ' + error.message });
+  }
+});
+
+// Only tracks that exist nowhere but here can be deleted
+app.delete('/api/hackathons/:id/tracks/:trackId', authenticateToken, async (req, res) => {
+  try {
+    const owned = await getOwnTrack(req, res);
+    if (!owned) return;
+    const { hackathon, track } = owned;
+
+    const phaseError = checkAction(hackathon, 'manage_tracks');
+    if (phaseError) {
+      return res.status(400).json({ error: phaseError });
+    }
+
+    const jobResult = await pool.query(
+      "SELECT 1 FROM tx_jobs WHERE track_id = $1 AND type = 'create_track' AND status IN ('awaiting_signature', 'queued', 'processing', 'submitted')",
+      [track.id]
+    );
+    if (track.registered_at || jobResult.rows.length > 0) {
+      return res.status(400).json({ error: 'Tracks registered on-chain cannot be deleted' });
+    }
+
+    await pool.query('DELETE FROM hackathon_tracks WHERE id = $1', [track.id]);
+    res.json({ message: 'Track deleted' });
+  } catch (error) {
+    console.error('Delete track error:', error);
+    res.status(500).json({ error: 'Failed to delete track' });
+  }
+});
+
+// Registers a track created before the hackathon itself was on-chain
+app.post('/api/hackathons/:id/tracks/:trackId/register', authenticateToken, async (req, res) => {
+  try {
+    const owned = await getOwnTrack(req, res);
+    if (!owned) return;
+    const { hackathon, track } = owned;
+
+    const phaseError = checkAction(hackathon, 'fund_track');
+    if (phaseError) {
+      return res.status(400).json({ error: phaseError });
+    }
+
+    if (!hackathon.chain_organizer_address) {
+      return res.status(400).json({ error: 'Hackathon is not registered on-chain yet' });
+    }
+
+    if (track.registered_at) {
+      return res.status(400).json({ error: 'Track is already registered on-chain' });
+    }
+
+    const transaction = await prepareTransaction('createTrack', [hackathon.id, track.id, track.prize_split || []], hackathon.chain_organizer_address);
+    const job = await enqueueJob(pool, { type: 'create_track', hackathonId: hackathon.id, trackId: track.id, requestedBy: req.user.id, transaction });
+    res.json({ message: 'Sign this transaction with your organizer wallet', jobId: job.id, transaction });
+  } catch (error) {
+    console.error('Register track error:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Registration for this track is already in progress' });
+    }
+    res.status(500).json({ error: 'Failed to register track: ' + error.message });
+  }
+});
+
+// Same as POST /api/hackathons/:id/fund, into the track's pool. Sponsors call
+// fundTrack themselves and report it through POST .../contributions.
+app.post('/api/hackathons/:id/tracks/:trackId/fund', authenticateToken, async (req, res) => {
+  const { amount } = req.body;
+
+  if (!(Number(amount) > 0)) {
+    return res.status(400).json({ error: 'A positive amount is required' });
+  }
+
+  try {
+    const owned = await getOwnTrack(req, res);
+    if (!owned) return;
+    const { hackathon, track } = owned;
+
+    const phaseError = checkAction(hackathon, 'fund_track');
+    if (phaseError) {
+      return res.status(400).json({ error: phaseError });
+    }
+
+    if (!track.registered_at) {
+      return res.status(400).json({ error: 'Track is not registered on-chain yet' });
+    }
+
+    const userResult = await pool.query('SELECT wallet_address FROM users WHERE id = $1', [req.user.id]);
+    const wallet = userResult.rows[0].wallet_address;
+    if (!wallet) {
+      return res.status(400).json({ error: 'Connect a wallet before funding' });
+    }
+
+    const amountBaseUnits = parseTokenAmount(amount, hackathon.prize_token_decimals);
+    if (amountBaseUnits === null) {
+      return res.status(400).json({ error: `Amount must be a positive number with at most ${hackathon.prize_token_decimals} decimal places` });
+    }
+    const payload = { amount: amount.toString(), amount_base_units: amountBaseUnits.toString() };
+    const jobFields = { type: 'fund_track', hackathonId: hackathon.id, trackId: track.id, payload, requestedBy: req.user.id };
+
+    if (!hackathon.prize_token_address) {
+      const transaction = await prepareTransaction('fundTrack', [hackathon.id, track.id], wallet, amountBaseUnits);
+      const job = await enqueueJob(pool, { ...jobFields, transaction });
+      return res.json({ message: 'Sign this transaction with your wallet', jobId: job.id, transaction });
+    }
+
+    const token = new ethers.Contract(hackathon.prize_token_address, erc20Abi, provider);
+    const allowance = await token.allowance(wallet, process.env.CONTRACT_ADDRESS);
+    let approval = null;
+    if (allowance < amountBaseUnits) {
+      const { chainId } = await provider.getNetwork();
+      approval = {
+        from: wallet,
+        to: hackathon.prize_token_address,
+        data: token.interface.encodeFunctionData('approve', [process.env.CONTRACT_ADDRESS, amountBaseUnits]),
+        value: '0',
+        chainId: chainId.toString(),
+      };
+    }
+
+    const transaction = await prepareTransaction('fundTrackWithToken', [hackathon.id, track.id, amountBaseUnits], wallet);
+    const job = await enqueueJob(pool, { ...jobFields, transaction });
+    res.json({
+      message: approval ? 'Sign the approval, then the funding transaction, with your wallet' : 'Sign this transaction with your wallet',
+      jobId: job.id,
+      approval,
+      transaction,
+    });
+  } catch (error) {
+    console.error('Fund track error:', error);
+    res.status(500).json({ error: 'Failed to fund track: ' + error.message });
+  }
+});
+
+// Takes the same body as POST /api/hackathons/:id/set-winners; use_rankings
+// ranks only the submissions competing in the track
+app.post('/api/hackathons/:id/tracks/:trackId/set-winners', authenticateToken, async (req, res) => {
+  const { winners, use_rankings, count } = req.body;
+
+  if (!use_rankings && (!winners || !Array.isArray(winners) || winners.length === 0)) {
+    return res.status(400).json({ error: 'Winners array is required' });
+  }
+
+  try {
+    const owned = await getOwnTrack(req, res);
+    if (!owned) return;
+    const { hackathon, track } = owned;
+
+    const phaseError = checkAction(hackathon, 'track_payout');
+    if (phaseError) {
+      return res.status(400).json({ error: phaseError });
+    }
+
+    if (!hackathon.chain_ended_at) {
+      return res.status(400).json({ error: 'Hackathon must be ended on-chain before setting winners' });
+    }
+
+    if (!track.registered_at || !(parseFloat(track.funded_amount) > 0)) {
+      return res.status(400).json({ error: 'Track must be registered and funded before setting winners' });
+    }
+
+    if (track.prizes_distributed) {
+      return res.status(400).json({ error: 'Track prizes have already been distributed' });
+    }
+
+    const maxWinners = track.prize_split ? track.prize_split.length : DEFAULT_MAX_WINNERS;
+    const resolved = await resolveWinners(hackathon, { winners, use_rankings, count }, maxWinners, track.id);
+    if (resolved.error) {
+      return res.status(400).json(resolved);
+    }
+    const winnersData = resolved.winners;
+
+    const transaction = await prepareTransaction('setTrackWinners', [hackathon.id, track.id, winnersData.map(w => w.public_key)], hackathon.chain_organizer_address);
+    const job = await enqueueJob(pool, {
+      type: 'set_track_winners',
+      hackathonId: hackathon.id,
+      trackId: track.id,
+      payload: { winners: winnersData },
+      requestedBy: req.user.id,
+      transaction,
+    });
+    res.json({ message: 'Sign this transaction with your organizer wallet', winners: winnersData, jobId: job.id, transaction });
+  } catch (error) {
+    console.error('Set track winners error:', error);
+    res.status(500).json({ error: 'Failed to set track winners: ' + error.message });
+  }
+});
+
+app.post('/api/hackathons/:id/tracks/:trackId/distribute', authenticateToken, async (req, res) => {
+  try {
+    const owned = await getOwnTrack(req, res);
+    if (!owned) return;
+    const { hackathon, track } = owned;
+
+    const phaseError = checkAction(hackathon, 'track_payout');
+    if (phaseError) {
+      return res.status(400).json({ error: phaseError });
+    }
+
+    // Like the main pool, the contract only pays out once the hackathon has been ended on-chain
+    if (!hackathon.chain_ended_at) {
+      return res.status(400).json({ error: 'Hackathon must be ended on-chain before distributing prizes' });
+    }
+
+    if (!track.winners || track.winners.length === 0) {
+      return res.status(400).json({ error: 'Track winners must be set before distributing prizes' });
+    }
+
+    if (track.prizes_distributed) {
+      return res.status(400).json({ error: 'Track prizes have already been distributed' });
+    }
+
+    const transaction = await prepareTransaction('distributeTrackPrizes', [hackathon.id, track.id], hackathon.chain_organizer_address);
+    const job = await enqueueJob(pool, { type: 'distribute_track', hackathonId: hackathon.id, trackId: track.id, requestedBy: req.user.id, transaction });
+    res.json({ message: 'Sign this transaction with your organizer wallet', jobId: job.id, transaction });
+  } catch (error) {
+    console.error('Distribute track prizes error:', error);
+    res.status(500).json({ error: 'Failed to distribute track prizes: ' + error.message });
+  }
+});
+
+// Exports
+// Participants, submissions, judge scores and payouts as CSV or JSON
+// downloads (see exports.js), for the hackathon's own organizer only.
+
+// ?format=csv (default) or json
+app.get('/api/hackathons/:id/export/:dataset', authenticateToken, async (req, res) => {
+  const { id, dataset } = req.params;
+  const format = req.query.format || 'csv';
+
+  if (isNaN(id)) {
+    return res.status(400).json({ error: 'Invalid hackathon ID' });
+  }
+
+  if (!Object.hasOwn(exportDatasets, dataset)) {
+    return res.status(404).json({ error: `Unknown export; available: ${Object.keys(exportDatasets).join(', ')}` });
+  }
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+  }
+
+  if (req.user.role !== 'organizer') {
+    return res.status(403).json({ error: 'Only organizers can export hackathon data' });
+  }
+
+  try {
+    const hackathonResult = await pool.query('SELECT * FROM hackathons WHERE id = $1', [id]);
+    const hackathon = hackathonResult.rows[0];
+
+    if (!hackathon) {
+      return res.status(404).json({ error: 'Hackathon not found' });
+    }
+
+    if (hackathon.organizer_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the hackathon organizer can export its data' });
+    }
+
+    const options = dataset === 'submissions' ? { rankings: await getSubmissionRankings(id) } : {};
+    await streamExport(res, exportDatasets[dataset](pool, hackathon, options), {
+      format,
+      filename: `hackathon-${id}-${dataset}`,
+    });
+  } catch (error) {
+    console.error('Export error:', error);
+    res.status(500).json({ error: 'Failed to export hackathon data' });
+  }
+});
+
+// Imports
+// Participants and hackathon definitions from CSV (see imports.js). With
+// ?dry_run=true nothing is saved and the response says what each row would do;
+// otherwise a single failing row keeps the whole file from being imported.
+
+function importSummary(results, dryRun, imported) {
+  return {
+    dry_run: dryRun,
+    imported,
+    rows: results.length,
+    errors: results.filter(result => result.error).length,
+    results,
+  };
+}
+
+// Accounts created by an import have no password yet; the invitation lets
+// the person choose one, which also verifies their email
+async function sendImportInvitation(userId, email, hackathonTitle) {
+  try {
+    const token = await createAccountToken(pool, userId, 'invitation');
+    await sendMail({
+      to: email,
+      subject: `You are registered for ${hackathonTitle} on BlockHunt`,
+      text: `The organizer of ${hackathonTitle} registered you on BlockHunt. Choose a password to sign in by opening this link:\n\n${appLink('/reset-password', { token })}\n\nIf you were not expecting this, you can ignore this email.`,
+    });
+  } catch (error) {
+    console.error('Import invitation error:', error);
+  }
+}
+
+// Matches or creates the row's account and registers it. Checks anything that
+// would make a statement fail first, since a failed statement aborts the
+// transaction. Returns the row's result.
+async function importParticipant(client, hackathon, values, seenEmails) {
+  const parsed = participantFromRow(values, hackathon.registration_questions);
+  if (parsed.error) return { email: values.email, error: parsed.error };
+
+  const { email, walletAddress } = parsed;
+  if (seenEmails.has(email.toLowerCase())) return { email, error: 'Email appears more than once in the file' };
+  seenEmails.add(email.toLowerCase());
+
+  const userResult = await client.query('SELECT id, role, suspended_at FROM users WHERE LOWER(email) = LOWER($1)', [email]);
+  let user = userResult.rows[0];
+  if (user && user.role !== 'user') return { email, error: `This email belongs to a ${user.role} account` };
+  if (user && user.suspended_at) return { email, error: 'This account is suspended' };
+
+  const participantResult = user
+    ? await client.query('SELECT * FROM hackathon_participants WHERE user_id = $1 AND hackathon_id = $2', [user.id, hackathon.id])
+    : { rows: [] };
+  const existing = participantResult.rows[0];
+  if (existing && !existing.withdrawn && existing.status === 'approved') {
+    return { email, account: 'existing', status: 'approved', change: null };
+  }
+
+  const { answers, error: answerError } = validateAnswers(hackathon.registration_questions, parsed.answers);
+  if (answerError) return { email, error: answerError };
+
+  let account = 'existing';
+  if (!user) {
+    if (walletAddress) {
+      const walletResult = await client.query('SELECT 1 FROM users WHERE LOWER(wallet_address) = LOWER($1)', [walletAddress]);
+      if (walletResult.rows.length > 0) return { email, error: 'This wallet address belongs to another account' };
+    }
+    const created = await client.query(
+      "INSERT INTO users (email, role, wallet_address) VALUES ($1, 'user', $2) RETURNING id",
+      [email, walletAddress]
+    );
+    user = created.rows[0];
+    account = 'created';
+  }
+
+  // Imported people are let in like approved registrations, up to the cap
+  const status = await admissionStatus(client, hackathon);
+  if (existing && !existing.withdrawn && existing.status === 'waitlisted' && status === 'waitlisted') {
+    return { email, account, status, change: null };
+  }
+
+  if (existing) {
+    await client.query(
+      'UPDATE hackathon_participants SET withdrawn = FALSE, status = $1, answers = $2, joined_at = CURRENT_TIMESTAMP, decided_at = CURRENT_TIMESTAMP, decided_by = $3 WHERE id = $4',
+      [status, JSON.stringify(answers), hackathon.organizer_id, existing.id]
+    );
+  } else {
+    await client.query(
+      'INSERT INTO hackathon_participants (hackathon_id, user_id, status, answers, decided_at, decided_by) VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP, $5)',
+      [hackathon.id, user.id, status, JSON.stringify(answers), hackathon.organizer_id]
+    );
+  }
+  return { email, account, status, change: status === 'approved' ? 'joined' : status, userId: user.id };
+}
+
+// CSV columns: email, optional wallet_address and registration.<question id>
+app.post('/api/hackathons/:id/import/participants', authenticateToken, csvBody, async (req, res) => {
+  const { id } = req.params;
+  const dryRun = req.query.dry_run === 'true';
+
+  if (isNaN(id)) {
+    return res.status(400).json({ error: 'Invalid hackathon ID' });
+  }
+
+  if (req.user.role !== 'organizer') {
+    return res.status(403).json({ error: 'Only organizers can import participants' });
+  }
+
+  const parsed = parseCsv(req.body, ['email']);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // Serializes imports and joins so the cap is applied to both
+    const hackathonResult = await client.query('SELECT * FROM hackathons WHERE id = $1 FOR UPDATE', [id]);
+    const hackathon = hackathonResult.rows[0];
+
+    if (!hackathon) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Hackathon not found' });
+    }
+
+    if (hackathon.organizer_id !== req.user.id) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'Only the hackathon organizer can import participants' });
+    }
+
+    const phaseError = checkAction(hackathon, 'import_participants');
+    if (phaseError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: phaseError });
+    }
+
+    const seenEmails = new Set();
+    const results = [];
+    for (const { line, values } of parsed.rows) {
+      results.push({ line, ...(await importParticipant(client, hackathon, values, seenEmails)) });
+    }
+
+    const failed = results.some(result => result.error);
+    if (dryRun || failed) {
+      await client.query('ROLLBACK');
+    } else {
+      await client.query('COMMIT');
+    }
+    const imported = !dryRun && !failed;
+
+    if (imported) {
+      for (const result of results.filter(r => r.change)) {
+        if (result.account === 'created') {
+          await sendImportInvitation(result.userId, result.email, hackathon.title);
+        }
+        await publishParticipantChange(id, result.userId, result.change, result.status);
+        await notifyRegistrationChange(id, result.userId, result.change);
+      }
+    }
+
+    res.status(failed && !dryRun ? 400 : 200).json(importSummary(
+      results.map(({ userId, ...result }) => result),
+      dryRun,
+      imported
+    ));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Import participants error:', error);
+    res.status(500).json({ error: 'Failed to import participants' });
+  } finally {
+    client.release();
+  }
+});
+
+// Checks one hackathon row like POST /api/hackathons checks a draft. Returns
+// the row's result, with the fields to insert unless it has an error.
+async function checkImportedHackathon(values, tokens) {
+  const { fields, error } = hackathonFromRow(values);
+  if (error) return { title: values.title, error };
+
+  const fieldError = validateHackathonFields(fields, { draft: true })
+    || (fields.prize_split !== undefined ? validatePrizeSplit(fields.prize_split) : null);
+  if (fieldError) return { title: values.title, error: fieldError };
+
+  if (fields.prize_token && !ethers.isAddress(fields.prize_token)) {
+    return { title: values.title, error: 'Prize token must be a valid contract address' };
+  }
+
+  // Files tend to repeat the same token, so each is looked up once
+  const tokenKey = (fields.prize_token || '').toLowerCase();
+  if (!tokens.has(tokenKey)) {
+    tokens.set(tokenKey, lookupPrizeToken(fields.prize_token).catch(() => null));
+  }
+  const token = await tokens.get(tokenKey);
+  if (!token) return { title: values.title, error: 'Prize token is not a valid ERC-20 contract' };
+
+  const prizePoolError = checkPrizePool(fields.prize_pool, token.decimals);
+  if (prizePoolError) return { title: values.title, error: prizePoolError };
+
+  return { title: fields.title, fields, token };
+}
+
+// CSV columns: title, description and the optional columns listed in
+// imports.js. Every hackathon is saved as a draft to review and publish.
+app.post('/api/hackathons/import', authenticateToken, csvBody, async (req, res) => {
+  const dryRun = req.query.dry_run === 'true';
+
+  if (req.user.role !== 'organizer') {
+    return res.status(403).json({ error: 'Only organizers can import hackathons' });
+  }
+
+  const parsed = parseCsv(req.body, ['title', 'description']);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  const tokens = new Map();
+  const checked = [];
+  for (const { line, values } of parsed.rows) {
+    checked.push({ line, ...(await checkImportedHackathon(values, tokens)) });
+  }
+
+  const failed = checked.some(result => result.error);
+  if (dryRun || failed) {
+    return res.status(failed && !dryRun ? 400 : 200).json(importSummary(
+      checked.map(({ line, title, error }) => ({ line, title, ...(error ? { error } : {}) })),
+      dryRun,
+      false
+    ));
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const results = [];
+    for (const { line, fields, token } of checked) {
+      const result = await client.query(
+        `INSERT INTO hackathons (title, description, start_date, end_date, organizer_id, prize_pool, prize_split, prize_token_address, prize_token_symbol, prize_token_decimals, require_verified_wallet, published,
+          max_participants, registration_opens_at, registration_closes_at, join_mode, registration_questions, attachment_max_bytes, attachment_mime_types, submission_form)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, FALSE, $12, $13, $14, $15, $16, $17, $18, $19) RETURNING id, title`,
+        [fields.title, fields.description, fields.start_date || null, fields.end_date || null, req.user.id, fields.prize_pool || null,
+          fields.prize_split ? JSON.stringify(fields.prize_split) : null, token.address, token.symbol, token.decimals, fields.require_verified_wallet === true,
+          fields.max_participants || null, fields.registration_opens_at || null, fields.registration_closes_at || null, fields.join_mode || 'open',
+          fields.registration_questions ? JSON.stringify(fields.registration_questions) : null, fields.attachment_max_bytes || null,
+          fields.attachment_mime_types || null, fields.submission_form ? JSON.stringify(fields.submission_form) : null]
+      );
+      results.push({ line, title: result.rows[0].title, id: result.rows[0].id });
+    }
+    await client.query('COMMIT');
+
+    for (const { id } of results) {
+      await syncPhase(pool, id, { actorId: req.user.id, reason: 'imported' });
+    }
+    res.status(201).json(importSummary(results, false, true));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Import hackathons error:', error);
+    res.status(500).json({ error: 'Failed to import hackathons' });
+  } finally {
+    client.release();
+  }
+});
+
+// Real-time updates
+// Dashboards follow hackathons over Server-Sent Events (see realtime.js)
+// instead of polling. Other participants only get counts and ids; the
+// organizer, admins and the people concerned get the details.
+
+// Jobs whose progress concerns only the user who requested them
+const PERSONAL_JOB_TYPES = ['claim_refund', 'claim_track_refund'];
+
+onPhaseChange(({ hackathonId, from, to }) => {
+  publish(hackathonId, 'phase', { from, to });
+});
+
+onJobUpdate(job => {
+  if (!job.hackathon_id) return;
+  publish(job.hackathon_id, 'transaction', { job_id: job.id, type: job.type, status: job.status }, {
+    details: { tx_hash: job.tx_hash, error: job.error },
+    userIds: job.requested_by ? [job.requested_by] : [],
+    privateOnly: PERSONAL_JOB_TYPES.includes(job.type),
+  });
+});
+
+// Also sent to the organizer's webhooks as participant.<change>
+async function publishParticipantChange(hackathonId, userId, change, status) {
+  const countResult = await pool.query(
+    "SELECT COUNT(*) FROM hackathon_participants WHERE hackathon_id = $1 AND withdrawn = FALSE AND status = 'approved'",
+    [hackathonId]
+  );
+  const participantCount = parseInt(countResult.rows[0].count);
+  publish(hackathonId, 'participant', { change, participant_count: participantCount }, {
+    details: { user_id: userId, status },
+    userIds: [userId],
+  });
+
+  const userResult = await pool.query('SELECT email, wallet_address FROM users WHERE id = $1', [userId]);
+  await emitEvent(hackathonId, `participant.${change}`, { user_id: userId, ...userResult.rows[0], status, participant_count: participantCount });
+}
+
+// Also sent to the organizer's webhooks as submission.<change>
+async function publishSubmission(submission, change, memberIds) {
+  const summary = {
+    submission_id: submission.id,
+    team_id: submission.team_id,
+    updated_at: submission.updated_at || submission.created_at,
+  };
+  const details = {
+    user_id: submission.user_id,
+    idea: submission.idea,
+    description: submission.description,
+    github_link: submission.github_link,
+    public_key: submission.public_key,
+  };
+  publish(submission.hackathon_id, 'submission', { change, ...summary }, { details, userIds: memberIds });
+  await emitEvent(submission.hackathon_id, `submission.${change}`, { ...summary, ...details });
+}
+
+// EventSource cannot send headers, so the stream also takes the access token as ?access_token=
+function tokenFromQuery(req, res, next) {
+  if (!req.headers['authorization'] && req.query.access_token) {
+    req.headers['authorization'] = `Bearer ${req.query.access_token}`;
+  }
+  next();
+}
+
+// ?hackathons=1,2 follows those hackathons; organizers who leave it out follow
+// all of theirs. The stream closes when the session ends.
+app.get('/api/stream', tokenFromQuery, authenticateToken, async (req, res) => {
+  const requested = req.query.hackathons ? [...new Set(String(req.query.hackathons).split(','))] : [];
+
+  if (requested.some(id => id === '' || isNaN(id))) {
+    return res.status(400).json({ error: 'Invalid hackathon ID' });
+  }
+
+  try {
+    let hackathons;
+    if (requested.length > 0) {
+      const result = await pool.query('SELECT id, organizer_id, hidden, published FROM hackathons WHERE id = ANY($1)', [requested.map(Number)]);
+      // Same visibility as GET /api/hackathons/:id
+      hackathons = result.rows.filter(h => (!h.hidden && h.published) || h.organizer_id === req.user.id || req.user.role === 'admin');
+      if (hackathons.length !== requested.length) {
+        return res.status(404).json({ error: 'Hackathon not found' });
+      }
+    } else if (req.user.role === 'organizer') {
+      const result = await pool.query('SELECT id, organizer_id FROM hackathons WHERE organizer_id = $1', [req.user.id]);
+      hackathons = result.rows;
+    } else {
+      return res.status(400).json({ error: 'Name the hackathons to follow with ?hackathons=' });
+    }
+
+    openStream(req, res, {
+      user: req.user,
+      hackathonIds: hackathons.map(h => h.id),
+      organizerOf: hackathons.filter(h => h.organizer_id === req.user.id).map(h => h.id),
+      isActive: () => isSessionActive(pool, req.user.sid, req.user.id),
+    });
+  } catch (error) {
+    console.error('Open stream error:', error);
+    res.status(500).json({ error: 'Failed to open stream' });
+  }
+});
+
+// Notifications
+// Participants hear about their registration, their team's submission and
+// every phase of a hackathon they joined; organizers hear about new
+// submissions. Channels and defaults are in notifications.js. A failed
+// notification is logged and never fails the request that caused it.
+
+const PHASE_NOTIFICATIONS = {
+  active: { type: 'hackathon_started', title: title => `${title} has started`, body: title => `${title} is now running. Good luck!` },
+  ended: { type: 'hackathon_ended', title: title => `${title} has ended`, body: title => `${title} has ended and submissions are closed.` },
+  winners_set: { type: 'winners_announced', title: title => `Winners announced for ${title}`, body: title => `The winners of ${title} have been announced.` },
+  distributed: { type: 'prizes_distributed', title: title => `Prizes paid out for ${title}`, body: title => `The prizes for ${title} have been paid out on-chain.` },
+  cancelled: { type: 'hackathon_cancelled', title: title => `${title} was cancelled`, body: title => `${title} has been cancelled by its organizer.` },
+};
+
+const REGISTRATION_NOTIFICATIONS = {
+  joined: { title: title => `You joined ${title}`, body: title => `You are registered for ${title}.` },
+  pending: { title: title => `Registration received for ${title}`, body: title => `The organizer of ${title} will review your registration.` },
+  waitlisted: { title: title => `You are on the waitlist for ${title}`, body: title => `${title} is full. You will get a place automatically if one opens up.` },
+  promoted: { title: title => `A place opened up in ${title}`, body: title => `You have moved off the waitlist and are now registered for ${title}.` },
+  approved: { title: title => `Registration approved for ${title}`, body: title => `The organizer approved your registration for ${title}.` },
+  rejected: { title: title => `Registration declined for ${title}`, body: title => `The organizer of ${title} declined your registration.` },
+};
+
+onNotification(notification => {
+  publish(null, 'notification', notification, { userIds: [notification.user_id], privateOnly: true });
+});
+
+onPhaseChange(async ({ hackathonId, to }) => {
+  const message = PHASE_NOTIFICATIONS[to];
+  if (!message) return;
+
+  try {
+    const result = await pool.query(`
+      SELECT h.title, ARRAY_REMOVE(ARRAY_AGG(p.user_id), NULL) AS participant_ids
+      FROM hackathons h
+      LEFT JOIN hackathon_participants p ON p.hackathon_id = h.id AND p.withdrawn = FALSE AND p.status = 'approved'
+      WHERE h.id = $1
+      GROUP BY h.id
+    `, [hackathonId]);
+    const hackathon = result.rows[0];
+    if (!hackathon) return;
+
+    await notifyUsers(pool, hackathon.participant_ids, {
+      type: message.type,
+      hackathonId,
+      title: message.title(hackathon.title),
+      body: message.body(hackathon.title),
+      link: `/hackathons/${hackathonId}`,
+    });
+  } catch (error) {
+    console.error('Phase notification error:', error);
+  }
+});
+
+async function notifyRegistrationChange(hackathonId, userId, change) {
+  const message = REGISTRATION_NOTIFICATIONS[change];
+  if (!message) return;
+
+  try {
+    const result = await pool.query('SELECT title FROM hackathons WHERE id = $1', [hackathonId]);
+    const { title } = result.rows[0];
+    await notifyUsers(pool, [userId], {
+      type: 'registration',
+      hackathonId,
+      title: message.title(title),
+      body: message.body(title),
+      link: `/hackathons/${hackathonId}`,
+    });
+  } catch (error) {
+    console.error('Registration notification error:', error);
+  }
+}
+
+// Tells the rest of the team, and the organizer about new projects
+async function notifySubmission(submission, change, memberIds, actorId) {
+  try {
+    const result = await pool.query('SELECT title, organizer_id FROM hackathons WHERE id = $1', [submission.hackathon_id]);
+    const { title, organizer_id: organizerId } = result.rows[0];
+    const link = `/hackathons/${submission.hackathon_id}`;
+
+    const teammates = memberIds.filter(memberId => memberId !== actorId);
+    await notifyUsers(pool, teammates, {
+      type: 'submission',
+      hackathonId: submission.hackathon_id,
+      title: `Your team's project was ${change} in ${title}`,
+      body: `"${submission.idea}" was ${change} by a teammate.`,
+      link,
+    });
+
+    if (change === 'created' && organizerId) {
+      await notifyUsers(pool, [organizerId], {
+        type: 'submission',
+        hackathonId: submission.hackathon_id,
+        title: `New submission in ${title}`,
+        body: `"${submission.idea}" was submitted to ${title}.`,
+        link: `${link}/submissions`,
+      });
+    }
+  } catch (error) {
+    console.error('Submission notification error:', error);
+  }
+}
+
+// ?unread=true for unread only; ?before=<id> for the next page
+app.get('/api/notifications', authenticateToken, async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+  const before = req.query.before !== undefined ? parseInt(req.query.before) : null;
+
+  if (before !== null && isNaN(before)) {
+    return res.status(400).json({ error: 'Invalid notification ID' });
+  }
+
+  try {
+    res.json(await listNotifications(pool, req.user.id, { unreadOnly: req.query.unread === 'true', before, limit }));
+  } catch (error) {
+    console.error('Fetch notifications error:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+});
+
+// Body { ids: [...] } marks those read; without ids everything is marked read
+app.post('/api/notifications/read', authenticateToken, async (req, res) => {
+  const { ids } = req.body;
+
+  if (ids !== undefined && (!Array.isArray(ids) || !ids.every(Number.isInteger))) {
+    return res.status(400).json({ error: 'ids must be a list of notification IDs' });
+  }
+
+  try {
+    const updated = await markRead(pool, req.user.id, ids === undefined ? null : ids);
+    res.json({ message: 'Notifications marked as read', updated });
+  } catch (error) {
+    console.error('Mark notifications read error:', error);
+    res.status(500).json({ error: 'Failed to update notifications' });
+  }
+});
+
+app.get('/api/notifications/preferences', authenticateToken, async (req, res) => {
+  try {
+    res.json(await getPreferences(pool, req.user.id));
+  } catch (error) {
+    console.error('Fetch notification preferences error:', error);
+    res.status(500).json({ error: 'Failed to fetch notification preferences' });
+  }
+});
+
+// Body maps types to channels, e.g. { "reminder": { "email": false } }
+app.put('/api/notifications/preferences', authenticateToken, async (req, res) => {
+  try {
+    const preferenceError = await setPreferences(pool, req.user.id, req.body);
+    if (preferenceError) {
+      return res.status(400).json({ error: preferenceError });
+    }
+    res.json(await getPreferences(pool, req.user.id));
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ error: 'Failed to update notification preferences' });
+  }
+});
+
+// Webhooks
+// Organizers receive the same events as the real-time stream at their own
+// URLs (see webhooks.js). Only organizers manage webhooks, and only their own.
+
+const PHASE_WEBHOOK_EVENTS = {
+  upcoming: 'hackathon.published',
+  active: 'hackathon.started',
+  ended: 'hackathon.ended',
+  funded: 'hackathon.funded',
+  winners_set: 'hackathon.winners_set',
+  distributed: 'prizes.distributed',
+  cancelled: 'hackathon.cancelled',
+};
+
+// Queues a webhook event; failures are logged so they never fail the request
+async function emitEvent(hackathonId, type, data) {
+  try {
+    await emitWebhookEvent(pool, hackathonId, type, data);
+  } catch (error) {
+    console.error(`Webhook event ${type} error:`, error);
+  }
+}
+
+onPhaseChange(async ({ hackathonId, from, to }) => {
+  const type = PHASE_WEBHOOK_EVENTS[to];
+  if (!type) return;
+
+  try {
+    const result = await pool.query(
+      'SELECT title, start_date, end_date, funded_amount, prize_token_symbol, winners FROM hackathons WHERE id = $1',
+      [hackathonId]
+    );
+    await emitEvent(hackathonId, type, { from, to, ...result.rows[0] });
+  } catch (error) {
+    console.error('Phase webhook error:', error);
+  }
+});
+
+async function getOwnWebhook(webhookId, organizerId) {
+  const result = await pool.query('SELECT * FROM webhooks WHERE id = $1 AND organizer_id = $2', [webhookId, organizerId]);
+  return result.rows[0];
+}
+
+// The secret is only shown when a webhook is created or its secret rotated
+function webhookView(webhook) {
+  const { secret, ...view } = webhook;
+  return view;
+}
+
+app.get('/api/webhooks/events', authenticateToken, (req, res) => {
+  res.json(WEBHOOK_EVENT_TYPES);
+});
+
+// Body { url, events, hackathon_id?, description? }; without hackathon_id the
+// webhook covers all of the organizer's hackathons
+app.post('/api/webhooks', authenticateToken, async (req, res) => {
+  const { url, events, hackathon_id: hackathonId, description } = req.body;
+
+  if (req.user.role !== 'organizer') {
+    return res.status(403).json({ error: 'Only organizers can create webhooks' });
+  }
+
+  const webhookError = validateWebhook({ url, events });
+  if (webhookError) {
+    return res.status(400).json({ error: webhookError });
+  }
+
+  try {
+    if (hackathonId !== undefined && hackathonId !== null) {
+      const hackathonResult = await pool.query('SELECT organizer_id FROM hackathons WHERE id = $1', [hackathonId]);
+      if (!hackathonResult.rows[0]) {
+        return res.status(404).json({ error: 'Hackathon not found' });
+      }
+      if (hackathonResult.rows[0].organizer_id !== req.user.id) {
+        return res.status(403).json({ error: 'Only the hackathon organizer can add webhooks to it' });
+      }
+    }
+
+    const result = await pool.query(
+      'INSERT INTO webhooks (organizer_id, hackathon_id, url, secret, events, description) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
+      [req.user.id, hackathonId || null, url, generateSecret(), [...new Set(events)], description || null]
+    );
+    res.status(201).json({ message: 'Webhook created. Store the secret now; it is not shown again', webhook: result.rows[0] });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+app.get('/api/webhooks', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'organizer') {
+    return res.status(403).json({ error: 'Only organizers can view webhooks' });
+  }
+
+  try {
+    const result = await pool.query(`
+      SELECT w.*,
+             (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status = 'failed') AS failed_count,
+             (SELECT MAX(d.delivered_at) FROM webhook_deliveries d WHERE d.webhook_id = w.id) AS last_delivered_at
+      FROM webhooks w
+      WHERE w.organizer_id = $1
+      ORDER BY w.id
+    `, [req.user.id]);
+    res.json(result.rows.map(webhookView));
+  } catch (error) {
+    console.error('Fetch webhooks error:', error);
+    res.status(500).json({ error: 'Failed to fetch webhooks' });
+  }
+});
+
+// Changes url, events, active or description
+app.patch('/api/webhooks/:webhookId', authenticateToken, async (req, res) => {
+  const { webhookId } = req.params;
+
+  if (req.user.role !== 'organizer') {
+    return res.status(403).json({ error: 'Only organizers can edit webhooks' });
+  }
+
+  if (isNaN(webhookId)) {
+    return res.status(400).json({ error: 'Invalid webhook ID' });
+  }
+
+  if (req.body.active !== undefined && typeof req.body.active !== 'boolean') {
+    return res.status(400).json({ error: 'active must be true or false' });
+  }
+
+  try {
+    const webhook = await getOwnWebhook(webhookId, req.user.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const url = req.body.url !== undefined ? req.body.url : webhook.url;
+    const events = req.body.events !== undefined ? [...new Set(req.body.events)] : webhook.events;
+    const webhookError = validateWebhook({ url, events });
+    if (webhookError) {
+      return res.status(400).json({ error: webhookError });
+    }
+
+    const result = await pool.query(
+      'UPDATE webhooks SET url = $1, events = $2, active = $3, description = $4, updated_at = CURRENT_TIMESTAMP WHERE id = $5 RETURNING *',
+      [url, events, req.body.active !== undefined ? req.body.active : webhook.active,
+        req.body.description !== undefined ? req.body.description : webhook.description, webhookId]
+    );
+    res.json({ message: 'Webhook updated successfully', webhook: webhookView(result.rows[0]) });
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+app.post('/api/webhooks/:webhookId/rotate-secret', authenticateToken, async (req, res) => {
+  const { webhookId } = req.params;
+
+  if (req.user.role !== 'organizer') {
+    return res.status(403).json({ error: 'Only organizers can edit webhooks' });
+  }
+
+  if (isNaN(webhookId)) {
+    return res.status(400).json({ error: 'Invalid webhook ID' });
+  }
+
+  try {
+    const result = await pool.query(
+      'UPDATE webhooks SET secret = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 AND organizer_id = $3 RETURNING *',
+      [generateSecret(), webhookId, req.user.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json({ message: 'Secret rotated. Deliveries from now on are signed with the new secret', webhook: result.rows[0] });
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(500).json({ error: 'Failed to rotate webhook secret' });
+  }
+});
+
+app.delete('/api/webhooks/:webhookId', authenticateToken, async (req, res) => {
+  const { webhookId } = req.params;
+
+  if (req.user.role !== 'organizer') {
+    return res.status(403).json({ error: 'Only organizers can delete webhooks' });
+  }
 
-    if (!hackathon) {
-      return res.status(404).json({ error: 'Hackathon not found' });
-    }
+  if (isNaN(webhookId)) {
+    return res.status(400).json({ error: 'Invalid webhook ID' });
+  }
 
-    if (req.user.role === 'organizer' && hackathon.organizer_id !== req.user.id) {
-      return res.status(403).json({ error: 'Only the hackathon organizer can view submissions' });
+  try {
+    const result = await pool.query('DELETE FROM webhooks WHERE id = $1 AND organizer_id = $2', [webhookId, req.user.id]);
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
     }
-
-    const submissionsResult = await pool.query(`
-      SELECT s.*, u.email
-      FROM submissions s
-      JOIN users u ON s.user_id = u.id
-      WHERE s.hackathon_id = $1
-    `, [id]);
-    res.json(submissionsResult.rows);
+    res.json({ message: 'Webhook deleted successfully' });
   } catch (error) {
-    console.error('Fetch submissions error:', error);
-    res.status(500).json({ error: 'Failed to fetch submissions' });
+    console.error('Delete webhook error:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
   }
 });
 
-app.get('/api/organizer/hackathons', authenticateToken, async (req, res) => {
+// Delivery log, newest first; ?status= (pending, delivered, failed) and ?before=<id> to page
+app.get('/api/webhooks/:webhookId/deliveries', authenticateToken, async (req, res) => {
+  const { webhookId } = req.params;
+  const { status } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+  const before = req.query.before !== undefined ? parseInt(req.query.before) : null;
+
   if (req.user.role !== 'organizer') {
-    return res.status(403).json({ error: 'Only organizers can view their hackathons' });
+    return res.status(403).json({ error: 'Only organizers can view webhook deliveries' });
+  }
+
+  if (isNaN(webhookId) || (before !== null && isNaN(before))) {
+    return res.status(400).json({ error: 'Invalid ID' });
   }
 
   try {
+    if (!(await getOwnWebhook(webhookId, req.user.id))) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const params = [webhookId];
+    const conditions = ['webhook_id = $1'];
+    if (status) {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+    if (before !== null) {
+      params.push(before);
+      conditions.push(`id < $${params.length}`);
+    }
+    params.push(limit);
+
     const result = await pool.query(`
-      SELECT h.*,
-             (SELECT COUNT(*) FROM hackathon_participants p WHERE p.hackathon_id = h.id AND p.withdrawn = FALSE) as participant_count,
-             (SELECT COUNT(*) FROM submissions s WHERE s.hackathon_id = h.id) as submission_count
-      FROM hackathons h
-      WHERE h.organizer_id = $1
-    `, [req.user.id]);
+      SELECT id, event_id, event_type, payload, status, attempts, response_status, response_body, error,
+             duration_ms, redelivery_of, created_at, last_attempt_at, next_attempt_at, delivered_at
+      FROM webhook_deliveries
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY id DESC
+      LIMIT $${params.length}
+    `, params);
     res.json(result.rows);
   } catch (error) {
-    console.error('Fetch organizer hackathons error:', error);
-    res.status(500).json({ error: 'Failed to fetch hackathons' });
+    console.error('Fetch webhook deliveries error:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
   }
 });
 
-app.get('/api/organizer/stats', authenticateToken, async (req, res) => {
+// Sends a logged delivery again as a new delivery with the same event id
+app.post('/api/webhooks/:webhookId/deliveries/:deliveryId/redeliver', authenticateToken, async (req, res) => {
+  const { webhookId, deliveryId } = req.params;
+
   if (req.user.role !== 'organizer') {
-    console.log('User is not an organizer:', req.user);
-    return res.status(403).json({ error: 'Only organizers can view stats' });
+    return res.status(403).json({ error: 'Only organizers can redeliver webhooks' });
   }
 
-  try {
-    const stats = { hackathons: 0, participants: 0, submissions: 0 };
+  if (isNaN(webhookId) || isNaN(deliveryId)) {
+    return res.status(400).json({ error: 'Invalid ID' });
+  }
 
-    const hackathonsResult = await pool.query(
-      'SELECT COUNT(*) as count FROM hackathons WHERE organizer_id = $1',
-      [req.user.id]
-    );
-    stats.hackathons = parseInt(hackathonsResult.rows[0].count);
-    console.log('Hackathon count:', stats.hackathons);
+  try {
+    const webhook = await getOwnWebhook(webhookId, req.user.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
 
-    const participantsResult = await pool.query(
-      `
-      SELECT COUNT(*) as count
-      FROM hackathon_participants p
-      JOIN hackathons h ON p.hackathon_id = h.id
-      WHERE h.organizer_id = $1 AND p.withdrawn = FALSE
-      `,
-      [req.user.id]
-    );
-    stats.participants = parseInt(participantsResult.rows[0].count);
-    console.log('Participant count:', stats.participants);
+    if (!webhook.active) {
+      return res.status(400).json({ error: 'Enable the webhook before redelivering' });
+    }
 
-    const submissionsResult = await pool.query(
-      `
-      SELECT COUNT(*) as count
-      FROM submissions s
-      JOIN hackathons h ON s.hackathon_id = h.id
-      WHERE h.organizer_id = $1
-      `,
-      [req.user.id]
-    );
-    stats.submissions = parseInt(submissionsResult.rows[0].count);
-    console.log('Submission count:', stats.submissions);
+    const deliveryResult = await pool.query('SELECT id FROM webhook_deliveries WHERE id = $1 AND webhook_id = $2', [deliveryId, webhookId]);
+    if (deliveryResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
 
-    res.json(stats);
+    const delivery = await redeliver(pool, deliveryId);
+    res.status(201).json({ message: 'Delivery queued', delivery });
   } catch (error) {
-    console.error('Fetch stats error:', error);
-    res.status(500).json({ error: 'Failed to fetch stats' });
+    console.error('Redeliver webhook error:', error);
+    res.status(500).json({ error: 'Failed to redeliver webhook' });
   }
 });
 
-app.get('/api/user/hackathons', authenticateToken, async (req, res) => {
-  if (req.user.role !== 'user') {
-    return res.status(403).json({ error: 'Only users can view their hackathons' });
+// Admin
+// Every route here writes what it did to admin_audit_log.
+
+async function logAdminAction(adminId, action, targetType, targetId, details) {
+  await pool.query(
+    'INSERT INTO admin_audit_log (admin_id, action, target_type, target_id, details) VALUES ($1, $2, $3, $4, $5)',
+    [adminId, action, targetType, targetId, JSON.stringify(details || {})]
+  );
+}
+
+app.get('/api/admin/users', authenticateToken, requireAdmin, async (req, res) => {
+  const { search, role, suspended } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const offset = parseInt(req.query.offset) || 0;
+
+  const conditions = [];
+  const params = [];
+  if (search) {
+    params.push(`%${search}%`);
+    conditions.push(`(u.email ILIKE $${params.length} OR u.wallet_address ILIKE $${params.length})`);
+  }
+  if (role) {
+    params.push(role);
+    conditions.push(`u.role = $${params.length}`);
+  }
+  if (suspended !== undefined) {
+    conditions.push(suspended === 'true' ? 'u.suspended_at IS NOT NULL' : 'u.suspended_at IS NULL');
   }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
 
   try {
+    const countResult = await pool.query(`SELECT COUNT(*) FROM users u ${where}`, params);
     const result = await pool.query(`
-      SELECT h.*,
-             p.withdrawn
-      FROM hackathons h
-      JOIN hackathon_participants p ON h.id = p.hackathon_id
-      WHERE p.user_id = $1
-    `, [req.user.id]);
-    res.json(result.rows);
+      SELECT u.id, u.email, u.email_verified, u.role, u.wallet_address, u.wallet_verified,
+             u.suspended_at, u.suspended_reason
+      FROM users u
+      ${where}
+      ORDER BY u.id
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+    res.json({ total: parseInt(countResult.rows[0].count), users: result.rows });
   } catch (error) {
-    console.error('Fetch user hackathons error:', error);
-    res.status(500).json({ error: 'Failed to fetch hackathons' });
+    console.error('Admin list users error:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
   }
 });
 
-app.get('/api/user/hackathons/:id/submission', authenticateToken, async (req, res) => {
-  const { id } = req.params;
+app.get('/api/admin/users/:userId', authenticateToken, requireAdmin, async (req, res) => {
+  const { userId } = req.params;
 
-  if (req.user.role !== 'user') {
-    return res.status(403).json({ error: 'Only users can view their submissions' });
+  if (isNaN(userId)) {
+    return res.status(400).json({ error: 'Invalid user ID' });
   }
 
   try {
-    const submissionResult = await pool.query(
-      'SELECT * FROM submissions WHERE user_id = $1 AND hackathon_id = $2',
-      [req.user.id, id]
-    );
+    const result = await pool.query(`
+      SELECT u.id, u.email, u.email_verified, u.role, u.wallet_address, u.wallet_verified,
+             u.suspended_at, u.suspended_reason,
+             (SELECT COUNT(*) FROM hackathons h WHERE h.organizer_id = u.id) AS organized_count,
+             (SELECT COUNT(*) FROM hackathon_participants p WHERE p.user_id = u.id AND p.withdrawn = FALSE AND p.status = 'approved') AS joined_count,
+             (SELECT COUNT(*) FROM submissions s WHERE s.user_id = u.id) AS submission_count
+      FROM users u
+      WHERE u.id = $1
+    `, [userId]);
 
-    if (submissionResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Submission not found' });
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
     }
-    res.json(submissionResult.rows[0]);
+    res.json(result.rows[0]);
   } catch (error) {
-    console.error('Fetch user submission error:', error);
-    res.status(500).json({ error: 'Failed to fetch submission' });
+    console.error('Admin fetch user error:', error);
+    res.status(500).json({ error: 'Failed to fetch user' });
   }
 });
 
-// ... (rest of server.js remains unchanged)
-
-// End Hackathon
-app.post('/api/hackathons/:id/end', authenticateToken, async (req, res) => {
-  console.log('End hackathon request:', { params: req.params, user: req.user });
-  const { id } = req.params;
+app.post('/api/admin/users/:userId/suspend', authenticateToken, requireAdmin, async (req, res) => {
+  const { userId } = req.params;
+  const { reason } = req.body;
 
-  if (isNaN(id)) {
-    return res.status(400).json({ error: 'Invalid hackathon ID' });
+  if (isNaN(userId)) {
+    return res.status(400).json({ error: 'Invalid user ID' });
   }
 
-  if (req.user.role !== 'organizer') {
-    return res.status(403).json({ error: 'Only organizers can end hackathons' });
+  if (parseInt(userId) === req.user.id) {
+    return res.status(400).json({ error: 'You cannot suspend yourself' });
   }
 
   try {
-    const hackathonResult = await pool.query('SELECT * FROM hackathons WHERE id = $1', [id]);
-    const hackathon = hackathonResult.rows[0];
-
-    if (!hackathon) {
-      return res.status(404).json({ error: 'Hackathon not found' });
+    const result = await pool.query(
+      'UPDATE users SET suspended_at = CURRENT_TIMESTAMP, suspended_reason = $1 WHERE id = $2 AND suspended_at IS NULL RETURNING id',
+      [reason || null, userId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(400).json({ error: 'User not found or already suspended' });
     }
 
-    if (hackathon.organizer_id !== req.user.id) {
-      return res.status(403).json({ error: 'Only the hackathon organizer can end it' });
-    }
+    // Also end their sessions so refresh tokens stop working
+    await revokeAllSessions(pool, userId, 'suspended');
+    await logAdminAction(req.user.id, 'suspend_user', 'user', userId, { reason: reason || null });
+    res.json({ message: 'User suspended successfully' });
+  } catch (error) {
+    console.error('Admin suspend user error:', error);
+    res.status(500).json({ error: 'Failed to suspend user' });
+  }
+});
 
-    if (hackathon.manually_ended) {
-      return res.status(400).json({ error: 'Hackathon has already been ended' });
-    }
+app.post('/api/admin/users/:userId/unsuspend', authenticateToken, requireAdmin, async (req, res) => {
+  const { userId } = req.params;
 
-    const endTx = await contract.endHackathon(id);
-    await endTx.wait();
-    console.log('Smart contract endHackathon called successfully');
+  if (isNaN(userId)) {
+    return res.status(400).json({ error: 'Invalid user ID' });
+  }
 
-    await pool.query(
-      'UPDATE hackathons SET manually_ended = TRUE, manually_ended_at = $1, status = $2 WHERE id = $3',
-      [new Date().toISOString(), 'ended', id]
+  try {
+    const result = await pool.query(
+      'UPDATE users SET suspended_at = NULL, suspended_reason = NULL WHERE id = $1 AND suspended_at IS NOT NULL RETURNING id',
+      [userId]
     );
+    if (result.rows.length === 0) {
+      return res.status(400).json({ error: 'User not found or not suspended' });
+    }
 
-    res.json({ message: 'Hackathon ended successfully', transactionHash: endTx.hash });
+    await logAdminAction(req.user.id, 'unsuspend_user', 'user', userId);
+    res.json({ message: 'User unsuspended successfully' });
   } catch (error) {
-    console.error('End hackathon error:', error);
-    res.status(500).json({ error: 'Failed to end hackathon: ' + error.message });
+    console.error('Admin unsuspend user error:', error);
+    res.status(500).json({ error: 'Failed to unsuspend user' });
   }
 });
 
-// Fund Hackathon
-app.post('/api/hackathons/:id/fund', authenticateToken, async (req, res) => {
-  const { id } = req.params;
-  const { amount } = req.body;
+app.put('/api/admin/users/:userId/role', authenticateToken, requireAdmin, async (req, res) => {
+  const { userId } = req.params;
+  const { role } = req.body;
 
-  if (req.user.role !== 'organizer') {
-    return res.status(403).json({ error: 'Only organizers can fund hackathons' });
+  if (isNaN(userId)) {
+    return res.status(400).json({ error: 'Invalid user ID' });
   }
 
-  try {
-    const hackathonResult = await pool.query('SELECT * FROM hackathons WHERE id = $1', [id]);
-    const hackathon = hackathonResult.rows[0];
+  if (!['user', 'organizer', 'judge', 'admin'].includes(role)) {
+    return res.status(400).json({ error: 'Invalid role' });
+  }
 
-    if (!hackathon) {
-      return res.status(404).json({ error: 'Hackathon not found' });
-    }
+  if (parseInt(userId) === req.user.id) {
+    return res.status(400).json({ error: 'You cannot change your own role' });
+  }
 
-    if (hackathon.organizer_id !== req.user.id) {
-      return res.status(403).json({ error: 'Only the hackathon organizer can fund it' });
+  try {
+    const current = await pool.query('SELECT role FROM users WHERE id = $1', [userId]);
+    if (current.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    if (!hackathon.manually_ended) {
-      return res.status(400).json({ error: 'Hackathon must be ended before funding' });
-    }
+    await pool.query('UPDATE users SET role = $1 WHERE id = $2', [role, userId]);
+    await logAdminAction(req.user.id, 'change_role', 'user', userId, { from: current.rows[0].role, to: role });
+    res.json({ message: 'Role updated successfully' });
+  } catch (error) {
+    console.error('Admin change role error:', error);
+    res.status(500).json({ error: 'Failed to change role' });
+  }
+});
 
-    if (hackathon.funded_amount > 0) {
-      return res.status(400).json({ error: 'Hackathon is already funded' });
-    }
+// Hands a hackathon to another organizer. The on-chain organizer wallet is not
+// changed; the contract only lets the current one act.
+app.put('/api/admin/hackathons/:id/organizer', authenticateToken, requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  const { organizer_id } = req.body;
 
-    const amountWei = ethers.parseEther(amount.toString());
-    const tx = await contract.fundHackathon(id, { value: amountWei });
-    await tx.wait();
+  if (isNaN(id) || isNaN(organizer_id)) {
+    return res.status(400).json({ error: 'Invalid hackathon or organizer ID' });
+  }
 
-    await pool.query(
-      'UPDATE hackathons SET funded_amount = $1, funded_at = $2 WHERE id = $3',
-      [parseFloat(amount), new Date().toISOString(), id]
-    );
+  try {
+    const hackathonResult = await pool.query('SELECT organizer_id FROM hackathons WHERE id = $1', [id]);
+    if (hackathonResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Hackathon not found' });
+    }
+
+    const organizerResult = await pool.query('SELECT role FROM users WHERE id = $1', [organizer_id]);
+    if (organizerResult.rows.length === 0 || organizerResult.rows[0].role !== 'organizer') {
+      return res.status(400).json({ error: 'New organizer must be a user with the organizer role' });
+    }
 
-    res.json({ message: 'Hackathon funded successfully', transactionHash: tx.hash });
+    await pool.query('UPDATE hackathons SET organizer_id = $1 WHERE id = $2', [organizer_id, id]);
+    await logAdminAction(req.user.id, 'reassign_organizer', 'hackathon', id, {
+      from: hackathonResult.rows[0].organizer_id,
+      to: parseInt(organizer_id),
+    });
+    res.json({ message: 'Organizer reassigned successfully' });
   } catch (error) {
-    console.error('Fund hackathon error:', error);
-    res.status(500).json({ error: 'Failed to fund hackathon: ' + error.message });
+    console.error('Admin reassign organizer error:', error);
+    res.status(500).json({ error: 'Failed to reassign organizer' });
   }
 });
 
-// Set Winners
-app.post('/api/hackathons/:id/set-winners', authenticateToken, async (req, res) => {
-  console.log('Set winners request:', { params: req.params, body: req.body, user: req.user });
+// Ends the hackathon in the database only; the platform key is not the
+// hackathon's on-chain organizer, so the contract state is left to them. The
+// organizer still ends it on-chain through POST /api/hackathons/:id/end, which
+// the payout routes wait for.
+app.post('/api/admin/hackathons/:id/end', authenticateToken, requireAdmin, async (req, res) => {
   const { id } = req.params;
-  const { winners } = req.body;
+  const { reason } = req.body;
 
   if (isNaN(id)) {
     return res.status(400).json({ error: 'Invalid hackathon ID' });
   }
 
-  if (req.user.role !== 'organizer') {
-    return res.status(403).json({ error: 'Only organizers can set winners' });
-  }
-
-  if (!winners || !Array.isArray(winners) || winners.length === 0) {
-    return res.status(400).json({ error: 'Winners array is required' });
-  }
-
   try {
-    const hackathonResult = await pool.query('SELECT * FROM hackathons WHERE id = $1', [id]);
-    const hackathon = hackathonResult.rows[0];
-
-    if (!hackathon) {
-      return res.status(404).json({ error: 'Hackathon not found' });
-    }
-
-    if (hackathon.organizer_id !== req.user.id) {
-      return res.status(403).json({ error: 'Only the hackathon organizer can set winners' });
+    const result = await pool.query(
+      "UPDATE hackathons SET manually_ended = TRUE, manually_ended_at = $1 WHERE id = $2 AND manually_ended = FALSE AND cancelled_at IS NULL RETURNING id",
+      [new Date().toISOString(), id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(400).json({ error: 'Hackathon not found, cancelled or already ended' });
     }
 
-    if (!hackathon.manually_ended) {
-      return res.status(400).json({ error: 'Hackathon must be ended before setting winners' });
-    }
+    await syncPhase(pool, id, { actorId: req.user.id, reason: 'force-ended by admin' });
 
-    if (hackathon.funded_amount <= 0) {
-      return res.status(400).json({ error: 'Hackathon must be funded before setting winners' });
-    }
+    await logAdminAction(req.user.id, 'force_end_hackathon', 'hackathon', id, { reason: reason || null });
+    res.json({ message: 'Hackathon ended successfully' });
+  } catch (error) {
+    console.error('Admin end hackathon error:', error);
+    res.status(500).json({ error: 'Failed to end hackathon' });
+  }
+});
 
-    const winnerAddresses = winners.map(w => {
-      if (!ethers.isAddress(w)) throw new Error(`Invalid Ethereum address: ${w}`);
-      return w;
-    });
+app.post('/api/admin/hackathons/:id/hide', authenticateToken, requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body;
 
-    const setWinnersTx = await contract.setWinners(id, winnerAddresses);
-    await setWinnersTx.wait();
-    console.log('Smart contract setWinners called successfully');
+  if (isNaN(id)) {
+    return res.status(400).json({ error: 'Invalid hackathon ID' });
+  }
 
-    const winnersData = winnerAddresses.map(address => ({ public_key: address }));
-    await pool.query(
-      'UPDATE hackathons SET winners = $1 WHERE id = $2',
-      [JSON.stringify(winnersData), id]
+  try {
+    const result = await pool.query(
+      'UPDATE hackathons SET hidden = TRUE, hidden_at = CURRENT_TIMESTAMP WHERE id = $1 AND hidden = FALSE RETURNING id',
+      [id]
     );
+    if (result.rows.length === 0) {
+      return res.status(400).json({ error: 'Hackathon not found or already hidden' });
+    }
 
-    res.json({ message: 'Winners set successfully', transactionHash: setWinnersTx.hash });
+    await logAdminAction(req.user.id, 'hide_hackathon', 'hackathon', id, { reason: reason || null });
+    res.json({ message: 'Hackathon hidden successfully' });
   } catch (error) {
-    console.error('Set winners error:', error);
-    res.status(500).json({ error: 'Failed to set winners: ' + error.message });
+    console.error('Admin hide hackathon error:', error);
+    res.status(500).json({ error: 'Failed to hide hackathon' });
   }
 });
 
-// Distribute Prizes
-app.post('/api/hackathons/:id/distribute', authenticateToken, async (req, res) => {
+app.post('/api/admin/hackathons/:id/unhide', authenticateToken, requireAdmin, async (req, res) => {
   const { id } = req.params;
 
-  if (req.user.role !== 'organizer') {
-    return res.status(403).json({ error: 'Only organizers can distribute prizes' });
+  if (isNaN(id)) {
+    return res.status(400).json({ error: 'Invalid hackathon ID' });
   }
 
   try {
-    const hackathonResult = await pool.query('SELECT * FROM hackathons WHERE id = $1', [id]);
-    const hackathon = hackathonResult.rows[0];
-
-    if (!hackathon) {
-      return res.status(404).json({ error: 'Hackathon not found' });
+    const result = await pool.query(
+      'UPDATE hackathons SET hidden = FALSE, hidden_at = NULL WHERE id = $1 AND hidden = TRUE RETURNING id',
+      [id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(400).json({ error: 'Hackathon not found or not hidden' });
     }
 
-    if (hackathon.organizer_id !== req.user.id) {
-      return res.status(403).json({ error: 'Only the hackathon organizer can distribute prizes' });
-    }
+    await logAdminAction(req.user.id, 'unhide_hackathon', 'hackathon', id);
+    res.json({ message: 'Hackathon unhidden successfully' });
+  } catch (error) {
+    console.error('Admin unhide hackathon error:', error);
+    res.status(500).json({ error: 'Failed to unhide hackathon' });
+  }
+});
 
-    if (!hackathon.manually_ended) {
-      return res.status(400).json({ error: 'Hackathon must be ended before distributing prizes' });
-    }
+// Deletes a submission along with its judge assignments, scores and
+// attachments. The audit entry keeps a copy of what was removed.
+app.delete('/api/admin/submissions/:submissionId', authenticateToken, requireAdmin, async (req, res) => {
+  const { submissionId } = req.params;
+  const { reason } = req.body || {};
 
-    if (!hackathon.funded_amount || hackathon.funded_amount <= 0) {
-      return res.status(400).json({ error: 'Hackathon must be funded before distributing prizes' });
-    }
+  if (isNaN(submissionId)) {
+    return res.status(400).json({ error: 'Invalid submission ID' });
+  }
 
-    if (!hackathon.winners || !Array.isArray((hackathon.winners)) || (hackathon.winners).length === 0) {
-      return res.status(400).json({ error: 'Winners must be selected before distributing prizes' });
+  try {
+    // The attachment rows go with the submission; their files are removed afterwards
+    const attachments = await pool.query('SELECT storage_key FROM submission_attachments WHERE submission_id = $1', [submissionId]);
+    const result = await pool.query('DELETE FROM submissions WHERE id = $1 RETURNING *', [submissionId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Submission not found' });
     }
+    await removeStoredFiles(attachments.rows.map(row => row.storage_key));
 
-    console.log(`Calling distributePrizes for hackathon ${id}`);
-    const tx = await contract.distributePrizes(id);
-    console.log('Transaction sent:', tx.hash);
-    const receipt = await tx.wait();
-    console.log('Prize distribution transaction receipt:', receipt);
-
-    await pool.query(
-      'UPDATE hackathons SET prizes_distributed = TRUE, prizes_distributed_at = $1 WHERE id = $2',
-      [new Date().toISOString(), id]
-    );
-
-    res.json({ 
-      message: 'Prizes distributed successfully', 
-      transactionHash: tx.hash 
+    await logAdminAction(req.user.id, 'remove_submission', 'submission', submissionId, {
+      reason: reason || null,
+      submission: result.rows[0],
     });
+    const removed = result.rows[0];
+    publish(removed.hackathon_id, 'submission', { change: 'removed', submission_id: removed.id, team_id: removed.team_id }, { userIds: [removed.user_id] });
+    await emitEvent(removed.hackathon_id, 'submission.removed', { submission_id: removed.id, team_id: removed.team_id, user_id: removed.user_id, reason: reason || null });
+    res.json({ message: 'Submission removed successfully' });
   } catch (error) {
-    console.error('Distribute prizes error:', error);
-    res.status(500).json({ error: 'Failed to distribute prizes: ' + error.message });
+    console.error('Admin remove submission error:', error);
+    res.status(500).json({ error: 'Failed to remove submission' });
   }
 });
 
+app.get('/api/admin/audit-log', authenticateToken, requireAdmin, async (req, res) => {
+  const { admin_id, action, target_type, target_id } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+  const offset = parseInt(req.query.offset) || 0;
+
+  const conditions = [];
+  const params = [];
+  for (const [column, value] of [['l.admin_id', admin_id], ['l.action', action], ['l.target_type', target_type], ['l.target_id', target_id]]) {
+    if (value !== undefined) {
+      params.push(value);
+      conditions.push(`${column} = $${params.length}`);
+    }
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
 
+  try {
+    const result = await pool.query(`
+      SELECT l.*, u.email AS admin_email
+      FROM admin_audit_log l
+      LEFT JOIN users u ON l.admin_id = u.id
+      ${where}
+      ORDER BY l.created_at DESC, l.id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Admin audit log error:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
 
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  startWorker(pool, provider, signer);
+  startPhaseSweeper(pool);
+  startReminderScheduler(pool);
+  startWebhookWorker(pool);
+  if (process.env.INDEXER_ENABLED !== 'false') {
+    startIndexer(pool, provider, process.env.CONTRACT_ADDRESS);
+  }
 });
\ No newline at end of file
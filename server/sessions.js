@@ -0,0 +1,153 @@
+// Login sessions.
+// Every login opens a session row. The client gets a short-lived access JWT
+// that names the session (`sid`) and an opaque refresh token, of which only a
+// SHA-256 hash is stored. Refreshing rotates the token: the old one is marked
+// used and a new one issued. Presenting a used token again means it leaked, so
+// the whole session is revoked. authenticateToken rejects access tokens whose
+// session has been revoked, which is what makes logout immediate.
+//
+// Configuration (all optional):
+//   ACCESS_TOKEN_TTL         lifetime of access JWTs, in jsonwebtoken format (default 1h)
+//   REFRESH_TOKEN_TTL_DAYS   how long a session can go without refreshing (default 30)
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const config = {
+  accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '1h',
+  refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30'),
+};
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + config.refreshTokenTtlDays * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign({ id: user.id, email: user.email, role: user.role, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: config.accessTokenTtl,
+  });
+}
+
+async function insertRefreshToken(client, sessionId) {
+  const refreshToken = crypto.randomBytes(32).toString('hex');
+  await client.query(
+    'INSERT INTO refresh_tokens (session_id, token_hash, expires_at) VALUES ($1, $2, $3)',
+    [sessionId, hashToken(refreshToken), refreshExpiry()]
+  );
+  return refreshToken;
+}
+
+// Opens a session for a user who just authenticated; returns both tokens
+async function createSession(pool, user, req) {
+  const result = await pool.query(
+    'INSERT INTO sessions (user_id, user_agent, ip_address, expires_at) VALUES ($1, $2, $3, $4) RETURNING id',
+    [user.id, req.headers['user-agent'] || null, req.ip || null, refreshExpiry()]
+  );
+  const sessionId = result.rows[0].id;
+  const refreshToken = await insertRefreshToken(pool, sessionId);
+  return { token: signAccessToken(user, sessionId), refresh_token: refreshToken };
+}
+
+// Swaps a refresh token for a new pair. Returns { token, refresh_token } or { error }.
+async function rotateRefreshToken(pool, refreshToken) {
+  if (typeof refreshToken !== 'string' || refreshToken === '') {
+    return { error: 'Refresh token is required' };
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(`
+      SELECT rt.id, rt.used_at, rt.expires_at, s.id AS session_id, s.revoked_at, s.user_id
+      FROM refresh_tokens rt
+      JOIN sessions s ON rt.session_id = s.id
+      WHERE rt.token_hash = $1
+      FOR UPDATE OF rt, s
+    `, [hashToken(refreshToken)]);
+    const stored = result.rows[0];
+
+    if (!stored || stored.revoked_at) {
+      await client.query('ROLLBACK');
+      return { error: 'Invalid refresh token' };
+    }
+
+    if (stored.used_at) {
+      await client.query(
+        "UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'refresh_token_reuse' WHERE id = $1",
+        [stored.session_id]
+      );
+      await client.query('COMMIT');
+      console.warn(`Refresh token reuse detected, revoked session ${stored.session_id}`);
+      return { error: 'Refresh token has already been used; the session has been revoked' };
+    }
+
+    if (new Date(stored.expires_at) < new Date()) {
+      await client.query('ROLLBACK');
+      return { error: 'Refresh token has expired' };
+    }
+
+    const userResult = await client.query('SELECT id, email, role FROM users WHERE id = $1', [stored.user_id]);
+    await client.query('UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = $1', [stored.id]);
+    const nextToken = await insertRefreshToken(client, stored.session_id);
+    await client.query(
+      'UPDATE sessions SET last_used_at = CURRENT_TIMESTAMP, expires_at = $1 WHERE id = $2',
+      [refreshExpiry(), stored.session_id]
+    );
+    await client.query('COMMIT');
+
+    return { token: signAccessToken(userResult.rows[0], stored.session_id), refresh_token: nextToken };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function isSessionActive(pool, sessionId, userId) {
+  const result = await pool.query(
+    'SELECT 1 FROM sessions WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP',
+    [sessionId, userId]
+  );
+  return result.rows.length > 0;
+}
+
+// Returns the number of sessions revoked (0 if it was not the user's or already revoked)
+async function revokeSession(pool, sessionId, userId, reason) {
+  const result = await pool.query(
+    'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $1 WHERE id = $2 AND user_id = $3 AND revoked_at IS NULL',
+    [reason, sessionId, userId]
+  );
+  return result.rowCount;
+}
+
+async function revokeAllSessions(pool, userId, reason) {
+  const result = await pool.query(
+    'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $1 WHERE user_id = $2 AND revoked_at IS NULL',
+    [reason, userId]
+  );
+  return result.rowCount;
+}
+
+async function listSessions(pool, userId) {
+  const result = await pool.query(`
+    SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+    FROM sessions
+    WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+    ORDER BY COALESCE(last_used_at, created_at) DESC
+  `, [userId]);
+  return result.rows;
+}
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  isSessionActive,
+  revokeSession,
+  revokeAllSessions,
+  listSessions,
+};
@@ -0,0 +1,100 @@
+// Sign-In with Ethereum (EIP-4361).
+// The server issues a single-use nonce together with the exact message the
+// wallet should sign and keeps a copy of it. Verification consumes the nonce,
+// checks the signed text is the one we issued and recovers the signer with
+// ethers, so a wallet is only ever trusted after its key has signed.
+//
+// Configuration (all optional):
+//   SIWE_DOMAIN        domain the message is bound to (default localhost:3000)
+//   SIWE_URI           URI stated in the message (default http://<SIWE_DOMAIN>)
+//   SIWE_CHAIN_ID      chain id stated in the message (default 1)
+//   SIWE_NONCE_TTL_MS  how long an issued message can be signed (default 600000)
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+const domain = process.env.SIWE_DOMAIN || 'localhost:3000';
+const config = {
+  domain,
+  uri: process.env.SIWE_URI || `http://${domain}`,
+  chainId: parseInt(process.env.SIWE_CHAIN_ID || '1'),
+  nonceTtl: parseInt(process.env.SIWE_NONCE_TTL_MS || '600000'),
+};
+
+const STATEMENT = 'Sign in to BlockHunt and confirm you own this wallet.';
+
+function buildMessage(address, nonce, issuedAt, expiresAt) {
+  return [
+    `${config.domain} wants you to sign in with your Ethereum account:`,
+    address,
+    '',
+    STATEMENT,
+    '',
+    `URI: ${config.uri}`,
+    'Version: 1',
+    `Chain ID: ${config.chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt.toISOString()}`,
+    `Expiration Time: ${expiresAt.toISOString()}`,
+  ].join('\n');
+}
+
+// Returns { nonce, message } for the client to sign, or { error }
+async function createChallenge(pool, address) {
+  if (!address || !ethers.isAddress(address)) {
+    return { error: 'A valid wallet address is required' };
+  }
+
+  const checksummed = ethers.getAddress(address);
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const issuedAt = new Date();
+  const expiresAt = new Date(issuedAt.getTime() + config.nonceTtl);
+  const message = buildMessage(checksummed, nonce, issuedAt, expiresAt);
+
+  await pool.query(
+    'INSERT INTO siwe_nonces (nonce, address, message, expires_at) VALUES ($1, $2, $3, $4)',
+    [nonce, checksummed, message, expiresAt.toISOString()]
+  );
+  return { nonce, message };
+}
+
+// Returns { address } (checksummed) when the signature is valid, or { error }.
+// The nonce is used up either way, so a failed attempt has to start over.
+async function verifyChallenge(pool, message, signature) {
+  if (typeof message !== 'string' || typeof signature !== 'string') {
+    return { error: 'Message and signature are required' };
+  }
+
+  const nonceMatch = message.match(/^Nonce: ([0-9a-f]+)$/m);
+  if (!nonceMatch) {
+    return { error: 'Malformed sign-in message' };
+  }
+
+  const result = await pool.query(
+    'UPDATE siwe_nonces SET used_at = CURRENT_TIMESTAMP WHERE nonce = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP RETURNING *',
+    [nonceMatch[1]]
+  );
+  const challenge = result.rows[0];
+  if (!challenge) {
+    return { error: 'Sign-in message has expired or was already used' };
+  }
+  if (challenge.message !== message) {
+    return { error: 'Sign-in message does not match the one issued' };
+  }
+
+  let signer;
+  try {
+    signer = ethers.verifyMessage(message, signature);
+  } catch (error) {
+    return { error: 'Invalid signature' };
+  }
+  if (signer !== challenge.address) {
+    return { error: 'Signature does not match the wallet address' };
+  }
+  return { address: signer };
+}
+
+module.exports = {
+  createChallenge,
+  verifyChallenge,
+};
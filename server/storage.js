@@ -0,0 +1,111 @@
+// File storage for submission attachments.
+// Files go to whichever backend STORAGE_BACKEND names:
+//   local  files under UPLOAD_DIR (default ./uploads)
+//   s3     an S3-compatible bucket: S3_BUCKET, S3_REGION (default us-east-1),
+//          S3_ENDPOINT for MinIO, R2 and the like, S3_FORCE_PATH_STYLE ('true'
+//          for most of those) and S3_ACCESS_KEY_ID/S3_SECRET_ACCESS_KEY
+//          (otherwise the usual AWS credential chain)
+// Other backends can be added with registerBackend(name, backend), where
+// backend has put(key, filePath, { contentType, size }), get(key) returning a
+// readable stream, and remove(key).
+
+const fs = require('fs');
+const path = require('path');
+
+const config = {
+  backend: process.env.STORAGE_BACKEND || 'local',
+  dir: process.env.UPLOAD_DIR || './uploads',
+};
+
+// Keys are generated by the server, but never let one escape UPLOAD_DIR
+function localPath(key) {
+  const root = path.resolve(config.dir);
+  const file = path.resolve(root, key);
+  if (!file.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return file;
+}
+
+const backends = {
+  local: {
+    put: async (key, filePath) => {
+      const file = localPath(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.copyFile(filePath, file);
+    },
+    get: async key => fs.createReadStream(localPath(key)),
+    remove: async key => {
+      await fs.promises.rm(localPath(key), { force: true });
+    },
+  },
+  s3: {
+    // Only loaded when S3 is actually used
+    client: () => {
+      if (!backends.s3.sdk) {
+        const sdk = require('@aws-sdk/client-s3');
+        backends.s3.sdk = sdk;
+        backends.s3.s3 = new sdk.S3Client({
+          region: process.env.S3_REGION || 'us-east-1',
+          endpoint: process.env.S3_ENDPOINT || undefined,
+          forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+          credentials: process.env.S3_ACCESS_KEY_ID
+            ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+            : undefined,
+        });
+      }
+      return backends.s3;
+    },
+    put: async (key, filePath, { contentType, size }) => {
+      const { sdk, s3 } = backends.s3.client();
+      await s3.send(new sdk.PutObjectCommand({
+        Bucket: process.env.S3_BUCKET,
+        Key: key,
+        Body: fs.createReadStream(filePath),
+        ContentType: contentType,
+        ContentLength: size,
+      }));
+    },
+    get: async key => {
+      const { sdk, s3 } = backends.s3.client();
+      const result = await s3.send(new sdk.GetObjectCommand({ Bucket: process.env.S3_BUCKET, Key: key }));
+      return result.Body;
+    },
+    remove: async key => {
+      const { sdk, s3 } = backends.s3.client();
+      await s3.send(new sdk.DeleteObjectCommand({ Bucket: process.env.S3_BUCKET, Key: key }));
+    },
+  },
+};
+
+function registerBackend(name, backend) {
+  backends[name] = backend;
+}
+
+function backend() {
+  const selected = backends[config.backend];
+  if (!selected) {
+    throw new Error(`Unknown storage backend: ${config.backend}`);
+  }
+  return selected;
+}
+
+// Stores the file at `filePath` (e.g. a finished upload) under `key`
+async function putFile(key, filePath, meta) {
+  await backend().put(key, filePath, meta);
+}
+
+async function getFileStream(key) {
+  return backend().get(key);
+}
+
+async function removeFile(key) {
+  await backend().remove(key);
+}
+
+module.exports = {
+  registerBackend,
+  putFile,
+  getFileStream,
+  removeFile,
+};
@@ -0,0 +1,155 @@
+// Custom submission forms.
+// Besides the fixed fields (idea, description, payout wallet, GitHub link) a
+// hackathon can ask for its own, defined as a list like
+//   [{ "id": "demo_url", "label": "Demo", "type": "url", "required": true },
+//    { "id": "track", "label": "Track", "type": "choice", "options": ["DeFi", "Gaming"] },
+//    { "id": "stack", "label": "Tech stack", "type": "tags", "max_items": 10 }]
+// Field types and their extra keywords:
+//   text          max_length (default and at most 5000)
+//   url           an http(s) link
+//   number        min, max, integer
+//   boolean       e.g. a sponsor-challenge checkbox; required means it must be ticked
+//   choice        options; one of them
+//   multi_choice  options; a list of them
+//   tags          max_items (default 20); a list of short free-text tags
+// Answers are stored with the submission, and with each of its revisions, as
+// an object keyed by field id.
+
+const FIELD_TYPES = ['text', 'url', 'number', 'boolean', 'choice', 'multi_choice', 'tags'];
+const MAX_FIELDS = 30;
+const MAX_TEXT_LENGTH = 5000;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+const MAX_URL_LENGTH = 2000;
+
+function isStringList(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string' && item !== '');
+}
+
+// Checks a form definition. Returns an error message or null.
+function validateSubmissionForm(form) {
+  if (!Array.isArray(form) || form.length > MAX_FIELDS) {
+    return `Submission form must be a list of at most ${MAX_FIELDS} fields`;
+  }
+
+  const ids = new Set();
+  for (const field of form) {
+    if (!field || typeof field.id !== 'string' || !/^[a-z0-9_]{1,50}$/.test(field.id)) {
+      return 'Each submission form field needs an id of lowercase letters, digits or underscores';
+    }
+    if (ids.has(field.id)) {
+      return `Duplicate submission form field id: ${field.id}`;
+    }
+    ids.add(field.id);
+
+    if (typeof field.label !== 'string' || field.label.trim() === '') {
+      return `Submission form field ${field.id} needs a label`;
+    }
+    if (!FIELD_TYPES.includes(field.type)) {
+      return `Submission form field type must be one of: ${FIELD_TYPES.join(', ')}`;
+    }
+    if (field.required !== undefined && typeof field.required !== 'boolean') {
+      return `Submission form field ${field.id}: required must be true or false`;
+    }
+    if ((field.type === 'choice' || field.type === 'multi_choice') && !isStringList(field.options)) {
+      return `Submission form field ${field.id} needs a list of options`;
+    }
+    if (field.max_length !== undefined && !(Number.isInteger(field.max_length) && field.max_length > 0 && field.max_length <= MAX_TEXT_LENGTH)) {
+      return `Submission form field ${field.id}: max_length must be between 1 and ${MAX_TEXT_LENGTH}`;
+    }
+    if (field.max_items !== undefined && !(Number.isInteger(field.max_items) && field.max_items > 0 && field.max_items <= MAX_TAGS)) {
+      return `Submission form field ${field.id}: max_items must be between 1 and ${MAX_TAGS}`;
+    }
+    if (['min', 'max'].some(bound => field[bound] !== undefined && !Number.isFinite(field[bound]))) {
+      return `Submission form field ${field.id}: min and max must be numbers`;
+    }
+    if (field.min !== undefined && field.max !== undefined && field.min > field.max) {
+      return `Submission form field ${field.id}: min must not be above max`;
+    }
+  }
+  return null;
+}
+
+function isUrl(value) {
+  if (typeof value !== 'string' || value.length > MAX_URL_LENGTH) return false;
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:';
+  } catch (error) {
+    return false;
+  }
+}
+
+// Why `answer` does not fit `field`, or null when it does
+function checkAnswer(field, answer) {
+  switch (field.type) {
+    case 'text':
+      if (typeof answer !== 'string') return 'must be text';
+      if (answer.length > (field.max_length || MAX_TEXT_LENGTH)) return `must be at most ${field.max_length || MAX_TEXT_LENGTH} characters`;
+      return null;
+    case 'url':
+      return isUrl(answer) ? null : 'must be an http(s) link';
+    case 'number':
+      if (typeof answer !== 'number' || !Number.isFinite(answer)) return 'must be a number';
+      if (field.integer && !Number.isInteger(answer)) return 'must be a whole number';
+      if (field.min !== undefined && answer < field.min) return `must be at least ${field.min}`;
+      if (field.max !== undefined && answer > field.max) return `must be at most ${field.max}`;
+      return null;
+    case 'boolean':
+      return typeof answer === 'boolean' ? null : 'must be true or false';
+    case 'choice':
+      return field.options.includes(answer) ? null : `must be one of: ${field.options.join(', ')}`;
+    case 'multi_choice':
+      if (!Array.isArray(answer) || !answer.every(option => field.options.includes(option))) {
+        return `must be a list of: ${field.options.join(', ')}`;
+      }
+      return new Set(answer).size === answer.length ? null : 'must not repeat an option';
+    case 'tags': {
+      const maxItems = field.max_items || MAX_TAGS;
+      if (!Array.isArray(answer) || !answer.every(tag => typeof tag === 'string' && tag.trim() !== '' && tag.length <= MAX_TAG_LENGTH)) {
+        return `must be a list of tags of at most ${MAX_TAG_LENGTH} characters`;
+      }
+      return answer.length <= maxItems ? null : `must have at most ${maxItems} tags`;
+    }
+    default:
+      return 'has an unknown type';
+  }
+}
+
+function isEmpty(field, answer) {
+  if (answer === undefined || answer === null || answer === '') return true;
+  if (Array.isArray(answer) && answer.length === 0) return true;
+  // A required checkbox has to be ticked
+  return field.type === 'boolean' && field.required && answer === false;
+}
+
+// Returns { answers } with only the form's fields, or { error }
+function validateSubmissionAnswers(form, answers) {
+  const given = answers || {};
+  if (typeof given !== 'object' || Array.isArray(given)) {
+    return { error: 'Form answers must be an object keyed by field id' };
+  }
+
+  const accepted = {};
+  for (const field of form || []) {
+    const answer = given[field.id];
+    if (isEmpty(field, answer)) {
+      if (field.required) {
+        return { error: `Please fill in: ${field.label}` };
+      }
+      continue;
+    }
+
+    const problem = checkAnswer(field, answer);
+    if (problem) {
+      return { error: `${field.label} ${problem}` };
+    }
+    accepted[field.id] = field.type === 'tags' ? [...new Set(answer.map(tag => tag.trim()))] : answer;
+  }
+  return { answers: accepted };
+}
+
+module.exports = {
+  validateSubmissionForm,
+  validateSubmissionAnswers,
+};
@@ -0,0 +1,78 @@
+// Tracks and sponsor bounties.
+// Next to its main prize pool a hackathon can have tracks (DeFi, AI, Social)
+// and sponsor bounties. Each one is a separate pool in HackathonFunding, keyed
+// by hackathon id and track id (the hackathon_tracks row id), with its own
+// prize split, funding and winners. Submissions opt into the tracks they
+// compete in and remain eligible for the main pool as well.
+
+const TRACK_KINDS = ['track', 'bounty'];
+const MAX_TRACKS = 50;
+
+// Checks the fields of a track being created or, with `partial`, edited.
+// The prize split is checked separately, like the hackathon's. Returns an
+// error message or null.
+function validateTrackFields(fields, { partial = false } = {}) {
+  const { name, kind, description, sponsor_name: sponsorName, prize_pool: prizePool } = fields;
+
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || name.trim() === '' || name.length > 255) {
+      return 'Track name is required and must be at most 255 characters';
+    }
+  }
+  if (kind !== undefined && !TRACK_KINDS.includes(kind)) {
+    return `Track kind must be one of: ${TRACK_KINDS.join(', ')}`;
+  }
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    return 'Track description must be text';
+  }
+  if (sponsorName !== undefined && sponsorName !== null && (typeof sponsorName !== 'string' || sponsorName.length > 255)) {
+    return 'Sponsor name must be at most 255 characters';
+  }
+  if (prizePool !== undefined && prizePool !== null && !(Number(prizePool) > 0)) {
+    return 'Track prize pool must be a positive number';
+  }
+  return null;
+}
+
+// Returns { trackIds } or { error } for the track_ids of a submission
+function parseTrackIds(value) {
+  if (!Array.isArray(value) || value.length > MAX_TRACKS || !value.every(id => Number.isInteger(id) && id > 0)) {
+    return { error: 'track_ids must be a list of track ids' };
+  }
+  return { trackIds: [...new Set(value)] };
+}
+
+async function countTracks(db, hackathonId) {
+  const result = await db.query('SELECT COUNT(*) FROM hackathon_tracks WHERE hackathon_id = $1', [hackathonId]);
+  return parseInt(result.rows[0].count);
+}
+
+// Returns an error message unless every id is a track of the hackathon
+async function checkTrackIds(db, hackathonId, trackIds) {
+  const known = await db.query(
+    'SELECT id FROM hackathon_tracks WHERE hackathon_id = $1 AND id = ANY($2::int[])',
+    [hackathonId, trackIds]
+  );
+  if (known.rows.length === trackIds.length) return null;
+  const knownIds = known.rows.map(row => row.id);
+  return `Unknown track: ${trackIds.find(id => !knownIds.includes(id))}`;
+}
+
+// Replaces the tracks a submission competes in; check them with checkTrackIds first
+async function setSubmissionTracks(db, submissionId, trackIds) {
+  await db.query('DELETE FROM submission_tracks WHERE submission_id = $1 AND NOT (track_id = ANY($2::int[]))', [submissionId, trackIds]);
+  await db.query(`
+    INSERT INTO submission_tracks (submission_id, track_id)
+    SELECT $1, UNNEST($2::int[])
+    ON CONFLICT DO NOTHING
+  `, [submissionId, trackIds]);
+}
+
+module.exports = {
+  MAX_TRACKS,
+  validateTrackFields,
+  parseTrackIds,
+  countTracks,
+  checkTrackIds,
+  setSubmissionTracks,
+};
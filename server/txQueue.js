@@ -0,0 +1,265 @@
+// Persisted queue for contract transactions.
+// Routes enqueue a job and return straight away. Jobs come in two kinds:
+//   - server-signed (platform operations): the worker sends them one at a time,
+//     which keeps nonce handling for the one server signer simple;
+//   - wallet-signed (organizer operations): the job carries an unsigned
+//     transaction, waits in 'awaiting_signature' until the client reports the
+//     hash, and the worker then only waits for the receipt.
+// Either way the hash, receipt and outcome are recorded on the job row.
+//
+// Configuration (all optional):
+//   TX_JOB_MAX_ATTEMPTS        attempts before a transient failure is final (default 5)
+//   TX_JOB_RETRY_DELAY_MS      base delay for exponential backoff (default 2000)
+//   TX_JOB_POLL_INTERVAL_MS    delay between polls when the queue is empty (default 1000)
+//   TX_JOB_CONFIRM_TIMEOUT_MS  how long to wait for a receipt before retrying the wait (default 300000)
+
+const config = {
+  maxAttempts: parseInt(process.env.TX_JOB_MAX_ATTEMPTS || '5'),
+  retryDelay: parseInt(process.env.TX_JOB_RETRY_DELAY_MS || '2000'),
+  pollInterval: parseInt(process.env.TX_JOB_POLL_INTERVAL_MS || '1000'),
+  confirmTimeout: parseInt(process.env.TX_JOB_CONFIRM_TIMEOUT_MS || '300000'),
+};
+
+// Errors worth retrying: the node was unreachable or rejected the nonce/fee,
+// as opposed to a revert, which will fail the same way every time.
+const TRANSIENT_ERROR_CODES = [
+  'NETWORK_ERROR',
+  'SERVER_ERROR',
+  'TIMEOUT',
+  'NONCE_EXPIRED',
+  'REPLACEMENT_UNDERPRICED',
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ETIMEDOUT',
+];
+
+const handlers = {};
+const listeners = [];
+let nextNonce = null;
+let timer = null;
+
+// handler.send(job, overrides) must return the sent transaction (server-signed
+// jobs only); handler.onConfirmed(job, receipt) applies the result to the database.
+function registerJobType(type, handler) {
+  handlers[type] = handler;
+}
+
+// listener(job) is called whenever a job changes status, with the job's
+// current status, tx_hash and error. Listener failures are logged, not thrown.
+function onJobUpdate(listener) {
+  listeners.push(listener);
+}
+
+function notify(job, changes) {
+  const update = { ...job, ...changes };
+  listeners.forEach(listener => {
+    try {
+      listener(update);
+    } catch (error) {
+      console.error('Job listener error:', error.message);
+    }
+  });
+}
+
+// Pass `transaction` (an unsigned tx) for jobs the client signs; older unsigned
+// jobs of the same type are expired so only the latest one can be submitted.
+// Track jobs also pass `trackId`, which keeps tracks from expiring each other's jobs.
+async function enqueueJob(pool, { type, hackathonId, trackId = null, payload, requestedBy, transaction }) {
+  if (!handlers[type]) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  if (transaction) {
+    await pool.query(
+      "UPDATE tx_jobs SET status = 'expired', updated_at = CURRENT_TIMESTAMP WHERE hackathon_id = $1 AND type = $2 AND track_id IS NOT DISTINCT FROM $3 AND status = 'awaiting_signature'",
+      [hackathonId, type, trackId]
+    );
+  }
+
+  const result = await pool.query(
+    'INSERT INTO tx_jobs (type, hackathon_id, track_id, payload, requested_by, unsigned_tx, status) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *',
+    [type, hackathonId, trackId, JSON.stringify(payload || {}), requestedBy, transaction ? JSON.stringify(transaction) : null, transaction ? 'awaiting_signature' : 'queued']
+  );
+  console.log(`Queued ${type} job ${result.rows[0].id} for hackathon ${hackathonId}`);
+  notify(result.rows[0]);
+  return result.rows[0];
+}
+
+// Records the hash of a wallet-signed job; the worker picks it up from here
+async function markSubmitted(pool, jobId, txHash) {
+  const result = await pool.query(
+    "UPDATE tx_jobs SET status = 'submitted', tx_hash = $1, submitted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $2 AND status = 'awaiting_signature' RETURNING *",
+    [txHash, jobId]
+  );
+  if (result.rows[0]) notify(result.rows[0]);
+  return result.rows[0];
+}
+
+function isTransient(error) {
+  if (TRANSIENT_ERROR_CODES.includes(error.code)) return true;
+  const message = (error.message || '').toLowerCase();
+  return message.includes('nonce') || message.includes('timeout') || message.includes('socket hang up');
+}
+
+async function reserveNonce(signer) {
+  if (nextNonce === null) {
+    nextNonce = await signer.getNonce('pending');
+  }
+  return nextNonce++;
+}
+
+function serializeReceipt(receipt) {
+  return {
+    blockNumber: receipt.blockNumber,
+    blockHash: receipt.blockHash,
+    status: receipt.status,
+    from: receipt.from,
+    to: receipt.to,
+    gasUsed: receipt.gasUsed.toString(),
+    gasPrice: receipt.gasPrice ? receipt.gasPrice.toString() : null,
+    logs: receipt.logs.length,
+  };
+}
+
+async function markConfirmed(pool, job, receipt) {
+  await handlers[job.type].onConfirmed(job, receipt);
+  await pool.query(
+    "UPDATE tx_jobs SET status = 'confirmed', receipt = $1, gas_used = $2, block_number = $3, error = NULL, completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $4",
+    [JSON.stringify(serializeReceipt(receipt)), receipt.gasUsed.toString(), receipt.blockNumber, job.id]
+  );
+  console.log(`Job ${job.id} (${job.type}) confirmed in block ${receipt.blockNumber}`);
+  notify(job, { status: 'confirmed', block_number: receipt.blockNumber, error: null });
+}
+
+async function markFailed(pool, job, error, receipt) {
+  await pool.query(
+    "UPDATE tx_jobs SET status = 'failed', error = $1, receipt = $2, gas_used = $3, completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $4",
+    [error.shortMessage || error.message, receipt ? JSON.stringify(serializeReceipt(receipt)) : null, receipt ? receipt.gasUsed.toString() : null, job.id]
+  );
+  console.error(`Job ${job.id} (${job.type}) failed:`, error.message);
+  notify(job, { status: 'failed', error: error.shortMessage || error.message });
+}
+
+async function scheduleRetry(pool, job, error) {
+  const attempts = job.attempts + 1;
+  if (attempts >= config.maxAttempts) {
+    return markFailed(pool, job, error);
+  }
+  const delay = config.retryDelay * 2 ** (attempts - 1);
+  // A job that already has a hash goes back to waiting for it, never to resending
+  const status = job.tx_hash ? 'submitted' : 'queued';
+  await pool.query(
+    "UPDATE tx_jobs SET status = $1, attempts = $2, error = $3, run_after = CURRENT_TIMESTAMP + ($4 || ' milliseconds')::interval, updated_at = CURRENT_TIMESTAMP WHERE id = $5",
+    [status, attempts, error.shortMessage || error.message, delay, job.id]
+  );
+  console.log(`Job ${job.id} (${job.type}) will retry in ${delay}ms:`, error.message);
+  notify(job, { status, attempts, error: error.shortMessage || error.message });
+}
+
+// Waits for a transaction the job already broadcast, e.g. after a restart
+async function awaitSubmitted(pool, provider, job) {
+  try {
+    const receipt = await provider.waitForTransaction(job.tx_hash, 1, config.confirmTimeout);
+    if (!receipt) {
+      return scheduleRetry(pool, job, new Error('Timed out waiting for receipt'));
+    }
+    if (receipt.status === 0) {
+      return markFailed(pool, job, new Error('Transaction reverted'), receipt);
+    }
+    await markConfirmed(pool, job, receipt);
+  } catch (error) {
+    if (isTransient(error)) {
+      return scheduleRetry(pool, job, error);
+    }
+    await markFailed(pool, job, error, error.receipt);
+  }
+}
+
+async function sendJob(pool, provider, signer, job) {
+  if (!signer) {
+    return markFailed(pool, job, new Error('No server signer configured'));
+  }
+
+  let tx;
+  try {
+    const nonce = await reserveNonce(signer);
+    tx = await handlers[job.type].send(job, { nonce });
+  } catch (error) {
+    // Resync with the node; the reserved nonce may or may not have been used
+    nextNonce = null;
+    if (isTransient(error)) {
+      return scheduleRetry(pool, job, error);
+    }
+    return markFailed(pool, job, error);
+  }
+
+  await pool.query(
+    "UPDATE tx_jobs SET status = 'submitted', tx_hash = $1, nonce = $2, submitted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $3",
+    [tx.hash, tx.nonce, job.id]
+  );
+  console.log(`Job ${job.id} (${job.type}) submitted:`, tx.hash);
+  notify(job, { status: 'submitted', tx_hash: tx.hash });
+  await awaitSubmitted(pool, provider, { ...job, tx_hash: tx.hash });
+}
+
+// Claims the next runnable job. Jobs left in 'submitted' (a crash or a failed
+// wait) are picked up again and only waited on.
+async function claimNextJob(pool) {
+  const result = await pool.query(`
+    UPDATE tx_jobs SET status = CASE WHEN status = 'submitted' THEN 'submitted' ELSE 'processing' END,
+                       updated_at = CURRENT_TIMESTAMP
+    WHERE id = (
+      SELECT id FROM tx_jobs
+      WHERE status IN ('queued', 'submitted', 'processing') AND run_after <= CURRENT_TIMESTAMP
+      ORDER BY id
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `);
+  return result.rows[0];
+}
+
+async function processNext(pool, provider, signer) {
+  const job = await claimNextJob(pool);
+  if (!job) return false;
+
+  if (!handlers[job.type]) {
+    await markFailed(pool, job, new Error(`No handler registered for ${job.type}`));
+  } else if (job.tx_hash) {
+    await awaitSubmitted(pool, provider, job);
+  } else {
+    await sendJob(pool, provider, signer, job);
+  }
+  return true;
+}
+
+function startWorker(pool, provider, signer) {
+  const loop = async () => {
+    let worked = false;
+    try {
+      worked = await processNext(pool, provider, signer);
+    } catch (error) {
+      console.error('Transaction worker error:', error.message);
+    } finally {
+      timer = setTimeout(loop, worked ? 0 : config.pollInterval);
+    }
+  };
+
+  console.log('Starting transaction job worker');
+  loop();
+}
+
+function stopWorker() {
+  clearTimeout(timer);
+  timer = null;
+}
+
+module.exports = {
+  registerJobType,
+  onJobUpdate,
+  enqueueJob,
+  markSubmitted,
+  startWorker,
+  stopWorker,
+};
@@ -0,0 +1,279 @@
+// Outgoing webhooks.
+// Organizers register URLs for one hackathon or for all of theirs and pick
+// the event types they want ('*' for all). Each event becomes one delivery row
+// per matching webhook; a worker POSTs them as JSON and retries failures with
+// exponential backoff, so every attempt ends up in the delivery log.
+//
+// Requests carry
+//   X-BlockHunt-Event      the event type
+//   X-BlockHunt-Delivery   the delivery id
+//   X-BlockHunt-Signature  t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>" with the webhook secret>
+//
+// Configuration (all optional):
+//   WEBHOOK_MAX_ATTEMPTS       attempts before a delivery is marked failed (default 8)
+//   WEBHOOK_RETRY_DELAY_MS     base delay for exponential backoff (default 10000)
+//   WEBHOOK_TIMEOUT_MS         how long to wait for the receiver (default 10000)
+//   WEBHOOK_POLL_INTERVAL_MS   delay between polls when nothing is due (default 2000)
+//   WEBHOOK_ALLOW_PRIVATE      'true' to allow http:// and private network addresses (local testing)
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+
+const config = {
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8'),
+  retryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY_MS || '10000'),
+  timeout: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000'),
+  pollInterval: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS || '2000'),
+  allowPrivate: process.env.WEBHOOK_ALLOW_PRIVATE === 'true',
+};
+
+const EVENT_TYPES = [
+  'participant.joined',
+  'participant.pending',
+  'participant.waitlisted',
+  'participant.promoted',
+  'participant.approved',
+  'participant.rejected',
+  'participant.withdrawn',
+  'submission.created',
+  'submission.updated',
+  'submission.removed',
+  'hackathon.published',
+  'hackathon.started',
+  'hackathon.ended',
+  'hackathon.funded',
+  'hackathon.winners_set',
+  'prizes.distributed',
+  'track.winners_set',
+  'track.prizes_distributed',
+  'hackathon.cancelled',
+];
+
+const MAX_RESPONSE_LOG = 1000;
+
+// Loopback, private, link-local and other addresses a webhook must not reach
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+let timer = null;
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Checks a webhook's url and event list. Returns an error message or null.
+function validateWebhook({ url, events }) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'URL must be a valid absolute URL';
+  }
+  if (parsed.protocol !== 'https:' && !(config.allowPrivate && parsed.protocol === 'http:')) {
+    return 'URL must use https';
+  }
+
+  if (!Array.isArray(events) || events.length === 0) {
+    return 'Choose at least one event type';
+  }
+  const unknown = events.find(event => event !== '*' && !EVENT_TYPES.includes(event));
+  if (unknown) {
+    return `Unknown event type: ${unknown}`;
+  }
+  return null;
+}
+
+function isBlocked(address) {
+  const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+  // IPv4-mapped IPv6 addresses are checked as IPv4
+  const mapped = family === 'ipv6' && address.toLowerCase().startsWith('::ffff:') ? address.slice(7) : null;
+  if (mapped && net.isIPv4(mapped)) return blockedAddresses.check(mapped, 'ipv4');
+  return blockedAddresses.check(address, family);
+}
+
+// Resolves the host before each attempt so a DNS change cannot point a
+// registered hook at the internal network
+async function assertPublicHost(url) {
+  if (config.allowPrivate) return;
+  const { hostname } = new URL(url);
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+  if (addresses.some(({ address }) => isBlocked(address))) {
+    throw new Error(`Refusing to deliver to private address for ${hostname}`);
+  }
+}
+
+// Queues `type` for every active webhook that covers the hackathon and wants
+// the event. Returns the number of deliveries queued.
+async function emitWebhookEvent(pool, hackathonId, type, data) {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown webhook event: ${type}`);
+  }
+
+  const event = {
+    id: crypto.randomUUID(),
+    type,
+    created_at: new Date().toISOString(),
+    hackathon_id: Number(hackathonId),
+    data,
+  };
+
+  const result = await pool.query(`
+    INSERT INTO webhook_deliveries (webhook_id, event_id, event_type, payload)
+    SELECT w.id, $3, $2, $4
+    FROM webhooks w
+    JOIN hackathons h ON h.id = $1
+    WHERE w.active = TRUE
+      AND (w.hackathon_id = h.id OR (w.hackathon_id IS NULL AND w.organizer_id = h.organizer_id))
+      AND ($2 = ANY(w.events) OR '*' = ANY(w.events))
+  `, [hackathonId, type, event.id, JSON.stringify(event)]);
+  return result.rowCount;
+}
+
+// Queues a fresh copy of a logged delivery, with the same event id so
+// receivers can tell it is a repeat
+async function redeliver(pool, deliveryId) {
+  const result = await pool.query(`
+    INSERT INTO webhook_deliveries (webhook_id, event_id, event_type, payload, redelivery_of)
+    SELECT webhook_id, event_id, event_type, payload, id FROM webhook_deliveries WHERE id = $1
+    RETURNING *
+  `, [deliveryId]);
+  return result.rows[0];
+}
+
+async function recordAttempt(pool, delivery, outcome) {
+  const attempts = delivery.attempts + 1;
+  const done = outcome.ok || attempts >= config.maxAttempts;
+  const delay = config.retryDelay * 2 ** (attempts - 1);
+  await pool.query(`
+    UPDATE webhook_deliveries
+    SET status = $1, attempts = $2, response_status = $3, response_body = $4, error = $5,
+        duration_ms = $6, last_attempt_at = CURRENT_TIMESTAMP,
+        next_attempt_at = CASE WHEN $7 THEN NULL ELSE CURRENT_TIMESTAMP + ($8 || ' milliseconds')::interval END,
+        delivered_at = CASE WHEN $1 = 'delivered' THEN CURRENT_TIMESTAMP ELSE delivered_at END
+    WHERE id = $9
+  `, [
+    outcome.ok ? 'delivered' : done ? 'failed' : 'pending',
+    attempts,
+    outcome.status || null,
+    outcome.body ? outcome.body.slice(0, MAX_RESPONSE_LOG) : null,
+    outcome.error || null,
+    outcome.duration,
+    done,
+    delay,
+    delivery.id,
+  ]);
+  if (!outcome.ok) {
+    console.log(`Webhook delivery ${delivery.id} ${done ? 'failed' : `will retry in ${delay}ms`}:`, outcome.error || outcome.status);
+  }
+}
+
+async function attemptDelivery(delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+
+  try {
+    await assertPublicHost(delivery.url);
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'BlockHunt-Webhooks',
+        'X-BlockHunt-Event': delivery.event_type,
+        'X-BlockHunt-Delivery': String(delivery.id),
+        'X-BlockHunt-Signature': `t=${timestamp},v1=${signPayload(delivery.secret, timestamp, body)}`,
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(config.timeout),
+    });
+    const text = await response.text().catch(() => '');
+    return {
+      ok: response.status >= 200 && response.status < 300,
+      status: response.status,
+      body: text,
+      error: response.status >= 200 && response.status < 300 ? null : `Receiver responded ${response.status}`,
+      duration: Date.now() - started,
+    };
+  } catch (error) {
+    return { ok: false, error: error.message, duration: Date.now() - started };
+  }
+}
+
+// Claims the next due delivery. Its next attempt is pushed out first so
+// another worker, or this one after a crash, only retries it later.
+async function claimNextDelivery(pool) {
+  const result = await pool.query(`
+    UPDATE webhook_deliveries d
+    SET next_attempt_at = CURRENT_TIMESTAMP + ($1 || ' milliseconds')::interval
+    FROM webhooks w
+    WHERE d.webhook_id = w.id AND d.id = (
+      SELECT id FROM webhook_deliveries
+      WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+      ORDER BY next_attempt_at, id
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING d.*, w.url, w.secret, w.active
+  `, [config.timeout * 2]);
+  return result.rows[0];
+}
+
+async function processNext(pool) {
+  const delivery = await claimNextDelivery(pool);
+  if (!delivery) return false;
+
+  if (!delivery.active) {
+    await pool.query(
+      "UPDATE webhook_deliveries SET status = 'failed', error = 'Webhook is disabled', next_attempt_at = NULL WHERE id = $1",
+      [delivery.id]
+    );
+    return true;
+  }
+  await recordAttempt(pool, delivery, await attemptDelivery(delivery));
+  return true;
+}
+
+function startWebhookWorker(pool) {
+  const loop = async () => {
+    let worked = false;
+    try {
+      worked = await processNext(pool);
+    } catch (error) {
+      console.error('Webhook worker error:', error.message);
+    } finally {
+      timer = setTimeout(loop, worked ? 0 : config.pollInterval);
+    }
+  };
+
+  console.log('Starting webhook delivery worker');
+  loop();
+}
+
+function stopWebhookWorker() {
+  clearTimeout(timer);
+  timer = null;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  generateSecret,
+  signPayload,
+  validateWebhook,
+  emitWebhookEvent,
+  redeliver,
+  startWebhookWorker,
+  stopWebhookWorker,
+};
@@ -1,10 +1,21 @@
 CREATE TABLE users (
   id SERIAL PRIMARY KEY,
-  email VARCHAR(255) UNIQUE NOT NULL,
-  password VARCHAR(255) NOT NULL,
-  role VARCHAR(50) NOT NULL CHECK (role IN ('user', 'organizer'))
+  email VARCHAR(255) UNIQUE, -- NULL for accounts created by signing in with a wallet
+  password VARCHAR(255),
+  email_verified BOOLEAN DEFAULT FALSE,
+  email_verified_at TIMESTAMP,
+  role VARCHAR(50) NOT NULL CHECK (role IN ('user', 'organizer', 'judge', 'admin')),
+  wallet_address VARCHAR(255) UNIQUE,
+  wallet_verified BOOLEAN DEFAULT FALSE, -- set only after a SIWE signature check
+  wallet_verified_at TIMESTAMP,
+  suspended_at TIMESTAMP, -- set by an admin; suspended users cannot log in or use existing tokens
+  suspended_reason TEXT,
+  CHECK (email IS NOT NULL OR wallet_address IS NOT NULL)
 );
 
+-- Emails are matched case-insensitively, so they are unique that way too
+CREATE UNIQUE INDEX users_email_lower ON users (LOWER(email));
+
 CREATE TABLE hackathons (
   id SERIAL PRIMARY KEY,
   title VARCHAR(255) NOT NULL,
@@ -12,27 +23,418 @@ CREATE TABLE hackathons (
   start_date TIMESTAMP,
   end_date TIMESTAMP,
   organizer_id INT REFERENCES users(id),
-  status VARCHAR(50) DEFAULT 'active'
+  -- Lifecycle phase, kept up to date by hackathonState.syncPhase
+  status VARCHAR(50) NOT NULL DEFAULT 'draft'
+    CHECK (status IN ('draft', 'upcoming', 'active', 'ended', 'funded', 'winners_set', 'distributed', 'cancelled')),
+  status_changed_at TIMESTAMP,
+  prize_pool NUMERIC,
+  prize_split JSONB, -- basis points per winner rank, NULL for the default 50/30/20 split
+  prize_token_address VARCHAR(42), -- ERC-20 the pool is paid in, NULL for ETH
+  prize_token_symbol VARCHAR(20) NOT NULL DEFAULT 'ETH',
+  prize_token_decimals INTEGER NOT NULL DEFAULT 18, -- prize_pool, funded_amount and contribution amounts use these units
+  require_verified_wallet BOOLEAN DEFAULT FALSE, -- payout and winner addresses must be SIWE-verified wallets
+  hidden BOOLEAN DEFAULT FALSE, -- hidden by an admin from public listings
+  max_participants INTEGER, -- NULL for no cap; people joining beyond it are waitlisted
+  registration_opens_at TIMESTAMP, -- NULL: registration follows the join phases
+  registration_closes_at TIMESTAMP,
+  join_mode VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (join_mode IN ('open', 'approval')),
+  registration_questions JSONB, -- [{ id, label, type, required, options }], see registration.js
+  attachment_max_bytes INTEGER, -- per-file limit for submission attachments, NULL for the server default
+  attachment_mime_types TEXT[], -- allowed types such as image/png or video/*, NULL for the server default
+  submission_form JSONB, -- extra submission fields [{ id, label, type, required, ... }], see submissionForm.js
+  published BOOLEAN NOT NULL DEFAULT TRUE, -- FALSE for drafts, which only the organizer sees
+  published_at TIMESTAMP,
+  hidden_at TIMESTAMP,
+  manually_ended BOOLEAN DEFAULT FALSE,
+  manually_ended_at TIMESTAMP,
+  chain_ended_at TIMESTAMP, -- when endHackathon was confirmed; an admin force-end only sets manually_ended
+  funded_amount NUMERIC DEFAULT 0,
+  funded_at TIMESTAMP,
+  winners JSONB,
+  prizes_distributed BOOLEAN DEFAULT FALSE,
+  prizes_distributed_at TIMESTAMP,
+  cancelled_at TIMESTAMP,
+  chain_organizer_address VARCHAR(42), -- wallet registered as organizer in HackathonFunding
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Listing filters and full-text search (the search expressions must match those in server.js)
+CREATE INDEX hackathons_status ON hackathons (status);
+CREATE INDEX hackathons_start_date ON hackathons (start_date);
+CREATE INDEX hackathons_search ON hackathons USING GIN (to_tsvector('english', title || ' ' || description));
+
 CREATE TABLE hackathon_participants (
   id SERIAL PRIMARY KEY,
   hackathon_id INT REFERENCES hackathons(id),
   user_id INT REFERENCES users(id),
-  withdrawn BOOLEAN DEFAULT FALSE
+  withdrawn BOOLEAN DEFAULT FALSE,
+  -- Only approved rows are participants; see registration.js
+  status VARCHAR(20) NOT NULL DEFAULT 'approved' CHECK (status IN ('approved', 'pending', 'waitlisted', 'rejected')),
+  answers JSONB, -- answers to the hackathon's registration questions
+  joined_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP, -- waitlist order; reset when rejoining
+  decided_at TIMESTAMP,
+  decided_by INT REFERENCES users(id)
+);
+
+CREATE TABLE teams (
+  id SERIAL PRIMARY KEY,
+  hackathon_id INTEGER NOT NULL REFERENCES hackathons(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  captain_id INTEGER NOT NULL REFERENCES users(id),
+  payout_wallet VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (hackathon_id, name)
+);
+
+CREATE TABLE team_members (
+  id SERIAL PRIMARY KEY,
+  team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  status VARCHAR(20) NOT NULL DEFAULT 'invited' CHECK (status IN ('invited', 'accepted')),
+  invited_by INTEGER REFERENCES users(id),
+  invited_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  joined_at TIMESTAMP,
+  UNIQUE (team_id, user_id)
 );
 
 CREATE TABLE submissions (
   id SERIAL PRIMARY KEY,
   hackathon_id INTEGER NOT NULL,
   user_id INTEGER NOT NULL,
+  team_id INTEGER UNIQUE REFERENCES teams(id),
   idea TEXT NOT NULL,
   description TEXT NOT NULL, -- This has a NOT NULL constraint
   public_key VARCHAR(255) NOT NULL,
   teammate_names TEXT,
   github_link TEXT,
+  form_answers JSONB NOT NULL DEFAULT '{}', -- answers to the hackathon's submission_form, keyed by field id
+  revision INTEGER NOT NULL DEFAULT 1, -- latest row in submission_revisions
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP,
   FOREIGN KEY (hackathon_id) REFERENCES hackathons(id),
   FOREIGN KEY (user_id) REFERENCES users(id)
-);
\ No newline at end of file
+);
+
+CREATE INDEX submissions_hackathon_id ON submissions (hackathon_id, created_at);
+CREATE INDEX submissions_search ON submissions USING GIN (to_tsvector('english', idea || ' ' || description));
+
+-- Every saved version of a submission, written in the same statement as the
+-- submission itself. Rows are never updated, so they show what was submitted when.
+CREATE TABLE submission_revisions (
+  id SERIAL PRIMARY KEY,
+  submission_id INTEGER NOT NULL REFERENCES submissions(id) ON DELETE CASCADE,
+  revision INTEGER NOT NULL,
+  idea TEXT NOT NULL,
+  description TEXT NOT NULL,
+  public_key VARCHAR(255) NOT NULL,
+  teammate_names TEXT,
+  github_link TEXT,
+  form_answers JSONB NOT NULL DEFAULT '{}',
+  created_by INTEGER REFERENCES users(id),
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (submission_id, revision)
+);
+
+CREATE FUNCTION reject_revision_update() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'submission revisions cannot be changed';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER submission_revisions_immutable
+  BEFORE UPDATE ON submission_revisions
+  FOR EACH ROW EXECUTE FUNCTION reject_revision_update();
+
+CREATE TABLE judging_criteria (
+  id SERIAL PRIMARY KEY,
+  hackathon_id INTEGER NOT NULL REFERENCES hackathons(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  max_score INTEGER NOT NULL DEFAULT 10 CHECK (max_score > 0),
+  weight NUMERIC NOT NULL DEFAULT 1 CHECK (weight > 0),
+  position INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE TABLE hackathon_judges (
+  id SERIAL PRIMARY KEY,
+  hackathon_id INTEGER NOT NULL REFERENCES hackathons(id) ON DELETE CASCADE,
+  judge_id INTEGER NOT NULL REFERENCES users(id),
+  invited_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (hackathon_id, judge_id)
+);
+
+CREATE TABLE judge_assignments (
+  id SERIAL PRIMARY KEY,
+  hackathon_id INTEGER NOT NULL REFERENCES hackathons(id) ON DELETE CASCADE,
+  submission_id INTEGER NOT NULL REFERENCES submissions(id) ON DELETE CASCADE,
+  judge_id INTEGER NOT NULL REFERENCES users(id),
+  assigned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (submission_id, judge_id)
+);
+
+CREATE TABLE judge_scores (
+  id SERIAL PRIMARY KEY,
+  submission_id INTEGER NOT NULL REFERENCES submissions(id) ON DELETE CASCADE,
+  judge_id INTEGER NOT NULL REFERENCES users(id),
+  criterion_id INTEGER NOT NULL REFERENCES judging_criteria(id) ON DELETE CASCADE,
+  score NUMERIC NOT NULL CHECK (score >= 0),
+  comment TEXT,
+  revision INTEGER, -- submission revision the judge was shown when scoring
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP,
+  UNIQUE (submission_id, judge_id, criterion_id)
+);
+
+-- Mirror of on-chain contributions to a hackathon's prize pool or to one of its tracks
+CREATE TABLE hackathon_contributions (
+  id SERIAL PRIMARY KEY,
+  hackathon_id INTEGER NOT NULL REFERENCES hackathons(id),
+  track_id INTEGER, -- NULL for the main prize pool; see hackathon_tracks
+  user_id INTEGER REFERENCES users(id),
+  contributor_address VARCHAR(42),
+  sponsor_name VARCHAR(255),
+  amount NUMERIC,
+  amount_base_units NUMERIC, -- amount in the token's smallest unit
+  tx_hash VARCHAR(66) UNIQUE NOT NULL,
+  block_number BIGINT,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'verified', 'refunded')),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  verified_at TIMESTAMP,
+  refunded_at TIMESTAMP
+);
+
+-- Block cursor and decoded event log for the HackathonFunding indexer
+CREATE TABLE indexer_state (
+  name VARCHAR(100) PRIMARY KEY,
+  last_block BIGINT NOT NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE chain_events (
+  id SERIAL PRIMARY KEY,
+  event_name VARCHAR(50) NOT NULL,
+  hackathon_id INTEGER,
+  block_number BIGINT NOT NULL,
+  block_timestamp TIMESTAMP,
+  tx_hash VARCHAR(66) NOT NULL,
+  log_index INTEGER NOT NULL,
+  args JSONB NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (tx_hash, log_index)
+);
+
+-- Contract transactions queued by the API and sent by the server signer
+CREATE TABLE tx_jobs (
+  id SERIAL PRIMARY KEY,
+  type VARCHAR(50) NOT NULL,
+  hackathon_id INTEGER REFERENCES hackathons(id),
+  track_id INTEGER, -- for track jobs; see hackathon_tracks
+  payload JSONB NOT NULL DEFAULT '{}',
+  unsigned_tx JSONB, -- set for jobs signed by the organizer's wallet rather than the server
+  status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('awaiting_signature', 'queued', 'processing', 'submitted', 'confirmed', 'failed', 'expired')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  nonce INTEGER,
+  tx_hash VARCHAR(66),
+  receipt JSONB,
+  gas_used NUMERIC,
+  block_number BIGINT,
+  error TEXT,
+  requested_by INTEGER REFERENCES users(id),
+  run_after TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  submitted_at TIMESTAMP,
+  completed_at TIMESTAMP
+);
+
+-- Only one unfinished job of each type per hackathon (and track), so retried requests can't double-send
+CREATE UNIQUE INDEX tx_jobs_one_active_per_type
+  ON tx_jobs (hackathon_id, COALESCE(track_id, 0), type)
+  WHERE status IN ('queued', 'processing', 'submitted');
+
+-- Sign-In with Ethereum challenges; each message can be verified once
+CREATE TABLE siwe_nonces (
+  nonce VARCHAR(64) PRIMARY KEY,
+  address VARCHAR(42) NOT NULL,
+  message TEXT NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One row per login; access tokens carry the session id so it can be revoked
+CREATE TABLE sessions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  user_agent TEXT,
+  ip_address VARCHAR(64),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP,
+  revoked_reason VARCHAR(50) -- logout, logout_all, revoked_by_user, refresh_token_reuse
+);
+
+CREATE INDEX sessions_user_id ON sessions (user_id);
+
+-- Refresh tokens are stored as SHA-256 hashes; used_at marks a rotated token
+CREATE TABLE refresh_tokens (
+  id SERIAL PRIMARY KEY,
+  session_id INTEGER NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+  token_hash CHAR(64) UNIQUE NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP
+);
+
+-- Emailed single-use tokens, stored as SHA-256 hashes
+CREATE TABLE account_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  purpose VARCHAR(30) NOT NULL CHECK (purpose IN ('email_verification', 'password_reset', 'invitation')),
+  token_hash CHAR(64) UNIQUE NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP
+);
+
+-- Everything done through /api/admin/*
+CREATE TABLE admin_audit_log (
+  id SERIAL PRIMARY KEY,
+  admin_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  action VARCHAR(50) NOT NULL,
+  target_type VARCHAR(30) NOT NULL, -- user, hackathon or submission
+  target_id INTEGER NOT NULL,
+  details JSONB,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Every phase change, with when it happened and who or what caused it
+CREATE TABLE hackathon_phase_transitions (
+  id SERIAL PRIMARY KEY,
+  hackathon_id INTEGER NOT NULL REFERENCES hackathons(id) ON DELETE CASCADE,
+  from_phase VARCHAR(50) NOT NULL,
+  to_phase VARCHAR(50) NOT NULL,
+  actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  reason VARCHAR(100), -- e.g. 'schedule', 'published', 'ended by organizer', 'chain: HackathonEnded'
+  transitioned_at TIMESTAMP NOT NULL,
+  recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX hackathon_phase_transitions_hackathon_id ON hackathon_phase_transitions (hackathon_id);
+
+-- In-app notifications; see server/notifications.js
+CREATE TABLE notifications (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  hackathon_id INTEGER REFERENCES hackathons(id) ON DELETE CASCADE,
+  type VARCHAR(50) NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  body TEXT NOT NULL,
+  link TEXT, -- frontend path, e.g. /hackathons/12
+  read_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX notifications_user_id ON notifications (user_id, id);
+
+-- Channels a user picked per notification type; types without a row use the defaults
+CREATE TABLE notification_preferences (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  type VARCHAR(50) NOT NULL,
+  in_app BOOLEAN NOT NULL,
+  email BOOLEAN NOT NULL,
+  PRIMARY KEY (user_id, type)
+);
+
+-- Start/end reminders already sent, per date so a moved date is reminded again
+CREATE TABLE notification_reminders (
+  hackathon_id INTEGER NOT NULL REFERENCES hackathons(id) ON DELETE CASCADE,
+  kind VARCHAR(10) NOT NULL CHECK (kind IN ('start', 'end')),
+  due_at TIMESTAMP NOT NULL,
+  sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (hackathon_id, kind, due_at)
+);
+
+-- Organizer webhooks for one hackathon, or for all of the organizer's when hackathon_id is NULL
+CREATE TABLE webhooks (
+  id SERIAL PRIMARY KEY,
+  organizer_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  hackathon_id INTEGER REFERENCES hackathons(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  secret VARCHAR(100) NOT NULL, -- HMAC key for X-BlockHunt-Signature
+  events TEXT[] NOT NULL, -- event types, or '*' for all
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  description VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP
+);
+
+CREATE INDEX webhooks_organizer_id ON webhooks (organizer_id);
+
+-- One row per event per webhook; the worker in server/webhooks.js sends and retries them
+CREATE TABLE webhook_deliveries (
+  id SERIAL PRIMARY KEY,
+  webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+  event_id UUID NOT NULL, -- shared by redeliveries of the same event
+  event_type VARCHAR(50) NOT NULL,
+  payload JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_attempt_at TIMESTAMP,
+  response_status INTEGER,
+  response_body TEXT, -- first 1000 characters
+  error TEXT,
+  duration_ms INTEGER,
+  redelivery_of INTEGER REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  delivered_at TIMESTAMP
+);
+
+CREATE INDEX webhook_deliveries_due ON webhook_deliveries (next_attempt_at) WHERE status = 'pending';
+CREATE INDEX webhook_deliveries_webhook_id ON webhook_deliveries (webhook_id, id);
+
+-- Files attached to a submission; the contents live in the storage backend (server/storage.js)
+CREATE TABLE submission_attachments (
+  id SERIAL PRIMARY KEY,
+  submission_id INTEGER NOT NULL REFERENCES submissions(id) ON DELETE CASCADE,
+  storage_key TEXT NOT NULL UNIQUE,
+  filename VARCHAR(255) NOT NULL,
+  content_type VARCHAR(255) NOT NULL,
+  size_bytes BIGINT NOT NULL,
+  uploaded_by INTEGER REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX submission_attachments_submission_id ON submission_attachments (submission_id, id);
+
+-- Tracks and sponsor bounties: prize pools within a hackathon, each with its
+-- own split and winners. The row id is also the track id in HackathonFunding.
+CREATE TABLE hackathon_tracks (
+  id SERIAL PRIMARY KEY,
+  hackathon_id INTEGER NOT NULL REFERENCES hackathons(id) ON DELETE CASCADE,
+  kind VARCHAR(20) NOT NULL DEFAULT 'track' CHECK (kind IN ('track', 'bounty')),
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  sponsor_name VARCHAR(255),
+  prize_pool NUMERIC, -- advertised amount, in the hackathon's prize token
+  prize_split JSONB, -- basis points per winner rank, NULL for the default split
+  registered_at TIMESTAMP, -- createTrack confirmed on-chain
+  funded_amount NUMERIC DEFAULT 0,
+  funded_at TIMESTAMP,
+  winners JSONB,
+  prizes_distributed BOOLEAN DEFAULT FALSE,
+  prizes_distributed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (hackathon_id, name)
+);
+
+-- Tracks a submission competes in, on top of the main prize pool
+CREATE TABLE submission_tracks (
+  submission_id INTEGER NOT NULL REFERENCES submissions(id) ON DELETE CASCADE,
+  track_id INTEGER NOT NULL REFERENCES hackathon_tracks(id) ON DELETE CASCADE,
+  PRIMARY KEY (submission_id, track_id)
+);
+
+CREATE INDEX submission_tracks_track_id ON submission_tracks (track_id);